@@ -0,0 +1,20 @@
+// check-permissions.js
+// Fails when a permission code guarded in the code (requirePermission /
+// hasPermission) is missing from db/seed/permissions.csv, since no role could
+// ever be granted it.  Usage: npm run check:permissions
+import fs from 'fs';
+import path from 'path';
+import { permissionCodesIn, seededPermissionCodes } from './src/utils/rbac.js';
+
+const SOURCES = ['index.js', 'src/index.js'];
+const SEED = path.join('..', 'db', 'seed', 'permissions.csv');
+
+const used = [...new Set(SOURCES.flatMap(f => permissionCodesIn(fs.readFileSync(f, 'utf8'))))].sort();
+const seeded = new Set(seededPermissionCodes(SEED));
+const missing = used.filter(c => !seeded.has(c));
+
+if (missing.length) {
+  console.error(`Permission codes used but not seeded in ${SEED}:\n  ${missing.join('\n  ')}`);
+  process.exit(1);
+}
+console.log(`All ${used.length} permission codes used by the code are seeded.`);
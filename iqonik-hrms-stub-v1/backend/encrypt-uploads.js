@@ -0,0 +1,48 @@
+// encrypt-uploads.js
+// One-off: encrypt document files stored before encryption at rest was
+// introduced. Each plaintext file behind documents.file_url is rewritten as
+// <name>.enc under DOCUMENT_KEY, the rows are pointed at it and the plaintext
+// is deleted. Files already encrypted are left alone, so it is safe to re-run.
+// Usage: npm run encrypt:uploads
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import pkg from 'pg';
+import { isEncrypted, saveDocumentFile, storedPath } from './src/utils/docStorage.js';
+
+if (!process.env.DOCUMENT_KEY) {
+  console.error('DOCUMENT_KEY is not set (see .env)');
+  process.exit(1);
+}
+
+const UPLOAD_ROOT = path.join(process.cwd(), 'uploads');
+const pool = new pkg.Pool({ connectionString: process.env.DATABASE_URL });
+let encrypted = 0, missing = 0;
+try {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT file_url FROM documents
+     WHERE file_url LIKE '/uploads/%' AND file_url NOT LIKE '%.enc' AND purged_at IS NULL`
+  );
+  for (const { file_url } of rows) {
+    const p = storedPath(UPLOAD_ROOT, file_url);
+    if (!p || !fs.existsSync(p)) {
+      console.warn(`missing: ${file_url}`);
+      missing++;
+      continue;
+    }
+    const buf = fs.readFileSync(p);
+    if (isEncrypted(buf)) continue;
+    const rel = path.posix.normalize(file_url.slice('/uploads/'.length));
+    const url = saveDocumentFile(UPLOAD_ROOT, path.posix.dirname(rel), path.posix.basename(rel), buf);
+    // versions can share a file
+    await pool.query(`UPDATE documents SET file_url=$2 WHERE file_url=$1`, [file_url, url]);
+    fs.rmSync(p);
+    encrypted++;
+  }
+  console.log(`Encrypted ${encrypted} file(s)${missing ? `, ${missing} missing` : ''}.`);
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -1,12 +1,40 @@
-import jwt from 'jsonwebtoken';
+// gen-token.js
+// Dev helper: sign an existing user in without their password. Opens a
+// session (device "gen-token", revocable like any other) and prints its
+// access and refresh tokens, exactly as /auth/login would return them.
+// Usage: node gen-token.js <email>
+import 'dotenv/config';
+import pkg from 'pg';
+import { createSession, issueTokens } from './src/utils/sessions.js';
 
-const token = jwt.sign(
-  {
-    id: 'f81d6345-fbf6-4a4f-8b93-2097c71f987f',
-    permissions: ['EMPLOYEE_CREATE']
-  },
-  'iqonik-super-secret-key',
-  { expiresIn: '1h' }
-);
+const [email] = process.argv.slice(2);
+if (!email) {
+  console.error('Usage: node gen-token.js <email>');
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+  console.error('JWT_SECRET is not set (see .env)');
+  process.exit(1);
+}
 
-console.log(token);
+const pool = new pkg.Pool({ connectionString: process.env.DATABASE_URL });
+try {
+  const { rows } = await pool.query(
+    `SELECT id, status FROM users WHERE lower(email)=lower($1)`,
+    [email]
+  );
+  if (!rows.length) throw new Error(`No user with email ${email}`);
+  if (rows[0].status !== 'active') throw new Error(`User ${email} is ${rows[0].status}`);
+  const { session, refreshToken } = await createSession(pool, { userId: rows[0].id, device: 'gen-token' });
+  const out = await issueTokens(pool, session, refreshToken);
+  console.log(`Permissions: ${out.user.permissions.join(', ') || '(none)'}`);
+  console.log(`Access token (${out.expires_in / 60} min):\n${out.token}\n`);
+  console.log(`Refresh token (POST /auth/refresh):\n${out.refresh_token}`);
+  if (out.user.must_change_password)
+    console.warn('\nThis user must change their password first: until then the token only works for POST /auth/password and /auth/logout.');
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -8,6 +8,51 @@ import pkg from 'pg';
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import archiver from 'archiver';
+import { PERIOD_RE, computeRunLines, periodBounds, writeRunLines } from './src/utils/payroll.js';
+import { missingRules } from './src/utils/statutory.js';
+import { buildPayslip, clearPayslips, renderPayslip, payslipPath } from './src/utils/payslip.js';
+import { bankLayouts, debitAccountError, loadRunBankLines, prepareTransfers, renderBankFile } from './src/utils/bankfile.js';
+import {
+  LEAVE_SESSIONS, WORKDAY_HOURS, findLeaveConflict, leaveBalances, leaveDayCharges, remainingSegments,
+  resolvePolicies,
+} from './src/utils/leavePolicy.js';
+import {
+  actionableApprovals, closeChain, decideStep, escalateOverdue, startChain, validSteps,
+} from './src/utils/leaveApproval.js';
+import { applyYearEnd, computeYearEnd } from './src/utils/yearEnd.js';
+import { refreshMonthly, refreshStaleMonths } from './src/utils/attendance.js';
+import {
+  SHIFT_TIMING_FIELDS, loadRoster, punchWorkDate, recomputeShiftDays, recomputeShiftFlags,
+} from './src/utils/shifts.js';
+import { OFFER_TRANSITIONS, listTemplates, loadTemplate, normalizeCtc, offerPdfPath, renderOfferLetter } from './src/utils/offers.js';
+import { createPreJoinEmployee } from './src/utils/onboarding.js';
+import { applyEsignEvent, esignProvider, esignSetupError, startSigning, writeSignedCopy } from './src/utils/esign.js';
+import {
+  RETENTION, addDocumentVersion, applyRetention, currentDocuments, documentChecklist, documentHistory,
+  reviewDocument, setCurrentVersion,
+} from './src/utils/documents.js';
+import { MAX_DOC_BYTES, checkUpload, readDocumentFile, saveDocumentFile, storedPath } from './src/utils/docStorage.js';
+import {
+  AUDIT_CSV_HEADER, auditCsvRows, auditTrail, queryAudit, recordAudit, snapshot,
+} from './src/utils/audit.js';
+import {
+  loadRole, missingPermissions, roleManagerCount, setRolePermissions, tokenClaims, userRoles,
+} from './src/utils/rbac.js';
+import { employeeScope, inScope, scopeCondition } from './src/utils/scope.js';
+import {
+  activeSession, createSession, issueTokens, listSessions, revokeSessions, rotateSession,
+} from './src/utils/sessions.js';
+import {
+  LOCKOUT_MINUTES, appBaseUrl, clearLoginFailures, consumePasswordToken, recordLoginFailure, issuePasswordLink, mailPasswordLink, setPassword,
+  validatePassword,
+} from './src/utils/passwords.js';
+import { mailTransport } from './src/utils/mailer.js';
+import { DEFAULT_WEEKLY_OFFS, addDays, datesBetween, isIsoDate, loadCalendar, parseHolidayCsv, workingDates } from './src/utils/calendar.js';
+import { checkGeofence, currentQrCode, ipInRanges, normalizeIp, validCidr, verifyQrCode } from './src/utils/geofence.js';
 
 const { Pool } = pkg;
 
@@ -16,27 +61,29 @@ const asArray = (v) => (Array.isArray(v) ? v : v ? [v] : []);
 const ok   = (res, data) => res.json({ ok: true, data });
 const oops = (res, e, code = 500) => { console.error(e); res.status(code).json({ ok:false, error: e.message || String(e) }); };
 
-const toMonthBounds = (yyyyMm) => {
-  const [y, m] = yyyyMm.split('-').map(Number);
-  const start = new Date(Date.UTC(y, m - 1, 1));
-  const end   = new Date(Date.UTC(y, m, 1)); // exclusive
-  return { start, end };
-};
-
 /* ---------- App & DB ---------- */
 const app = express();
+// behind a reverse proxy, req.ip must come from X-Forwarded-For for IP punches
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
 app.use(helmet());
-app.use(express.json({ limit: '10mb' }));
+// keep the raw body around for webhook signature checks
+app.use(express.json({ limit: '10mb', verify: (req, _res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use(cors());
 app.use(morgan('tiny'));
 
+// Background timers (approval escalation, attendance rollup, document retention)
+// run only in the one process started with RUN_JOBS=1, so several instances
+// don't repeat each other's work
+const RUN_JOBS = process.env.RUN_JOBS === '1';
+
 const UPLOAD_ROOT = path.join(process.cwd(), 'uploads');
 const PUBLIC_ROOT = path.join(process.cwd(), 'public');
 
 if (!fs.existsSync(UPLOAD_ROOT)) fs.mkdirSync(UPLOAD_ROOT, { recursive: true });
+if (!process.env.DOCUMENT_KEY) console.warn('⚠️ DOCUMENT_KEY is not set, document uploads and downloads will fail');
 
-// static
-app.use('/uploads', express.static(UPLOAD_ROOT));
+// static (uploads are not: documents go through /api/documents/:id/download)
 app.use(express.static(PUBLIC_ROOT));
 app.get('/', (_req, res) => res.sendFile(path.join(PUBLIC_ROOT, 'index.html')));
 
@@ -46,48 +93,81 @@ const pool = new Pool({
   idleTimeoutMillis: 30_000,
 });
 
+// every successful POST/PUT/PATCH/DELETE lands in audit_logs (see src/utils/audit.js)
+app.use(auditTrail(pool));
+
 /* ---------- Auth Middleware ---------- */
-function authRequired(req, res, next) {
+// Access tokens come from /auth/login or /auth/refresh and name their session
+// (sid); a revoked or expired session, or an inactive user, is refused even
+// while the token itself is still valid. Until a user replaces a password
+// chosen for them, they can only do that or sign out.
+const PASSWORD_CHANGE_ROUTES = new Set(['/auth/password', '/auth/logout']);
+
+async function authRequired(req, res, next) {
   const header = req.headers['authorization'];
   if (!header) return res.status(401).json({ error: 'Missing Authorization' });
+  let payload;
   try {
-    req.user = jwt.verify(header.replace(/^Bearer\s+/i, ''), process.env.JWT_SECRET);
-    return next();
+    payload = jwt.verify(header.replace(/^Bearer\s+/i, ''), process.env.JWT_SECRET);
   } catch {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  if (!payload.sid) return res.status(401).json({ error: 'Invalid token' });
+  let session;
+  try {
+    session = await activeSession(pool, payload.sid, payload.id);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: 'Failed to check session' });
+  }
+  if (!session) return res.status(401).json({ error: 'Session expired or revoked' });
+  if (session.must_change_password && !PASSWORD_CHANGE_ROUTES.has(req.path))
+    return res.status(403).json({ error: 'Password change required', password_change_required: true });
+  req.user = payload;
+  next();
+}
+
+// every code guarded here, checked against the permissions table at startup
+const PERMISSIONS_USED = new Set();
+
+function hasPermission(req, code) {
+  return asArray(req?.user?.permissions).includes(code);
 }
 
 function requirePermission(code) {
+  PERMISSIONS_USED.add(code);
   return (req, res, next) => {
-    const perms = asArray(req?.user?.permissions);
-    if (!perms.includes(code)) return res.status(403).json({ error: 'Forbidden' });
+    if (!hasPermission(req, code)) return res.status(403).json({ error: 'Forbidden' });
     next();
   };
 }
 
 /* ---------- Multer Config for Docs ---------- */
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const empId = req.empId || 'temp';
-    const empDir = path.join(UPLOAD_ROOT, empId);
-    if (!fs.existsSync(empDir)) fs.mkdirSync(empDir, { recursive: true });
-    cb(null, empDir);
-  },
-  filename: function (_req, file, cb) {
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + ext);
-  }
-});
-const upload = multer({ storage });
+// kept in memory: each file is sniffed, then written encrypted (src/utils/docStorage.js)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOC_BYTES } });
+
+// multer's own errors (oversized file, unexpected field) as JSON 413/400
+function docUpload(fields) {
+  const handler = upload.fields(fields);
+  return (req, res, next) => handler(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === 'LIMIT_FILE_SIZE')
+      return res.status(413).json({ error: `${err.field}: files must be under ${MAX_DOC_BYTES / 1024 / 1024} MB` });
+    res.status(400).json({ error: `${err.field || 'upload'}: ${err.message}` });
+  });
+}
 
 /* ---------- Extract Employee ID from token (for doc uploads) ---------- */
+// Runs before multer, so a multipart body isn't parsed yet: the token must come
+// from ?token= or the x-doc-token header.
 function extractEmpId(req, res, next) {
   try {
-    const token = req.body.token || req.query.token || req.headers['x-doc-token'];
+    const token = req.query.token || req.headers['x-doc-token'];
     if (!token) return res.status(400).json({ error: 'Missing token' });
     const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.empId = payload.empId; // token should contain { empId }
+    // Only a document-upload link token; an access token also carries empId
+    if (payload.purpose !== 'docs' || !payload.empId) return res.status(401).json({ error: 'Invalid/expired token' });
+    req.empId = payload.empId; // token should contain { empId, purpose: 'docs' }
     next();
   } catch (e) {
     console.error(e);
@@ -99,336 +179,3809 @@ function extractEmpId(req, res, next) {
 app.get('/health', (_req, res) => ok(res, { ts: new Date().toISOString() }));
 
 /* ============================================================
-   EMPLOYEE ONBOARDING & DOCUMENTS (uses users, employees, documents)
+   AUTH & SESSIONS (uses users, auth_sessions, password_tokens)
    ============================================================ */
 
-// Create employee (basic onboarding) — matches schema fields
-app.post('/employees', authRequired, requirePermission('EMPLOYEE_CREATE'), async (req, res) => {
-  const { name, email, phone } = req.body || {};
-  if (!name || !email) return res.status(400).json({ error: 'name & email required' });
+if (!mailTransport()) console.warn(`⚠️ Unknown MAIL_TRANSPORT '${process.env.MAIL_TRANSPORT}', emails will fail`);
+if (!appBaseUrl()) console.warn("⚠️ APP_BASE_URL is not set, activation and reset links won't be sent");
+
+// Sign in with email + password; opens a session ({ device } names it).
+// Repeated failures lock the account for a while (423)
+app.post('/auth/login', async (req, res) => {
+  const { email, password, device } = req.body || {};
+  if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
 
   const client = await pool.connect();
   try {
-    await client.query('BEGIN');
-
-    const { rows: userRows } = await client.query(
-      `INSERT INTO users (name, email, phone)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name, phone = EXCLUDED.phone, updated_at = NOW()
-       RETURNING id`,
-      [name, email, phone || null]
-    );
-    const userId = userRows[0].id;
-
-    // simple code like EMP-AB12CD34
-    const empCode = 'EMP-' + (Math.random().toString(36).slice(2,10)).toUpperCase();
-
-    const { rows: empRows } = await client.query(
-      `INSERT INTO employees (user_id, code, status)
-       VALUES ($1, $2, 'pre_join')
-       ON CONFLICT (user_id) DO NOTHING
-       RETURNING id, code, status`,
-      [userId, empCode]
+    const { rows } = await client.query(
+      `SELECT id, status, password_hash, locked_until, locked_until > NOW() AS locked
+       FROM users WHERE lower(email)=lower($1)`,
+      [email]
     );
+    const user = rows[0];
+    const lockedError = (until) =>
+      res.status(423).json({ error: 'Too many failed sign-ins; try again later or reset your password', locked_until: until });
+    if (user?.locked) {
+      await recordAudit(client, {
+        req, actorId: user.id, action: 'auth.login_failed', targetType: 'user', targetId: user.id, meta: { email, locked: true },
+      });
+      return lockedError(user.locked_until);
+    }
+    const valid = !!user?.password_hash && await bcrypt.compare(String(password), user.password_hash);
+    if (!valid) {
+      const failure = user ? await recordLoginFailure(client, user.id) : null;
+      await recordAudit(client, {
+        req, actorId: user?.id ?? null, action: failure?.locked ? 'auth.lockout' : 'auth.login_failed',
+        targetType: 'user', targetId: user?.id, meta: { email, failed_logins: failure?.failed_logins },
+      });
+      if (failure?.locked) return lockedError(failure.locked_until);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    if (user.status !== 'active') return res.status(403).json({ error: 'Account is not active' });
 
+    await client.query('BEGIN');
+    const { session, refreshToken } = await createSession(client, {
+      userId: user.id, device: device || null, ip: req.ip, userAgent: req.get('user-agent') || null,
+    });
+    await client.query(`UPDATE users SET last_login_at=NOW(), failed_logins=0, locked_until=NULL WHERE id=$1`, [user.id]);
+    await recordAudit(client, {
+      req, actorId: user.id, action: 'auth.login', targetType: 'user', targetId: user.id, meta: { session_id: session.id, device: session.device },
+    });
     await client.query('COMMIT');
-
-    if (!empRows.length) {
-      return res.status(200).json({ message: 'Employee already exists', user_id: userId });
-    }
-    const emp = empRows[0];
-    res.status(201).json({ user_id: userId, employee_id: emp.id, employee_code: emp.code, status: emp.status });
+    res.json(await issueTokens(pool, session, refreshToken));
   } catch (e) {
     await client.query('ROLLBACK');
     console.error(e);
-    res.status(500).json({ error: 'failed to create employee' });
+    res.status(500).json({ error: 'Login failed' });
   } finally {
     client.release();
   }
 });
 
-// Employee: Upload documents (writes to documents table)
-app.post(
-  '/api/employee/upload-docs',
-  extractEmpId,
-  upload.fields([
-    { name: 'aadhar', maxCount: 1 },
-    { name: 'pan',    maxCount: 1 },
-    { name: 'bank',   maxCount: 1 },
-    { name: 'photo',  maxCount: 1 },
-  ]),
-  async (req, res) => {
-    try {
-      const empId = req.empId;
-      const files = req.files || {};
-      const tasks = [];
-
-      for (const [field, arr] of Object.entries(files)) {
-        const f = arr[0];
-        // produce a web URL under /uploads/<empId>/<filename>
-        const fileUrl = '/uploads/' + empId + '/' + path.basename(f.path);
-        tasks.push(pool.query(
-          `INSERT INTO documents (employee_id, type, file_url)
-           VALUES ($1, $2, $3)`,
-          [empId, field, fileUrl]
-        ));
-      }
-
-      if (!tasks.length) return res.status(400).json({ error: 'No files uploaded' });
+// Swap a refresh token for a new access + refresh token pair (the old refresh
+// token stops working; replaying it revokes the session)
+app.post('/auth/refresh', async (req, res) => {
+  const refreshToken = req.body?.refresh_token;
+  if (!refreshToken) return res.status(400).json({ error: 'refresh_token required' });
 
-      await Promise.all(tasks);
-      // optionally move status from pre_join -> active after docs
-      await pool.query(`UPDATE employees SET status='active', updated_at=NOW() WHERE id=$1 AND status='pre_join'`, [empId]);
-
-      res.json({ ok: true, saved: Object.keys(files) });
-    } catch (e) {
-      console.error(e);
-      res.status(500).json({ error: 'Doc upload failed' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await rotateSession(client, refreshToken, { ip: req.ip });
+    if (r.reused) {
+      await recordAudit(client, {
+        req, actorId: r.session.user_id, action: 'auth.refresh_reuse', targetType: 'user', targetId: r.session.user_id,
+        meta: { session_id: r.session.id },
+      });
     }
+    // kept even on error: reuse and deactivation revoke the session
+    await client.query('COMMIT');
+    if (r.error) return res.status(r.code).json({ error: r.error });
+    // routine refreshes aren't worth an audit entry each
+    req.audited = true;
+    res.json(await issueTokens(pool, r.session, r.refreshToken));
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Refresh failed' });
+  } finally {
+    client.release();
   }
-);
-
-/* ============================================================
-   LEAVE MANAGEMENT (uses leaves, attendance_days; no extra tables)
-   ============================================================ */
+});
 
-// Employee: Apply leave (schema: leaves.type TEXT, status lowercase)
-app.post('/api/leave/apply', authRequired, async (req, res) => {
-  const { type, start_date, end_date, reason } = req.body || {};
-  if (!type || !start_date || !end_date)
-    return res.status(400).json({ error: 'type, start_date, end_date required' });
+// Sign out of this session, or of every session with { all: true }
+app.post('/auth/logout', authRequired, async (req, res) => {
+  const all = req.body?.all === true;
+  try {
+    const revoked = await revokeSessions(pool, all
+      ? { userId: req.user.id, reason: 'logout' }
+      : { sessionId: req.user.sid, reason: 'logout' });
+    await recordAudit(pool, {
+      req, action: 'auth.logout', targetType: 'user', targetId: req.user.id, meta: { sessions: revoked.map(s => s.id), all },
+    });
+    res.json({ ok: true, revoked: revoked.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
 
+// Employee: My open sessions (devices), the current one flagged
+app.get('/auth/sessions', authRequired, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `INSERT INTO leaves (employee_id, type, start_date, end_date, reason, status)
-       VALUES ((SELECT id FROM employees WHERE user_id=$1), $2, $3, $4, $5, 'pending')
-       RETURNING id, status`,
-      [req.user.id, type, start_date, end_date, reason || null]
-    );
-    res.json({ ok: true, request_id: rows[0].id, status: rows[0].status });
+    const rows = await listSessions(pool, req.user.id);
+    res.json(rows.map(s => ({ ...s, current: s.id === req.user.sid })));
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to apply leave' });
+    res.status(500).json({ error: 'Failed to fetch sessions' });
   }
 });
 
-// Employee: Leave balances (derived YTD; simple default allocations)
-app.get('/api/leave/balance', authRequired, async (req, res) => {
-  const ALLOC = { CL: 12, SL: 8, PL: 12 }; // tweak as desired
+// Employee: Sign one of my other devices out
+app.delete('/auth/sessions/:id', authRequired, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT type,
-              SUM( GREATEST(1, DATE_PART('day', (end_date - start_date)) + 1) ) AS days
-       FROM leaves
-       WHERE employee_id = (SELECT id FROM employees WHERE user_id=$1)
-         AND status='approved'
-         AND start_date >= DATE_TRUNC('year', NOW())
-       GROUP BY type`,
-      [req.user.id]
-    );
-    const used = Object.fromEntries(rows.map(r => [r.type, Number(r.days)]));
-    const out = Object.entries(ALLOC).map(([t, alloc]) => ({
-      type: t,
-      allocated: alloc,
-      used: used[t] || 0,
-      remaining: alloc - (used[t] || 0),
-    }));
-    res.json(out);
+    const [revoked] = await revokeSessions(pool, { sessionId: req.params.id, userId: req.user.id, reason: 'logout' });
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    await recordAudit(pool, {
+      req, action: 'auth.logout', targetType: 'user', targetId: req.user.id, meta: { sessions: [revoked.id], all: false },
+    });
+    res.json({ ok: true });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch balances' });
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 });
 
-// Manager: Pending leave requests (no leave_types table)
-app.get('/api/leave/pending', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+// Change my password { current_password, new_password }; signs my other
+// sessions out. Also how a user clears must_change_password
+app.post('/auth/password', authRequired, async (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  if (!current_password || !new_password) return res.status(400).json({ error: 'current_password and new_password required' });
+
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query(
-      `SELECT l.id, u.name AS employee_name, l.type AS leave_type,
-              l.start_date, l.end_date, l.reason, l.status
-       FROM leaves l
-       JOIN employees e ON e.id = l.employee_id
-       JOIN users u ON u.id = e.user_id
-       WHERE e.manager_id = $1 AND l.status='pending'
-       ORDER BY l.created_at ASC`,
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT id, name, email, password_hash FROM users WHERE id=$1 FOR UPDATE`,
       [req.user.id]
     );
-    res.json(rows);
+    const user = rows[0];
+    if (!user?.password_hash || !(await bcrypt.compare(String(current_password), user.password_hash))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+    if (await bcrypt.compare(String(new_password), user.password_hash)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Choose a password different from the current one' });
+    }
+    const bad = validatePassword(new_password, user);
+    if (bad) {
+      await client.query('ROLLBACK');
+      return res.status(bad.code).json({ error: bad.error, problems: bad.problems });
+    }
+    await setPassword(client, user.id, new_password);
+    const revoked = await revokeSessions(client, { userId: user.id, keepSessionId: req.user.sid, reason: 'password_change' });
+    await recordAudit(client, {
+      req, action: 'user.password_change', targetType: 'user', targetId: user.id, meta: { revoked_sessions: revoked.length },
+    });
+    await client.query('COMMIT');
+    res.json({ ok: true, revoked_sessions: revoked.length });
   } catch (e) {
+    await client.query('ROLLBACK');
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch pending leaves' });
+    res.status(500).json({ error: 'Failed to change password' });
+  } finally {
+    client.release();
   }
 });
 
-// Manager: Approve/Reject + write to attendance_days (lowercase statuses)
-app.put('/api/leave/:id/status', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body || {};
-  const s = String(status || '').toLowerCase();
-  if (!['approved','rejected'].includes(s))
-    return res.status(400).json({ error: 'status must be approved or rejected' });
+// Forgot password { email }: emails a reset link to an active account. The
+// answer is the same either way, so it can't be used to probe for accounts
+app.post('/auth/forgot', async (req, res) => {
+  const email = String(req.body?.email || '').trim();
+  if (!email) return res.status(400).json({ error: 'Email required' });
+  if (!appBaseUrl()) return res.status(503).json({ error: 'Password reset by email is not configured' });
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-
     const { rows } = await client.query(
-      `SELECT * FROM leaves WHERE id=$1 AND status='pending' FOR UPDATE`,
-      [id]
+      `SELECT u.id,
+              EXISTS (SELECT 1 FROM password_tokens t WHERE t.user_id = u.id AND t.purpose='reset'
+                      AND t.created_at > NOW() - interval '1 minute') AS just_sent
+       FROM users u WHERE lower(u.email)=lower($1) AND u.status='active'`,
+      [email]
     );
-    if (!rows.length) {
+    const user = rows[0];
+    // one link a minute, so the endpoint can't flood an inbox
+    const link = user && !user.just_sent
+      ? await issuePasswordLink(client, user.id, 'reset')
+      : null;
+    await recordAudit(client, {
+      req, actorId: user?.id ?? null, action: 'auth.password_reset_request', targetType: 'user', targetId: user?.id,
+      meta: { email, sent: !!link, ...(link && { link_id: link.token_id }) },
+    });
+    await client.query('COMMIT');
+    // not awaited: how long the answer takes mustn't tell whether an email went out
+    if (link) mailPasswordLink(link);
+    res.json({ ok: true, message: 'If that email belongs to an active account, a reset link is on its way' });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to send reset link' });
+  } finally {
+    client.release();
+  }
+});
+
+// Set a password through an emailed link { token, password }: activation for
+// a new account, reset for a forgotten password. Ends every open session
+function setPasswordFromLink(purpose) {
+  return async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || !password) return res.status(400).json({ error: 'token and password required' });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const r = await consumePasswordToken(client, token, purpose);
+      if (r.error) {
+        await client.query('ROLLBACK');
+        return res.status(r.code).json({ error: r.error });
+      }
+      const bad = validatePassword(password, r.user);
+      if (bad) {
+        await client.query('ROLLBACK');
+        return res.status(bad.code).json({ error: bad.error, problems: bad.problems });
+      }
+      await setPassword(client, r.user.id, password);
+      const revoked = await revokeSessions(client, { userId: r.user.id, reason: 'password_reset' });
+      await recordAudit(client, {
+        req, actorId: r.user.id, action: purpose === 'activation' ? 'user.activate' : 'user.password_reset',
+        targetType: 'user', targetId: r.user.id, meta: { revoked_sessions: revoked.length },
+      });
+      await client.query('COMMIT');
+      res.json({ ok: true, email: r.user.email });
+    } catch (e) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'Leave not found or already processed' });
+      console.error(e);
+      res.status(500).json({ error: 'Failed to set password' });
+    } finally {
+      client.release();
     }
-    const leave = rows[0];
+  };
+}
+app.post('/auth/activate', setPasswordFromLink('activation'));
+app.post('/auth/reset', setPasswordFromLink('reset'));
 
-    await client.query(
-      `UPDATE leaves SET status=$1, approver_id=$2 WHERE id=$3`,
-      [s, req.user.id, id]
-    );
+// Admin: A user's sessions (:id = user id or email); ?all=true includes ended ones
+app.get('/api/admin/users/:id/sessions', authRequired, requirePermission('ROLE_MANAGE'), async (req, res) => {
+  try {
+    const user = await findUser(pool, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ user, sessions: await listSessions(pool, user.id, { all: req.query.all === 'true' }) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-    if (s === 'approved') {
-      await client.query(
-        `INSERT INTO attendance_days (employee_id, date, status, source, geofence_ok)
-         SELECT $1, d::date, 'leave', 'web', true
-         FROM generate_series($2::date, $3::date, interval '1 day') d
-         ON CONFLICT (employee_id, date)
-         DO UPDATE SET status='leave', source='web', geofence_ok=true`,
-        [leave.employee_id, leave.start_date, leave.end_date]
-      );
-    }
+// Admin: Revoke all of a user's sessions, or one (:sessionId)
+async function adminRevokeSessions(req, res) {
+  try {
+    const user = await findUser(pool, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const revoked = await revokeSessions(pool, { userId: user.id, sessionId: req.params.sessionId || null });
+    if (req.params.sessionId && !revoked.length) return res.status(404).json({ error: 'Session not found' });
+    await recordAudit(pool, {
+      req, action: 'session.revoke', targetType: 'user', targetId: user.id, meta: { sessions: revoked.map(s => s.id) },
+    });
+    res.json({ ok: true, revoked: revoked.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+}
+app.delete('/api/admin/users/:id/sessions', authRequired, requirePermission('ROLE_MANAGE'), adminRevokeSessions);
+app.delete('/api/admin/users/:id/sessions/:sessionId', authRequired, requirePermission('ROLE_MANAGE'), adminRevokeSessions);
 
+// Admin: Activate or deactivate a user's account { status: active | inactive };
+// deactivating signs them out everywhere
+app.put('/api/admin/users/:id/status', authRequired, requirePermission('EMPLOYEE_DEACTIVATE'), async (req, res) => {
+  const status = String(req.body?.status || '').toLowerCase();
+  if (!['active', 'inactive'].includes(status)) return res.status(400).json({ error: 'status must be active or inactive' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const user = await findUser(client, req.params.id);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id && status === 'inactive') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'You cannot deactivate yourself' });
+    }
+    await client.query(`UPDATE users SET status=$2, updated_at=NOW() WHERE id=$1`, [user.id, status]);
+    const revoked = status === 'inactive' ? await revokeSessions(client, { userId: user.id, reason: 'user_inactive' }) : [];
+    if (await roleManagerCount(client) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: LOCKOUT_ERROR });
+    }
+    await recordAudit(client, {
+      req, action: 'user.status', targetType: 'user', targetId: user.id,
+      before: { status: user.status }, after: { status }, meta: { revoked_sessions: revoked.length },
+    });
     await client.query('COMMIT');
-    res.json({ ok: true, status: s });
+    res.json({ ok: true, id: user.id, status, revoked_sessions: revoked.length });
   } catch (e) {
     await client.query('ROLLBACK');
     console.error(e);
-    res.status(500).json({ error: 'Failed to update leave' });
+    res.status(500).json({ error: 'Failed to update user status' });
   } finally {
     client.release();
   }
 });
 
-/* ============================================================
-   ATTENDANCE (uses attendance_days)
-   ============================================================ */
-
-// Employee: My last 60 days
-app.get('/api/attendance/my', authRequired, async (req, res) => {
+// Admin: Email a user a link to set their password: activation while they
+// have none yet, otherwise a reset
+app.post('/api/admin/users/:id/password-link', authRequired, requirePermission('EMPLOYEE_DEACTIVATE'), async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { rows } = await pool.query(
-      `SELECT a.date, a.status, a.source, a.geofence_ok
-       FROM attendance_days a
-       JOIN employees e ON a.employee_id = e.id
-       WHERE e.user_id=$1
-       ORDER BY a.date DESC
-       LIMIT 60`,
-      [req.user.id]
-    );
-    res.json(rows);
+    await client.query('BEGIN');
+    const user = await findUser(client, req.params.id);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.status !== 'active') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Account is not active' });
+    }
+    const { rows } = await client.query(`SELECT password_hash IS NULL AS unset FROM users WHERE id=$1`, [user.id]);
+    const purpose = rows[0].unset ? 'activation' : 'reset';
+    const link = await issuePasswordLink(client, user.id, purpose, { createdBy: req.user.id });
+    if (link.error) {
+      await client.query('ROLLBACK');
+      return res.status(link.code).json({ error: link.error });
+    }
+    await recordAudit(client, {
+      req, action: 'user.password_link', targetType: 'user', targetId: user.id, meta: { purpose, link_id: link.token_id },
+    });
+    await client.query('COMMIT');
+    if (!(await mailPasswordLink(link)))
+      return res.status(502).json({ error: 'The link was created but the email could not be sent; try again' });
+    res.json({ ok: true, purpose, expires_at: link.expires_at });
   } catch (e) {
+    await client.query('ROLLBACK');
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch attendance' });
+    res.status(500).json({ error: 'Failed to send password link' });
+  } finally {
+    client.release();
   }
 });
 
-// Manager: Team attendance (recent)
-app.get('/api/attendance/team', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+// Admin: Lift a sign-in lockout before its LOCKOUT_MINUTES run out
+app.delete('/api/admin/users/:id/lock', authRequired, requirePermission('EMPLOYEE_DEACTIVATE'), async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT u.name AS employee, a.date, a.status
-       FROM employees e
-       JOIN users u ON u.id = e.user_id
-       LEFT JOIN attendance_days a ON a.employee_id = e.id
-       WHERE e.manager_id=$1
-       ORDER BY u.name, a.date DESC
-       LIMIT 200`,
-      [req.user.id]
-    );
-    res.json(rows);
+    const user = await findUser(pool, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { rows } = await pool.query(`SELECT failed_logins, locked_until FROM users WHERE id=$1`, [user.id]);
+    await clearLoginFailures(pool, user.id);
+    await recordAudit(pool, {
+      req, action: 'user.unlock', targetType: 'user', targetId: user.id,
+      before: rows[0], after: { failed_logins: 0, locked_until: null }, meta: { lockout_minutes: LOCKOUT_MINUTES },
+    });
+    res.json({ ok: true });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch team attendance' });
+    res.status(500).json({ error: 'Failed to unlock user' });
   }
 });
 
 /* ============================================================
-   HR DASHBOARD: Refresh (ack) + Payroll summary (computed live)
+   EMPLOYEE ONBOARDING & DOCUMENTS (uses users, employees, documents)
    ============================================================ */
 
-// Button ack (we compute live in the GET below)
-app.post('/api/hr/attendance/refresh', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
-  const { month } = req.body || {};
-  if (!month) return res.status(400).json({ error: 'month (YYYY-MM) is required' });
-  res.json({ ok: true, message: `Recalculated for ${month}` });
-});
-
-// Live payroll summary from attendance_days + latest ctc_structures
-app.get('/api/hr/payroll-summary', authRequired, requirePermission('HR_VIEW'), async (req, res) => {
-  const { month } = req.query || {};
-  if (!month) return res.status(400).json({ error: 'month (YYYY-MM) is required' });
-
-  const { start, end } = toMonthBounds(month);
-
-  try {
-    const { rows } = await pool.query(
-      `WITH month_att AS (
-         SELECT e.id AS employee_id,
-                SUM(CASE WHEN a.status='present' THEN 1 ELSE 0 END) AS presents,
-                SUM(CASE WHEN a.status='leave'   THEN 1 ELSE 0 END) AS leaves,
-                SUM(CASE WHEN a.status='absent'  THEN 1 ELSE 0 END) AS absents
-         FROM employees e
-         LEFT JOIN attendance_days a
-           ON a.employee_id = e.id
-          AND a.date >= $1::date
-          AND a.date <  $2::date
-         GROUP BY e.id
-       ),
-       latest_ctc AS (
-         SELECT DISTINCT ON (c.employee_id)
-                c.employee_id,
-                (c.basic + c.hra + c.special) AS base_salary
-         FROM ctc_structures c
-         WHERE c.effective_from <= $1::date
-         ORDER BY c.employee_id, c.effective_from DESC
-       )
-       SELECT u.name AS employee,
-              COALESCE(l.base_salary,0)::numeric(12,2) AS base_salary,
-              COALESCE(m.presents,0) AS presents,
-              COALESCE(m.leaves,0)   AS leaves,
-              COALESCE(m.absents,0)  AS absents
-       FROM employees e
-       JOIN users u ON u.id = e.user_id
-       LEFT JOIN month_att m ON m.employee_id = e.id
-       LEFT JOIN latest_ctc l ON l.employee_id = e.id
-       ORDER BY u.name`,
-      [start, end]
-    );
+// Create employee (basic onboarding) — matches schema fields
+app.post('/employees', authRequired, requirePermission('EMPLOYEE_CREATE'), async (req, res) => {
+  const { name, email, phone } = req.body || {};
+  if (!name || !email) return res.status(400).json({ error: 'name & email required' });
 
-    const WORKING_DAYS = 26; // adjust for your policy
-    const data = rows.map(r => ({
-      employee: r.employee,
-      base_salary: Number(r.base_salary),
-      presents: Number(r.presents),
-      leaves: Number(r.leaves),
-      absents: Number(r.absents),
-      payable_salary: Math.round(Number(r.base_salary) * (Math.max(0, Number(r.presents) + Number(r.leaves)) / WORKING_DAYS))
-    }));
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { userId, employee: emp } = await createPreJoinEmployee(client, { name, email, phone });
+    if (emp) {
+      await recordAudit(client, {
+        req, action: 'employee.create', targetType: 'employee', targetId: emp.id,
+        after: { employee: await snapshot(client, 'employees', emp.id), user: await snapshot(client, 'users', userId) },
+      });
+    }
+    await client.query('COMMIT');
 
-    res.json(data);
+    if (!emp) {
+      return res.status(200).json({ message: 'Employee already exists', user_id: userId });
+    }
+    res.status(201).json({ user_id: userId, employee_id: emp.id, employee_code: emp.code, status: emp.status });
   } catch (e) {
+    await client.query('ROLLBACK');
     console.error(e);
-    res.status(500).json({ error: 'Failed to compute payroll summary' });
+    res.status(500).json({ error: 'failed to create employee' });
+  } finally {
+    client.release();
   }
 });
 
-/* ---------- 404 & Error ---------- */
-app.use((req, res) => res.status(404).json({ error: 'Not found', path: req.path }));
-app.use((err, _req, res, _next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+// Doc token link: required documents with their review status and rejection reasons
+app.get('/api/employee/docs', extractEmpId, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT e.code, e.status, u.name FROM employees e JOIN users u ON u.id = e.user_id WHERE e.id=$1`,
+      [req.empId]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Employee not found' });
+    const checklist = await documentChecklist(pool, req.empId);
+    res.json({ employee: rows[0].name, employee_code: rows[0].code, employee_status: rows[0].status, ...checklist });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
 });
 
-/* ---------- Start ---------- */
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => console.log(`✅ IQONIK HRMS backend listening on ${PORT}`));
+// Employee: Upload documents via the doc token link. Each file becomes the next
+// version of its type, pending HR review; approved types can't be replaced here.
+app.post(
+  '/api/employee/upload-docs',
+  extractEmpId,
+  docUpload([
+    { name: 'aadhar', maxCount: 1 },
+    { name: 'pan',    maxCount: 1 },
+    { name: 'bank',   maxCount: 1 },
+    { name: 'photo',  maxCount: 1 },
+  ]),
+  async (req, res) => {
+    const empId = req.empId;
+    const files = req.files || {};
+    if (!Object.keys(files).length) return res.status(400).json({ error: 'No files uploaded' });
+    const checked = Object.entries(files).map(([field, arr]) => ({ field, file: arr[0], ...checkUpload(field, arr[0].buffer) }));
+    const invalid = checked.filter(c => c.error);
+    if (invalid.length) return res.status(415).json({ error: invalid.map(c => c.error).join('; ') });
+
+    const client = await pool.connect();
+    const written = [];
+    try {
+      await client.query('BEGIN');
+      const { rows: emp } = await client.query(`SELECT id, user_id FROM employees WHERE id=$1 FOR UPDATE`, [empId]);
+      if (!emp.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Employee not found' });
+      }
+      const current = Object.fromEntries((await currentDocuments(client, empId)).map(d => [d.type, d]));
+
+      const saved = [], skipped = [];
+      for (const { field, file, format } of checked) {
+        if (current[field]?.status === 'approved') {
+          skipped.push(field);
+          continue;
+        }
+        // timestamped so a re-upload never overwrites an earlier version
+        const fileUrl = saveDocumentFile(UPLOAD_ROOT, empId, `${field}_${Date.now()}${format.ext}`, file.buffer);
+        written.push(fileUrl);
+        // bank proof carries the account details payroll needs
+        const data = field === 'bank'
+          ? {
+              account_holder: req.body.account_holder || null,
+              account_number: req.body.account_number || null,
+              ifsc: (req.body.ifsc || '').toUpperCase() || null,
+              bank_name: req.body.bank_name || null,
+            }
+          : {};
+        const added = await addDocumentVersion(client, {
+          employeeId: empId, type: field, fileUrl, data: { ...data, mime: format.mime, size: file.size },
+        });
+        await recordAudit(client, {
+          req, actorId: emp[0].user_id, action: 'document.upload', targetType: 'document', targetId: added.id,
+          before: added.previous, after: await snapshot(client, 'documents', added.id), meta: { via: 'doc_link' },
+        });
+        saved.push(field);
+      }
+
+      await client.query('COMMIT');
+      res.json({ ok: true, saved, skipped, ...(await documentChecklist(pool, empId)) });
+    } catch (e) {
+      await client.query('ROLLBACK');
+      written.forEach(url => fs.rmSync(storedPath(UPLOAD_ROOT, url), { force: true }));
+      console.error(e);
+      res.status(500).json({ error: 'Doc upload failed' });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// HR: Issue the doc token upload link for an employee (also used to re-upload rejected documents)
+app.post('/api/hr/employees/:id/doc-link', authRequired, requirePermission('DOCUMENT_CREATE'), async (req, res) => {
+  const scope = employeeScope(req.user, 'DOCUMENT_CREATE', { offset: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT e.id, e.code, u.name, u.email FROM employees e JOIN users u ON u.id = e.user_id
+       WHERE (e.id::text=$1 OR e.code=$1) AND e.status <> 'inactive' AND ${scope.sql}`,
+      [req.params.id, ...scope.params]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Employee not found' });
+    const token = jwt.sign({ empId: rows[0].id, purpose: 'docs' }, process.env.JWT_SECRET,
+      { expiresIn: process.env.DOC_LINK_TTL || '7d' });
+    res.json({
+      employee_id: rows[0].id, employee_code: rows[0].code, name: rows[0].name, email: rows[0].email,
+      url: `/upload_docs.html?token=${encodeURIComponent(token)}`,
+      ...(await documentChecklist(pool, rows[0].id)),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to issue upload link' });
+  }
+});
+
+// HR: Review queue — current versions awaiting review, oldest first
+app.get('/api/hr/documents/pending', authRequired, requirePermission('DOCS_REVIEW'), async (req, res) => {
+  const scope = employeeScope(req.user, 'DOCS_REVIEW');
+  try {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.employee_id, e.code AS employee_code, u.name AS employee_name, e.status AS employee_status,
+              d.type, d.version, d.file_url, d.data_json, d.created_at,
+              (SELECT rejection_reason FROM documents p
+               WHERE p.employee_id = d.employee_id AND p.type = d.type AND p.version < d.version
+               ORDER BY p.version DESC LIMIT 1) AS previous_rejection
+       FROM documents d
+       JOIN employees e ON e.id = d.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE d.status='pending' AND d.is_current AND ${scope.sql}
+       ORDER BY d.created_at ASC`,
+      scope.params
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch pending documents' });
+  }
+});
+
+// Audit entry for a reviewDocument() result (review queue and bank verification)
+const auditReview = (db, req, out) => recordAudit(db, {
+  req, action: 'document.review', targetType: 'document', targetId: out.document.id,
+  before: out.previous,
+  after: { status: out.document.status, rejection_reason: out.document.rejection_reason },
+  meta: {
+    type: out.document.type, version: out.document.version, employee_id: out.document.employee_id,
+    employee_activated: out.activated, activation_link: out.activation?.token_id,
+  },
+});
+
+// An employee just activated by their last approval gets a link to choose a
+// password, unless their account already has one; the caller mails it with
+// mailPasswordLink after COMMIT. Without APP_BASE_URL nothing is issued;
+// POST /api/admin/users/:id/password-link can send it later
+async function issueActivation(db, req, employeeId) {
+  const { rows } = await db.query(
+    `SELECT u.id FROM employees e JOIN users u ON u.id = e.user_id
+     WHERE e.id=$1 AND u.password_hash IS NULL AND u.status='active'`,
+    [employeeId]
+  );
+  if (!rows.length) return null;
+  const link = await issuePasswordLink(db, rows[0].id, 'activation', { createdBy: req.user.id });
+  if (link.error) {
+    console.warn(`Activation link for user ${rows[0].id} not sent: ${link.error}`);
+    return null;
+  }
+  return link;
+}
+
+// Whether a document's employee is within the caller's scope for code; one
+// with no employee yet (an offer before acceptance) needs an unscoped grant
+async function documentInScope(db, req, code, documentId) {
+  const { sql, params } = employeeScope(req.user, code, { offset: 1 });
+  const { rows } = await db.query(
+    `SELECT 1 FROM documents d LEFT JOIN employees e ON e.id = d.employee_id WHERE d.id=$1 AND ${sql}`,
+    [documentId, ...params]
+  );
+  return rows.length > 0;
+}
+
+// HR: Approve or reject (reason required) a document; the last required approval activates the employee
+app.put('/api/hr/documents/:id/review', authRequired, requirePermission('DOCS_REVIEW'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (!(await documentInScope(client, req, 'DOCS_REVIEW', req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const out = await reviewDocument(client, req.params.id, {
+      status: String(req.body?.status || '').toLowerCase(), reason: req.body?.reason, userId: req.user.id,
+    });
+    if (out.error) {
+      await client.query('ROLLBACK');
+      return res.status(out.code).json({ error: out.error });
+    }
+    if (out.activated) out.activation = await issueActivation(client, req, out.document.employee_id);
+    await auditReview(client, req, out);
+    await client.query('COMMIT');
+    const activationSent = !!out.activation && !!(await mailPasswordLink(out.activation));
+    res.json({ ok: true, ...out.document, employee_activated: out.activated, activation_sent: activationSent });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to review document' });
+  } finally {
+    client.release();
+  }
+});
+
+// HR: An employee's documents — the current version of each type and how many versions exist
+app.get('/api/hr/employees/:id/documents', authRequired, requirePermission('DOCUMENT_VIEW'), async (req, res) => {
+  const scope = employeeScope(req.user, 'DOCUMENT_VIEW', { offset: 1 });
+  try {
+    const { rows: emp } = await pool.query(
+      `SELECT e.id FROM employees e WHERE (e.id::text=$1 OR e.code=$1) AND ${scope.sql}`,
+      [req.params.id, ...scope.params]
+    );
+    if (!emp.length) return res.status(404).json({ error: 'Employee not found' });
+    const { rows } = await pool.query(
+      `SELECT c.id, c.type, c.version, c.status, c.rejection_reason, c.esign_status, c.created_at,
+              (SELECT COUNT(*)::int FROM documents x WHERE x.employee_id = c.employee_id AND x.type = c.type) AS versions
+       FROM documents c
+       WHERE c.employee_id=$1 AND c.is_current
+       ORDER BY c.type`,
+      [emp[0].id]
+    );
+    res.json({ employee_id: emp[0].id, documents: rows, ...(await documentChecklist(pool, emp[0].id)) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch documents' });
+  }
+});
+
+// HR: Version history of one document type for an employee, newest first
+app.get('/api/hr/employees/:id/documents/:type/versions', authRequired, requirePermission('DOCUMENT_VIEW'), async (req, res) => {
+  const scope = employeeScope(req.user, 'DOCUMENT_VIEW', { offset: 1 });
+  try {
+    const { rows: emp } = await pool.query(
+      `SELECT e.id FROM employees e WHERE (e.id::text=$1 OR e.code=$1) AND ${scope.sql}`,
+      [req.params.id, ...scope.params]
+    );
+    if (!emp.length) return res.status(404).json({ error: 'Employee not found' });
+    const versions = await documentHistory(pool, emp[0].id, req.params.type);
+    if (!versions.length) return res.status(404).json({ error: 'No documents of this type' });
+    res.json({ employee_id: emp[0].id, type: req.params.type, versions });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch document history' });
+  }
+});
+
+// HR: Make this version the current one of its chain (e.g. roll back a bad re-upload)
+app.put('/api/hr/documents/:id/current', authRequired, requirePermission('DOCS_REVIEW'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (!(await documentInScope(client, req, 'DOCS_REVIEW', req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const out = await setCurrentVersion(client, req.params.id);
+    if (out.error) {
+      await client.query('ROLLBACK');
+      return res.status(out.code).json({ error: out.error });
+    }
+    const activation = out.activated ? await issueActivation(client, req, out.document.employee_id) : null;
+    await recordAudit(client, {
+      req, action: 'document.set_current', targetType: 'document', targetId: out.document.id,
+      before: out.previous, after: { id: out.document.id, version: out.document.version, status: out.document.status },
+      meta: { type: out.document.type, employee_id: out.document.employee_id, activation_link: activation?.token_id },
+    });
+    await client.query('COMMIT');
+    const activationSent = !!activation && !!(await mailPasswordLink(activation));
+    const { id, employee_id, type, version, status } = out.document;
+    res.json({
+      ok: true, id, employee_id, type, version, status, is_current: true,
+      employee_activated: out.activated, activation_sent: activationSent,
+    });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to set current version' });
+  } finally {
+    client.release();
+  }
+});
+
+async function runDocumentRetention(req = null) {
+  const purged = await applyRetention(pool, UPLOAD_ROOT);
+  for (const d of purged) {
+    await recordAudit(pool, {
+      req, action: 'document.purge', targetType: 'document', targetId: d.id,
+      before: { file_url: d.file_url }, after: { file_url: null },
+      meta: { type: d.type, version: d.version, employee_id: d.employee_id },
+    });
+  }
+  return purged;
+}
+
+// HR: Purge superseded versions outside the retention policy now (also runs on a timer with RUN_JOBS=1)
+app.post('/api/hr/documents/retention', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  try {
+    const purged = await runDocumentRetention(req);
+    res.json({ ok: true, policy: RETENTION, purged: purged.length, documents: purged.map(({ file_url, ...d }) => d) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to apply document retention' });
+  }
+});
+
+const RETENTION_HOURS = Number(process.env.DOC_RETENTION_HOURS ?? 24);
+if (RUN_JOBS && RETENTION_HOURS > 0) {
+  setInterval(() => {
+    runDocumentRetention()
+      .then(p => { if (p.length) console.log(`[documents] purged ${p.length} superseded version(s)`); })
+      .catch(e => console.error('[documents] retention failed', e));
+  }, RETENTION_HOURS * 3_600_000).unref();
+}
+
+// HR (DOCUMENT_VIEW, within its scope) or the employee it belongs to: Download a document, decrypted.
+// Every attempt, allowed or not, is written to audit_logs.
+app.get('/api/documents/:id/download', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.employee_id, d.type, d.version, d.file_url, d.data_json, d.purged_at, e.user_id
+       FROM documents d LEFT JOIN employees e ON e.id = d.employee_id
+       WHERE d.id=$1`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    const doc = rows[0];
+    const isOwner = !!doc.user_id && doc.user_id === req.user.id;
+    const asHr = !isOwner && hasPermission(req, 'DOCUMENT_VIEW') && await documentInScope(pool, req, 'DOCUMENT_VIEW', doc.id);
+    const allowed = isOwner || asHr;
+    const meta = { type: doc.type, version: doc.version, employee_id: doc.employee_id, as: asHr ? 'hr' : 'owner' };
+
+    if (!allowed) {
+      await recordAudit(pool, { req, action: 'document.download_denied', targetType: 'document', targetId: doc.id, meta: { ...meta, as: null } });
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    if (doc.purged_at) return res.status(410).json({ error: 'This version was removed by the retention policy' });
+
+    // an accepted offer's letter is linked to its generated PDF rather than stored
+    const file = doc.type === 'offer' && doc.file_url.startsWith('/api/offers/')
+      ? (fs.existsSync(offerPdfPath(doc.data_json.offer_id))
+          ? { data: fs.readFileSync(offerPdfPath(doc.data_json.offer_id)), format: { mime: 'application/pdf', ext: '.pdf' } }
+          : null)
+      : readDocumentFile(UPLOAD_ROOT, doc.file_url);
+    if (!file) return res.status(404).json({ error: 'File not found' });
+
+    await recordAudit(pool, { req, action: 'document.download', targetType: 'document', targetId: doc.id, meta });
+    res.attachment(`${doc.type}_v${doc.version}${file.format?.ext || ''}`);
+    res.type(file.format?.mime || 'application/octet-stream');
+    res.set('Cache-Control', 'private, no-store');
+    res.send(file.data);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+/* ============================================================
+   EMPLOYEE DIRECTORY (uses employees, users)
+   ============================================================ */
+
+const DIRECTORY_PAGE_MAX = 200;
+const DIRECTORY_COLUMNS = `e.id, e.code, u.name, u.email, u.phone, e.status, e.location_id,
+  to_char(e.doj, 'YYYY-MM-DD') AS doj, to_char(e.dol, 'YYYY-MM-DD') AS dol,
+  e.manager_id, m.name AS manager_name`;
+
+// HR / Manager: Employees in my EMPLOYEE_VIEW scope. Filters: q (name, email
+// or code), status, location_id; paged with ?page=1&page_size=50
+app.get('/api/employees', authRequired, requirePermission('EMPLOYEE_VIEW'), async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(DIRECTORY_PAGE_MAX, Math.max(1, parseInt(req.query.page_size, 10) || 50));
+  const where = [], params = [];
+  const add = (sql, v) => { params.push(v); where.push(sql.replace(/\?/g, `$${params.length}`)); };
+  if (req.query.q) add(`(u.name ILIKE '%' || ? || '%' OR u.email ILIKE '%' || ? || '%' OR e.code ILIKE ? || '%')`, req.query.q);
+  if (req.query.status) add('e.status = ?', req.query.status);
+  if (req.query.location_id) add('e.location_id = ?', req.query.location_id);
+  const scope = employeeScope(req.user, 'EMPLOYEE_VIEW', { offset: params.length });
+  where.push(scope.sql);
+  params.push(...scope.params);
+
+  try {
+    const from = `FROM employees e JOIN users u ON u.id = e.user_id LEFT JOIN users m ON m.id = e.manager_id
+                  WHERE ${where.join(' AND ')}`;
+    const { rows: count } = await pool.query(`SELECT COUNT(*)::int AS total ${from}`, params);
+    const { rows } = await pool.query(
+      `SELECT ${DIRECTORY_COLUMNS} ${from}
+       ORDER BY u.name, e.code
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    const total = count[0].total;
+    res.json({ page, page_size: pageSize, total, pages: Math.ceil(total / pageSize), rows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch employees' });
+  }
+});
+
+// HR / Manager: One employee in my EMPLOYEE_VIEW scope (:id = id or code), with their direct reports (also in scope)
+app.get('/api/employees/:id', authRequired, requirePermission('EMPLOYEE_VIEW'), async (req, res) => {
+  const scope = employeeScope(req.user, 'EMPLOYEE_VIEW', { offset: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${DIRECTORY_COLUMNS}
+       FROM employees e JOIN users u ON u.id = e.user_id LEFT JOIN users m ON m.id = e.manager_id
+       WHERE (e.id::text=$1 OR e.code=$1) AND ${scope.sql}`,
+      [req.params.id, ...scope.params]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Employee not found' });
+    const { rows: reports } = await pool.query(
+      `SELECT e.id, e.code, u.name, e.status
+       FROM employees e JOIN users u ON u.id = e.user_id
+       WHERE e.manager_id = (SELECT user_id FROM employees WHERE id=$1) AND ${scope.sql}
+       ORDER BY u.name`,
+      [rows[0].id, ...scope.params]
+    );
+    res.json({ ...rows[0], direct_reports: reports });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch employee' });
+  }
+});
+
+/* ============================================================
+   OFFERS (uses offers; acceptance creates users, employees, ctc_structures)
+   ============================================================ */
+
+const OFFER_COLUMNS = `id, candidate_name, candidate_email, candidate_phone, position, location_id, manager_id,
+  to_char(joining_date, 'YYYY-MM-DD') AS joining_date, to_char(valid_until, 'YYYY-MM-DD') AS valid_until,
+  ctc_json, template_name, pdf_url, status, esign_status, employee_id, created_by, sent_at, decided_at,
+  created_at, updated_at`;
+
+function offerFields(b) {
+  if (!b.candidate_name || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(b.candidate_email || '')))
+    return { error: 'candidate_name and a valid candidate_email are required' };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(b.joining_date || '')))
+    return { error: 'joining_date (YYYY-MM-DD) is required' };
+  if (b.valid_until && !/^\d{4}-\d{2}-\d{2}$/.test(String(b.valid_until)))
+    return { error: 'valid_until must be YYYY-MM-DD' };
+  const templateName = b.template_name || 'default';
+  if (!loadTemplate(templateName))
+    return { error: `template_name must be one of ${listTemplates().join(', ')}` };
+  const c = normalizeCtc(b.ctc || b.ctc_json);
+  if (c.error) return { error: c.error };
+  return {
+    values: [
+      String(b.candidate_name).trim(), String(b.candidate_email).trim().toLowerCase(), b.candidate_phone || null,
+      b.position || null, b.location_id || null, b.manager_id || null, b.joining_date, b.valid_until || null,
+      c.ctc, templateName,
+    ],
+  };
+}
+
+// (Re)render the letter and store its download URL
+async function renderOffer(db, offer) {
+  await renderOfferLetter(offer);
+  const pdfUrl = `/api/offers/${offer.id}/pdf`;
+  await db.query(`UPDATE offers SET pdf_url=$2 WHERE id=$1`, [offer.id, pdfUrl]);
+  return { ...offer, pdf_url: pdfUrl };
+}
+
+// HR: Available offer letter templates
+app.get('/api/offers/templates', authRequired, requirePermission('OFFER_VIEW'), (_req, res) => {
+  res.json(listTemplates());
+});
+
+// HR: Offers, newest first (?status=)
+app.get('/api/offers', authRequired, requirePermission('OFFER_VIEW'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${OFFER_COLUMNS} FROM offers
+       WHERE ($1::text IS NULL OR status=$1)
+       ORDER BY created_at DESC
+       LIMIT 200`,
+      [req.query.status || null]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch offers' });
+  }
+});
+
+app.get('/api/offers/:id', authRequired, requirePermission('OFFER_VIEW'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE id=$1`, [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Offer not found' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch offer' });
+  }
+});
+
+// HR: Create a draft offer and render its letter
+app.post('/api/offers', authRequired, requirePermission('OFFER_CREATE'), async (req, res) => {
+  const f = offerFields(req.body || {});
+  if (f.error) return res.status(400).json({ error: f.error });
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO offers (candidate_name, candidate_email, candidate_phone, position, location_id, manager_id,
+                           joining_date, valid_until, ctc_json, template_name, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${OFFER_COLUMNS}`,
+      [...f.values, req.user.id]
+    );
+    res.status(201).json(await renderOffer(pool, rows[0]));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create offer' });
+  }
+});
+
+// HR: Edit a draft offer (the letter is re-rendered)
+app.put('/api/offers/:id', authRequired, requirePermission('OFFER_CREATE'), async (req, res) => {
+  const f = offerFields(req.body || {});
+  if (f.error) return res.status(400).json({ error: f.error });
+  try {
+    const { rows } = await pool.query(
+      `UPDATE offers
+       SET candidate_name=$1, candidate_email=$2, candidate_phone=$3, position=$4, location_id=$5, manager_id=$6,
+           joining_date=$7, valid_until=$8, ctc_json=$9, template_name=$10
+       WHERE id=$11 AND status='draft'
+       RETURNING ${OFFER_COLUMNS}`,
+      [...f.values, req.params.id]
+    );
+    if (!rows.length) return res.status(409).json({ error: 'Offer not found or no longer a draft' });
+    res.json(await renderOffer(pool, rows[0]));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update offer' });
+  }
+});
+
+// HR: Download the offer letter PDF
+app.get('/api/offers/:id/pdf', authRequired, requirePermission('OFFER_VIEW'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE id=$1`, [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Offer not found' });
+    const file = offerPdfPath(rows[0].id);
+    if (!fs.existsSync(file)) await renderOffer(pool, rows[0]);
+    res.download(file, `offer_${rows[0].candidate_name.replace(/\W+/g, '_')}.pdf`);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to generate offer letter' });
+  }
+});
+
+// HR: Move an offer along (draft → sent → accepted/declined, or withdrawn).
+// Accepting creates the pre_join employee with the offered CTC from the joining date.
+app.put('/api/offers/:id/status', authRequired, requirePermission('OFFER_CREATE'), async (req, res) => {
+  const s = String(req.body?.status || '').toLowerCase();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE id=$1 FOR UPDATE`, [req.params.id]);
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+    const offer = rows[0];
+    if (!(OFFER_TRANSITIONS[offer.status] || []).includes(s)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Cannot move an offer from ${offer.status} to ${s || '(none)'}` });
+    }
+
+    let employee = null;
+    if (s === 'accepted') {
+      const created = await createPreJoinEmployee(client, {
+        name: offer.candidate_name, email: offer.candidate_email, phone: offer.candidate_phone,
+        doj: offer.joining_date, location_id: offer.location_id, manager_id: offer.manager_id,
+      });
+      if (!created.employee) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `An employee record already exists for ${offer.candidate_email}` });
+      }
+      employee = created.employee;
+      const c = offer.ctc_json;
+      await client.query(
+        `INSERT INTO ctc_structures (employee_id, effective_from, basic, hra, special, pf_base, esi_applicable, pt_state, tax_regime)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [employee.id, offer.joining_date, c.basic, c.hra, c.special, c.pf_base, !!c.esi_applicable, c.pt_state || null, c.tax_regime || null]
+      );
+      // the letter becomes the employee's first document; a copy signed before
+      // acceptance is already on file and is just linked to the employee
+      const { rowCount: linked } = await client.query(
+        `UPDATE documents SET employee_id=$1
+         WHERE employee_id IS NULL AND type='offer' AND data_json->>'offer_id'=$2`,
+        [employee.id, offer.id]
+      );
+      if (!linked) {
+        await client.query(
+          `INSERT INTO documents (employee_id, type, file_url, data_json, status, reviewed_by, reviewed_at)
+           VALUES ($1, 'offer', $2, $3, 'approved', $4, NOW())`,
+          [employee.id, `/api/offers/${offer.id}/pdf`, { offer_id: offer.id }, req.user.id]
+        );
+      }
+    }
+
+    const { rows: updated } = await client.query(
+      `UPDATE offers
+       SET status=$2, employee_id=COALESCE($3, employee_id),
+           sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END,
+           decided_at = CASE WHEN $2 IN ('accepted','declined','withdrawn') THEN NOW() ELSE decided_at END
+       WHERE id=$1
+       RETURNING ${OFFER_COLUMNS}`,
+      [offer.id, s, employee?.id || null]
+    );
+    // the sent letter drops the DRAFT marking
+    if (s === 'sent') await renderOffer(client, updated[0]);
+
+    await recordAudit(client, {
+      req, action: `offer.${s}`, targetType: 'offer', targetId: offer.id, before: offer, after: updated[0],
+    });
+    if (employee) {
+      const created = await snapshot(client, 'employees', employee.id);
+      await recordAudit(client, {
+        req, action: 'employee.create', targetType: 'employee', targetId: employee.id,
+        after: { employee: created, user: await snapshot(client, 'users', created.user_id) },
+        meta: { offer_id: offer.id },
+      });
+    }
+    await client.query('COMMIT');
+    res.json({
+      ok: true, status: s, offer_id: offer.id,
+      ...(employee && { employee_id: employee.id, employee_code: employee.code, employee_status: employee.status }),
+    });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update offer' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============================================================
+   E-SIGN (uses esign_requests; signed copies land in documents)
+   ============================================================ */
+
+const esign = (() => {
+  if (!process.env.ESIGN_PROVIDER) return null;
+  const provider = esignProvider();
+  const problem = provider ? esignSetupError(provider) : `Unknown ESIGN_PROVIDER '${process.env.ESIGN_PROVIDER}'`;
+  if (problem) console.warn(`⚠️ ${problem}, e-sign disabled`);
+  return problem ? null : provider;
+})();
+
+const esignCallbackUrl = () => `${process.env.ESIGN_CALLBACK_BASE_URL}/api/esign/webhook/${esign.name}`;
+
+// HR: Send a sent offer's letter to the candidate for signature
+app.post('/api/offers/:id/esign', authRequired, requirePermission('OFFER_CREATE'), async (req, res) => {
+  if (!esign) return res.status(503).json({ error: 'E-sign is not configured' });
+  try {
+    const { rows } = await pool.query(`SELECT ${OFFER_COLUMNS} FROM offers WHERE id=$1`, [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Offer not found' });
+    const offer = rows[0];
+    if (offer.status !== 'sent') return res.status(409).json({ error: 'Only a sent offer can go out for signature' });
+
+    const pdfPath = offerPdfPath(offer.id);
+    if (!fs.existsSync(pdfPath)) await renderOffer(pool, offer);
+    const out = await startSigning(pool, esign, {
+      target: { type: 'offer', id: offer.id },
+      pdf: fs.readFileSync(pdfPath),
+      signer: { name: offer.candidate_name, email: offer.candidate_email },
+      title: `Offer letter — ${offer.position || offer.candidate_name}`,
+      callbackUrl: esignCallbackUrl(),
+      userId: req.user.id,
+    });
+    if (out.error) return res.status(409).json({ error: out.error });
+    res.status(201).json({ ok: true, ...out.request });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to send offer for signature' });
+  }
+});
+
+// HR: Send an employee's PDF document (appointment letter, NDA, ...) for their signature
+app.post('/api/documents/:id/esign', authRequired, requirePermission('DOCUMENT_CREATE'), async (req, res) => {
+  if (!esign) return res.status(503).json({ error: 'E-sign is not configured' });
+  try {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.type, d.file_url, u.name, u.email
+       FROM documents d
+       JOIN employees e ON e.id = d.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE d.id=$1`,
+      [req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Document not found' });
+    const doc = rows[0];
+    const file = readDocumentFile(UPLOAD_ROOT, doc.file_url);
+    if (file?.format?.mime !== 'application/pdf')
+      return res.status(400).json({ error: 'Only an uploaded PDF document can be sent for signature' });
+
+    const out = await startSigning(pool, esign, {
+      target: { type: 'document', id: doc.id },
+      pdf: file.data,
+      signer: { name: doc.name, email: doc.email },
+      title: `${doc.type} — ${doc.name}`,
+      callbackUrl: esignCallbackUrl(),
+      userId: req.user.id,
+    });
+    if (out.error) return res.status(409).json({ error: out.error });
+    res.status(201).json({ ok: true, ...out.request });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to send document for signature' });
+  }
+});
+
+// Provider callback (no auth; the provider's signature is verified instead)
+app.post('/api/esign/webhook/:provider', async (req, res) => {
+  // only the enabled provider is listened to
+  const provider = esign?.name === req.params.provider ? esign : null;
+  if (!provider) return res.status(404).json({ error: 'Unknown provider' });
+  if (!provider.verifyWebhook(req.rawBody, req.headers)) return res.status(401).json({ error: 'Invalid signature' });
+
+  const event = provider.parseWebhook(req.body);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const out = await applyEsignEvent(client, provider, event);
+    if (!out) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Unknown transaction' });
+    }
+    await client.query('COMMIT');
+    if (out.signed) writeSignedCopy(UPLOAD_ROOT, out.signed);
+    res.json({ ok: true, status: out.request.status, ignored: !!out.ignored, signed_document_id: out.signed?.id || null });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to process e-sign callback' });
+  } finally {
+    client.release();
+  }
+});
+
+// Stub provider: the signer's page, the PDF and the sign/decline actions
+if (esign?.name === 'stub') {
+  app.get('/api/esign/stub/:txnId', (req, res) => {
+    const rec = esign.lookup(req.params.txnId);
+    if (!rec) return res.status(404).json({ error: 'Unknown transaction' });
+    const esc = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+    res.send(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Sign: ${esc(rec.title)}</title></head>
+<body style="font-family:sans-serif;max-width:640px;margin:40px auto">
+  <h2>${esc(rec.title)}</h2>
+  <p>Signer: ${esc(rec.signer?.name)} &lt;${esc(rec.signer?.email)}&gt; — status: <strong>${esc(rec.status)}</strong></p>
+  <p><a href="/api/esign/stub/${rec.txn_id}/pdf" target="_blank">View document</a></p>
+  ${rec.status === 'sent' ? `
+  <form method="post" action="/api/esign/stub/${rec.txn_id}/sign" style="display:inline"><button>Sign</button></form>
+  <form method="post" action="/api/esign/stub/${rec.txn_id}/decline" style="display:inline"><button>Decline</button></form>` : ''}
+</body></html>`);
+  });
+
+  app.get('/api/esign/stub/:txnId/pdf', (req, res) => {
+    const pdf = esign.pdf(req.params.txnId);
+    if (!pdf) return res.status(404).json({ error: 'Unknown transaction' });
+    res.type('application/pdf').send(pdf);
+  });
+
+  app.post('/api/esign/stub/:txnId/:action', async (req, res) => {
+    if (!['sign', 'decline'].includes(req.params.action)) return res.status(400).json({ error: 'action must be sign or decline' });
+    try {
+      const webhookStatus = await esign.complete(req.params.txnId, req.params.action);
+      res.json({ ok: webhookStatus < 300, webhook_status: webhookStatus });
+    } catch (e) {
+      res.status(409).json({ error: e.message });
+    }
+  });
+}
+
+/* ============================================================
+   LEAVE MANAGEMENT (uses leaves, leave_policies, attendance_days)
+   ============================================================ */
+
+const myEmployeeId = async (db, userId) =>
+  (await db.query(`SELECT id FROM employees WHERE user_id=$1`, [userId])).rows[0]?.id || null;
+
+// Employee: Leave types available to me (from my leave policies)
+app.get('/api/leave/types', authRequired, async (req, res) => {
+  try {
+    const empId = await myEmployeeId(pool, req.user.id);
+    if (!empId) return res.json([]);
+    const { policies } = await resolvePolicies(pool, empId);
+    res.json(Object.values(policies).map(p => ({ type: p.leave_type, accrual: p.accrual })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch leave types' });
+  }
+});
+
+// Employee: Apply leave (schema: leaves.type TEXT, status lowercase)
+app.post('/api/leave/apply', authRequired, async (req, res) => {
+  const { start_date, reason } = req.body || {};
+  // leave types are stored upper case (leave_policies.leave_type, leaves.type)
+  const type = String(req.body?.type || '').trim().toUpperCase();
+  const session = req.body?.session || 'full';
+  const end_date = session === 'full' ? req.body?.end_date : (req.body?.end_date || start_date);
+  const hours = session === 'hours' ? Number(req.body?.hours) : null;
+  if (!type || !start_date || !end_date)
+    return res.status(400).json({ error: 'type, start_date, end_date required' });
+  if (!LEAVE_SESSIONS.includes(session))
+    return res.status(400).json({ error: `session must be one of ${LEAVE_SESSIONS.join(', ')}` });
+  if (session !== 'full' && end_date !== start_date)
+    return res.status(400).json({ error: 'Half-day and hourly leave must be for a single date' });
+  if (session === 'hours' && !(hours > 0 && hours < WORKDAY_HOURS))
+    return res.status(400).json({ error: `hours must be between 0 and ${WORKDAY_HOURS}` });
+
+  const client = await pool.connect();
+  try {
+    const empId = await myEmployeeId(client, req.user.id);
+    if (!empId) return res.status(404).json({ error: 'Employee record not found' });
+    const { employee, policies } = await resolvePolicies(client, empId);
+    if (!policies[type]) return res.status(400).json({ error: `No leave policy for type ${type}` });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start_date) || !/^\d{4}-\d{2}-\d{2}$/.test(end_date) || end_date < start_date)
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD with start <= end' });
+
+    const calendar = await loadCalendar(client, employee.location_id, start_date, end_date);
+    if (!workingDates(calendar, start_date, end_date).length)
+      return res.status(400).json({ error: 'Selected dates are all weekly offs or holidays' });
+
+    await client.query('BEGIN');
+    // serialise applications per employee so two overlapping requests can't both pass
+    await client.query(`SELECT id FROM employees WHERE id=$1 FOR UPDATE`, [empId]);
+    const { rows: existing } = await client.query(
+      `SELECT id, type, session, hours, status,
+              to_char(start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(end_date, 'YYYY-MM-DD') AS end_date
+       FROM leaves
+       WHERE employee_id=$1 AND status IN ('pending','approved')
+         AND start_date <= $3::date AND end_date >= $2::date`,
+      [empId, start_date, end_date]
+    );
+    const conflict = findLeaveConflict(existing, { start_date, end_date, session, hours });
+    if (conflict) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: `Overlaps your ${conflict.status} ${conflict.type} leave (${conflict.start_date} to ${conflict.end_date})`,
+        conflict_id: conflict.id,
+      });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO leaves (employee_id, type, start_date, end_date, session, hours, reason, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending')
+       RETURNING id, status`,
+      [empId, type, start_date, end_date, session, hours, reason || null]
+    );
+    const days = leaveDayCharges({ start_date, end_date, session, hours }, calendar).reduce((a, c) => a + c.fraction, 0);
+    await startChain(client, { leaveId: rows[0].id, type, days });
+    await recordAudit(client, {
+      req, action: 'leave.apply', targetType: 'leave', targetId: rows[0].id,
+      after: await snapshot(client, 'leaves', rows[0].id), meta: { days },
+    });
+    await client.query('COMMIT');
+    res.json({ ok: true, request_id: rows[0].id, status: rows[0].status });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to apply leave' });
+  } finally {
+    client.release();
+  }
+});
+
+// Employee: Leave balances (policy entitlement for the year minus approved leave)
+app.get('/api/leave/balance', authRequired, async (req, res) => {
+  try {
+    const empId = await myEmployeeId(pool, req.user.id);
+    if (!empId) return res.json([]);
+    res.json(await leaveBalances(pool, empId));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch balances' });
+  }
+});
+
+// Approver: Leave requests whose current step is mine (directly, as a delegate
+// or via my role, the last only within my LEAVE_APPROVE scope)
+app.get('/api/leave/pending', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  try {
+    const steps = await actionableApprovals(pool, req.user.id, null, employeeScope(req.user, 'LEAVE_APPROVE', { offset: 2 }));
+    if (!steps.length) return res.json([]);
+    const { rows } = await pool.query(
+      `SELECT l.id, u.name AS employee_name, l.type AS leave_type,
+              l.start_date, l.end_date, l.session, l.hours, l.reason, l.status
+       FROM leaves l
+       JOIN employees e ON e.id = l.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE l.id = ANY($1::uuid[])`,
+      [steps.map(s => s.leave_id)]
+    );
+    res.json(steps.map((s) => ({
+      ...rows.find(r => r.id === s.leave_id),
+      step: s.step,
+      total_steps: Number(s.total_steps),
+      due_at: s.due_at,
+      on_behalf_of: s.on_behalf_of_name || null,
+      via_role: s.role_name || null,
+    })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch pending leaves' });
+  }
+});
+
+// Approver: Approve/Reject my step of the chain; the last approval (or any
+// rejection) decides the leave and approval writes to attendance_days
+app.put('/api/leave/:id/status', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body || {};
+  const s = String(status || '').toLowerCase();
+  if (!['approved','rejected'].includes(s))
+    return res.status(400).json({ error: 'status must be approved or rejected' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT l.id, l.employee_id, e.location_id, l.session, l.hours,
+              to_char(l.start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(l.end_date, 'YYYY-MM-DD') AS end_date
+       FROM leaves l
+       JOIN employees e ON e.id = l.employee_id
+       WHERE l.id=$1 AND l.status='pending'
+       FOR UPDATE OF l`,
+      [id]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Leave not found or already processed' });
+    }
+    const leave = rows[0];
+    const before = await snapshot(client, 'leaves', id);
+
+    const [step] = await actionableApprovals(client, req.user.id, id, employeeScope(req.user, 'LEAVE_APPROVE', { offset: 2 }));
+    if (!step) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'This leave is not awaiting your approval' });
+    }
+    const final = await decideStep(client, step, { status: s, actorId: req.user.id, note: req.body?.note });
+    if (!final) {
+      await recordAudit(client, {
+        req, action: 'leave.approve_step', targetType: 'leave', targetId: id,
+        meta: { step: step.step, decision: s, note: req.body?.note || null },
+      });
+      await client.query('COMMIT');
+      return res.json({ ok: true, status: 'pending', step: step.step + 1 });
+    }
+
+    await client.query(
+      `UPDATE leaves SET status=$1, approver_id=$2 WHERE id=$3`,
+      [final, req.user.id, id]
+    );
+
+    if (final === 'approved') {
+      // weekly offs and holidays stay off, not 'leave'. A partial day keeps any
+      // punch already recorded and only adds its leave share; a day that turns
+      // into 'leave' keeps what it was in punch_meta.before_leave, for a
+      // cancellation to restore.
+      const calendar = await loadCalendar(client, leave.location_id, leave.start_date, leave.end_date);
+      const charges = leaveDayCharges(leave, calendar);
+      await client.query(
+        `INSERT INTO attendance_days (employee_id, date, status, source, geofence_ok, leave_fraction)
+         SELECT $1, d.date, CASE WHEN d.fraction >= 1 THEN 'leave' ELSE 'partial_leave' END, 'web', true, d.fraction
+         FROM unnest($2::date[], $3::numeric[]) AS d(date, fraction)
+         ON CONFLICT (employee_id, date) DO UPDATE SET
+           leave_fraction = LEAST(1, attendance_days.leave_fraction + EXCLUDED.leave_fraction),
+           status = CASE WHEN attendance_days.leave_fraction + EXCLUDED.leave_fraction >= 1 THEN 'leave'
+                         ELSE attendance_days.status END,
+           source = CASE WHEN attendance_days.leave_fraction + EXCLUDED.leave_fraction >= 1 THEN 'web'
+                         ELSE attendance_days.source END,
+           geofence_ok = CASE WHEN attendance_days.leave_fraction + EXCLUDED.leave_fraction >= 1 THEN true
+                              ELSE attendance_days.geofence_ok END,
+           punch_meta = CASE WHEN attendance_days.leave_fraction + EXCLUDED.leave_fraction >= 1
+                              AND attendance_days.status NOT IN ('leave','partial_leave')
+                             THEN attendance_days.punch_meta || jsonb_build_object('before_leave', jsonb_build_object(
+                               'status', attendance_days.status, 'source', attendance_days.source,
+                               'geofence_ok', attendance_days.geofence_ok))
+                             ELSE attendance_days.punch_meta END`,
+        [leave.employee_id, charges.map(c => c.date), charges.map(c => c.fraction)]
+      );
+    }
+
+    await recordAudit(client, {
+      req, action: 'leave.decide', targetType: 'leave', targetId: id,
+      before, after: await snapshot(client, 'leaves', id), meta: { step: step.step, note: req.body?.note || null },
+    });
+    await client.query('COMMIT');
+    res.json({ ok: true, status: final });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update leave' });
+  } finally {
+    client.release();
+  }
+});
+
+// Employee: My leave requests (with any pending cancellation)
+app.get('/api/leave/my', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT l.id, l.type, to_char(l.start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(l.end_date, 'YYYY-MM-DD') AS end_date, l.session, l.hours, l.reason, l.status,
+              c.id AS cancellation_id,
+              to_char(c.start_date, 'YYYY-MM-DD') AS cancel_start_date,
+              to_char(c.end_date, 'YYYY-MM-DD') AS cancel_end_date,
+              COALESCE(ch.approvals, '[]'::jsonb) AS approvals
+       FROM leaves l
+       JOIN employees e ON e.id = l.employee_id
+       LEFT JOIN leave_cancellations c ON c.leave_id = l.id AND c.status = 'pending'
+       LEFT JOIN LATERAL (
+         SELECT jsonb_agg(jsonb_build_object(
+                  'step', a.step, 'kind', a.kind, 'status', a.status,
+                  'approver', COALESCE(au.name, r.name), 'acted_by', xu.name, 'on_behalf_of', bu.name,
+                  'due_at', a.due_at, 'decided_at', a.decided_at, 'note', a.note
+                ) ORDER BY a.step, a.created_at) AS approvals
+         FROM leave_approvals a
+         LEFT JOIN users au ON au.id = a.approver_id
+         LEFT JOIN roles r ON r.id = a.role_id
+         LEFT JOIN users xu ON xu.id = a.acted_by
+         LEFT JOIN users bu ON bu.id = a.on_behalf_of
+         WHERE a.leave_id = l.id
+       ) ch ON true
+       WHERE e.user_id=$1
+       ORDER BY l.start_date DESC
+       LIMIT 60`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch leaves' });
+  }
+});
+
+// Employee: Withdraw a leave that hasn't been decided yet
+app.post('/api/leave/:id/withdraw', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE leaves l SET status='withdrawn'
+       FROM employees e
+       WHERE l.id=$1 AND e.id = l.employee_id AND e.user_id=$2 AND l.status='pending'
+       RETURNING l.id, l.status`,
+      [req.params.id, req.user.id]
+    );
+    if (!rows.length) return res.status(400).json({ error: 'Leave not found or no longer pending' });
+    await closeChain(pool, rows[0].id);
+    await recordAudit(pool, {
+      req, action: 'leave.withdraw', targetType: 'leave', targetId: rows[0].id,
+      before: { status: 'pending' }, after: { status: rows[0].status },
+    });
+    res.json({ ok: true, status: rows[0].status });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to withdraw leave' });
+  }
+});
+
+// Periods touching [from, to] whose payroll is already posted
+async function postedPeriods(db, from, to) {
+  const periods = [...new Set(datesBetween(from, to).map(d => d.slice(0, 7)))];
+  const { rows } = await db.query(
+    `SELECT period FROM payroll_runs WHERE status='posted' AND period = ANY($1::text[]) ORDER BY period`,
+    [periods]
+  );
+  return rows.map(r => r.period);
+}
+
+// Employee: Ask to cancel an approved leave, in full or for part of its range
+app.post('/api/leave/:id/cancel', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT l.id, l.session, l.status,
+              to_char(l.start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(l.end_date, 'YYYY-MM-DD') AS end_date
+       FROM leaves l
+       JOIN employees e ON e.id = l.employee_id
+       WHERE l.id=$1 AND e.user_id=$2`,
+      [req.params.id, req.user.id]
+    );
+    const leave = rows[0];
+    if (!leave) return res.status(404).json({ error: 'Leave not found' });
+    if (leave.status !== 'approved')
+      return res.status(400).json({ error: 'Only approved leave can be cancelled; withdraw pending requests instead' });
+
+    const from = req.body?.start_date || leave.start_date;
+    const to = req.body?.end_date || leave.end_date;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || to < from)
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD with start <= end' });
+    if (from < leave.start_date || to > leave.end_date)
+      return res.status(400).json({ error: `Cancellation must fall within ${leave.start_date} to ${leave.end_date}` });
+
+    const posted = await postedPeriods(pool, from, to);
+    if (posted.length) return res.status(409).json({ error: `Payroll for ${posted.join(', ')} is already posted` });
+
+    const { rows: created } = await pool.query(
+      `INSERT INTO leave_cancellations (leave_id, start_date, end_date, reason)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, status`,
+      [leave.id, from, to, req.body?.reason || null]
+    );
+    await recordAudit(pool, {
+      req, action: 'leave.cancel_request', targetType: 'leave_cancellation', targetId: created[0].id,
+      after: await snapshot(pool, 'leave_cancellations', created[0].id), meta: { leave_id: leave.id },
+    });
+    res.status(201).json({ ok: true, request_id: created[0].id, status: created[0].status });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A cancellation is already pending for this leave' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to request cancellation' });
+  }
+});
+
+// Approver: Pending leave cancellations from employees in my LEAVE_APPROVE scope (never my own)
+app.get('/api/leave/cancellations/pending', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  const scope = employeeScope(req.user, 'LEAVE_APPROVE', { offset: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.id, u.name AS employee_name, l.type AS leave_type, l.session, l.hours,
+              to_char(l.start_date, 'YYYY-MM-DD') AS leave_start_date,
+              to_char(l.end_date, 'YYYY-MM-DD') AS leave_end_date,
+              to_char(c.start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(c.end_date, 'YYYY-MM-DD') AS end_date, c.reason
+       FROM leave_cancellations c
+       JOIN leaves l ON l.id = c.leave_id
+       JOIN employees e ON e.id = l.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE ${scope.sql} AND e.user_id <> $1 AND c.status='pending'
+       ORDER BY c.created_at ASC`,
+      [req.user.id, ...scope.params]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch pending cancellations' });
+  }
+});
+
+// Approver: Approve/Reject a cancellation. Approval trims or splits the leave
+// and takes the cancelled share back out of attendance_days, all-or-nothing.
+app.put('/api/leave/cancellations/:id/status', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  const s = String(req.body?.status || '').toLowerCase();
+  if (!['approved','rejected'].includes(s))
+    return res.status(400).json({ error: 'status must be approved or rejected' });
+  const scope = employeeScope(req.user, 'LEAVE_APPROVE', { offset: 2 });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT c.id, c.leave_id, l.employee_id, e.location_id, l.type, l.session, l.hours,
+              l.reason, l.approver_id, l.status AS leave_status,
+              to_char(l.start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(l.end_date, 'YYYY-MM-DD') AS end_date,
+              to_char(c.start_date, 'YYYY-MM-DD') AS cancel_from,
+              to_char(c.end_date, 'YYYY-MM-DD') AS cancel_to
+       FROM leave_cancellations c
+       JOIN leaves l ON l.id = c.leave_id
+       JOIN employees e ON e.id = l.employee_id
+       WHERE c.id=$1 AND c.status='pending' AND e.user_id <> $2 AND ${scope.sql}
+       FOR UPDATE OF c, l`,
+      [req.params.id, req.user.id, ...scope.params]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Request not found or already processed' });
+    }
+    const c = rows[0];
+    const before = await snapshot(client, 'leaves', c.leave_id);
+
+    if (s === 'approved') {
+      if (c.leave_status !== 'approved') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Leave is no longer approved' });
+      }
+      const posted = await postedPeriods(client, c.cancel_from, c.cancel_to);
+      if (posted.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `Payroll for ${posted.join(', ')} is already posted` });
+      }
+
+      // keep what's left of the leave: trim the original, add a row for a tail
+      const [first, ...rest] = remainingSegments(c, c.cancel_from, c.cancel_to);
+      if (!first) {
+        await client.query(`UPDATE leaves SET status='cancelled' WHERE id=$1`, [c.leave_id]);
+      } else {
+        await client.query(
+          `UPDATE leaves SET start_date=$1, end_date=$2 WHERE id=$3`,
+          [first.start_date, first.end_date, c.leave_id]
+        );
+        for (const seg of rest) {
+          await client.query(
+            `INSERT INTO leaves (employee_id, type, start_date, end_date, session, hours, reason, status, approver_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'approved', $8)`,
+            [c.employee_id, c.type, seg.start_date, seg.end_date, c.session, c.hours, c.reason, c.approver_id]
+          );
+        }
+      }
+
+      // a 'leave' row counts as a whole day. Once no leave share is left the
+      // day gets back what it was before the leave (punch_meta.before_leave),
+      // else 'present' if punched; only rows the leave itself created go away
+      const calendar = await loadCalendar(client, c.location_id, c.cancel_from, c.cancel_to);
+      const charges = leaveDayCharges({ ...c, start_date: c.cancel_from, end_date: c.cancel_to }, calendar);
+      const remaining = `GREATEST(0, (CASE WHEN a.status='leave' THEN 1 ELSE a.leave_fraction END) - d.fraction)`;
+      const restored = `a.status IN ('leave','partial_leave') AND ${remaining} <= 0`;
+      await client.query(
+        `UPDATE attendance_days a SET
+           leave_fraction = ${remaining},
+           status = CASE WHEN a.status NOT IN ('leave','partial_leave') THEN a.status
+                         WHEN ${remaining} > 0 THEN 'partial_leave'
+                         ELSE COALESCE(a.punch_meta->'before_leave'->>'status',
+                                       CASE WHEN a.in_time IS NOT NULL THEN 'present' END, 'partial_leave') END,
+           source = CASE WHEN ${restored} THEN COALESCE(a.punch_meta->'before_leave'->>'source', a.source) ELSE a.source END,
+           geofence_ok = CASE WHEN ${restored} THEN COALESCE((a.punch_meta->'before_leave'->>'geofence_ok')::boolean, a.geofence_ok)
+                              ELSE a.geofence_ok END,
+           punch_meta = CASE WHEN ${restored} THEN a.punch_meta - 'before_leave' ELSE a.punch_meta END
+         FROM unnest($2::date[], $3::numeric[]) AS d(date, fraction)
+         WHERE a.employee_id=$1 AND a.date = d.date`,
+        [c.employee_id, charges.map(x => x.date), charges.map(x => x.fraction)]
+      );
+      await client.query(
+        `DELETE FROM attendance_days
+         WHERE employee_id=$1 AND date = ANY($2::date[])
+           AND status='partial_leave' AND leave_fraction <= 0 AND in_time IS NULL`,
+        [c.employee_id, charges.map(x => x.date)]
+      );
+      await recomputeShiftFlags(client, [c.employee_id], c.cancel_from, c.cancel_to);
+    }
+
+    await client.query(
+      `UPDATE leave_cancellations
+       SET status=$1, approver_id=$2, decision_note=$3, decided_at=NOW()
+       WHERE id=$4`,
+      [s, req.user.id, req.body?.note || null, c.id]
+    );
+
+    await recordAudit(client, {
+      req, action: 'leave.cancel_decide', targetType: 'leave_cancellation', targetId: c.id,
+      before: { leave: before }, after: { leave: await snapshot(client, 'leaves', c.leave_id), status: s },
+      meta: { leave_id: c.leave_id, cancel_from: c.cancel_from, cancel_to: c.cancel_to, note: req.body?.note || null },
+    });
+    await client.query('COMMIT');
+    res.json({ ok: true, status: s });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update cancellation' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ---------- Approval delegation + chain rules + SLA escalation ---------- */
+
+// Approver: My delegations (given and received)
+app.get('/api/approvals/delegations', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT d.id, d.user_id, u.name AS user_name, d.delegate_id, du.name AS delegate_name,
+              to_char(d.start_date, 'YYYY-MM-DD') AS start_date,
+              to_char(d.end_date, 'YYYY-MM-DD') AS end_date, d.reason, (d.user_id = $1) AS mine
+       FROM approval_delegations d
+       JOIN users u ON u.id = d.user_id
+       JOIN users du ON du.id = d.delegate_id
+       WHERE (d.user_id=$1 OR d.delegate_id=$1) AND d.end_date >= CURRENT_DATE
+       ORDER BY d.start_date`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch delegations' });
+  }
+});
+
+// Approver: Hand my approvals to someone else while I'm away
+app.post('/api/approvals/delegations', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  const { start_date, end_date, reason, delegate_email } = req.body || {};
+  let delegate_id = req.body?.delegate_id;
+  if (!delegate_id && delegate_email) {
+    try {
+      delegate_id = (await pool.query(`SELECT id FROM users WHERE lower(email)=lower($1)`, [delegate_email])).rows[0]?.id;
+      if (!delegate_id) return res.status(404).json({ error: 'No user with that email' });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: 'Failed to create delegation' });
+    }
+  }
+  if (!delegate_id || !/^\d{4}-\d{2}-\d{2}$/.test(String(start_date || '')) || !/^\d{4}-\d{2}-\d{2}$/.test(String(end_date || '')) || end_date < start_date)
+    return res.status(400).json({ error: 'delegate_id (or delegate_email), start_date and end_date (YYYY-MM-DD, start <= end) are required' });
+  if (delegate_id === req.user.id)
+    return res.status(400).json({ error: 'Cannot delegate to yourself' });
+
+  try {
+    const { rows: canApprove } = await pool.query(
+      `SELECT 1 FROM user_roles ur
+       JOIN role_permissions rp ON rp.role_id = ur.role_id
+       JOIN permissions p ON p.id = rp.permission_id
+       JOIN users u ON u.id = ur.user_id
+       WHERE ur.user_id=$1 AND p.code='LEAVE_APPROVE' AND u.status='active'
+       LIMIT 1`,
+      [delegate_id]
+    );
+    if (!canApprove.length) return res.status(400).json({ error: 'Delegate must be an active user who can approve leave' });
+
+    const { rows } = await pool.query(
+      `INSERT INTO approval_delegations (user_id, delegate_id, start_date, end_date, reason)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [req.user.id, delegate_id, start_date, end_date, reason || null]
+    );
+    res.status(201).json({ ok: true, id: rows[0].id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create delegation' });
+  }
+});
+
+// Approver: Revoke one of my delegations
+app.delete('/api/approvals/delegations/:id', authRequired, requirePermission('LEAVE_APPROVE'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM approval_delegations WHERE id=$1 AND user_id=$2`,
+      [req.params.id, req.user.id]
+    );
+    if (!rowCount) return res.status(404).json({ error: 'Delegation not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to revoke delegation' });
+  }
+});
+
+function approvalRuleFields(b) {
+  const steps = typeof b.steps === 'string' ? b.steps.split('|').map(s => s.trim()) : b.steps;
+  if (!validSteps(steps))
+    return { error: "steps must be a non-empty list of 'manager', 'skip_manager' or 'role:<role name>'" };
+  const overDays = Number(b.over_days ?? 0);
+  const sla = Number(b.sla_hours ?? 48);
+  if (!(overDays >= 0) || !(Number.isInteger(sla) && sla > 0))
+    return { error: 'over_days must be >= 0 and sla_hours a positive integer' };
+  return { values: [b.leave_type ? String(b.leave_type).toUpperCase() : null, overDays, steps, sla] };
+}
+
+// HR: List approval chain rules
+app.get('/api/hr/leave-approval-rules', authRequired, requirePermission('HR_VIEW'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, leave_type, over_days, steps, sla_hours, updated_at
+       FROM leave_approval_rules
+       ORDER BY leave_type NULLS FIRST, over_days`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch approval rules' });
+  }
+});
+
+// HR: Create an approval chain rule
+app.post('/api/hr/leave-approval-rules', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  const f = approvalRuleFields(req.body || {});
+  if (f.error) return res.status(400).json({ error: f.error });
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO leave_approval_rules (leave_type, over_days, steps, sla_hours)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      f.values
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A rule for this leave type and threshold already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create approval rule' });
+  }
+});
+
+// HR: Update an approval chain rule (applies to leaves filed afterwards)
+app.put('/api/hr/leave-approval-rules/:id', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  const f = approvalRuleFields(req.body || {});
+  if (f.error) return res.status(400).json({ error: f.error });
+  try {
+    const { rows } = await pool.query(
+      `UPDATE leave_approval_rules SET leave_type=$1, over_days=$2, steps=$3, sla_hours=$4
+       WHERE id=$5
+       RETURNING *`,
+      [...f.values, req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Rule not found' });
+    res.json(rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A rule for this leave type and threshold already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update approval rule' });
+  }
+});
+
+// HR: Delete an approval chain rule
+app.delete('/api/hr/leave-approval-rules/:id', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(`DELETE FROM leave_approval_rules WHERE id=$1`, [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete approval rule' });
+  }
+});
+
+async function runLeaveEscalation() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const escalated = await escalateOverdue(client);
+    await client.query('COMMIT');
+    return escalated;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// HR: Escalate overdue approval steps now (also runs on a timer with RUN_JOBS=1)
+app.post('/api/hr/leave-approvals/escalate', authRequired, requirePermission('HR_MANAGE'), async (_req, res) => {
+  try {
+    res.json({ ok: true, escalated: await runLeaveEscalation() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to escalate approvals' });
+  }
+});
+
+const ESCALATION_MINUTES = Number(process.env.LEAVE_ESCALATION_MINUTES ?? 15);
+if (RUN_JOBS && ESCALATION_MINUTES > 0) {
+  setInterval(() => {
+    runLeaveEscalation()
+      .then(n => { if (n) console.log(`[leave-approval] escalated ${n} overdue step(s)`); })
+      .catch(e => console.error('[leave-approval] escalation failed', e));
+  }, ESCALATION_MINUTES * 60_000).unref();
+}
+
+/* ============================================================
+   ATTENDANCE (uses attendance_days)
+   ============================================================ */
+
+// Employee: My last 60 days
+app.get('/api/attendance/my', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT a.date, a.status, a.source, a.geofence_ok
+       FROM attendance_days a
+       JOIN employees e ON a.employee_id = e.id
+       WHERE e.user_id=$1
+       ORDER BY a.date DESC
+       LIMIT 60`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch attendance' });
+  }
+});
+
+// Manager: Team attendance (recent) for employees in my ATTENDANCE_APPROVE scope
+app.get('/api/attendance/team', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const scope = employeeScope(req.user, 'ATTENDANCE_APPROVE');
+  try {
+    const { rows } = await pool.query(
+      `SELECT u.name AS employee, a.date, a.status
+       FROM employees e
+       JOIN users u ON u.id = e.user_id
+       LEFT JOIN attendance_days a ON a.employee_id = e.id
+       WHERE ${scope.sql}
+       ORDER BY u.name, a.date DESC
+       LIMIT 200`,
+      scope.params
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch team attendance' });
+  }
+});
+
+/* ============================================================
+   PUNCH IN / OUT (uses office_locations, attendance_days)
+   ============================================================ */
+
+const PUNCH_SOURCES = ['gps', 'qr', 'ip'];
+
+// HR: Office locations with geofence / IP / QR settings
+app.get('/api/hr/locations', authRequired, requirePermission('HR_MANAGE'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, name, latitude, longitude, radius_m, ip_ranges, weekly_off_json, updated_at
+       FROM office_locations ORDER BY name`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch locations' });
+  }
+});
+
+// HR: Create/update an office location (id = employees.location_id). On an
+// update, fields left out keep their current values; a new location gets the
+// defaults (radius 200 m, Sundays off)
+app.put('/api/hr/locations/:id', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  const { name, latitude, longitude, radius_m, ip_ranges, weekly_offs } = req.body || {};
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  const ranges = ip_ranges === undefined ? null : asArray(ip_ranges);
+  if (ranges && !ranges.every(validCidr))
+    return res.status(400).json({ error: 'ip_ranges must be IPv4 addresses or CIDRs (prefix 0-32)' });
+  // e.g. { "0": [1,2,3,4,5], "6": [2,4] } = Sundays + 2nd/4th Saturdays
+  const offs = weekly_offs ?? null;
+  const offsValid = offs === null || (typeof offs === 'object' && Object.entries(offs).every(([dow, nths]) =>
+    /^[0-6]$/.test(dow) && Array.isArray(nths) && nths.every(n => Number.isInteger(n) && n >= 1 && n <= 5)));
+  if (!offsValid) return res.status(400).json({ error: 'weekly_offs must map day-of-week (0-6) to week numbers (1-5)' });
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO office_locations (id, name, latitude, longitude, radius_m, ip_ranges, qr_secret, weekly_off_json)
+       VALUES ($1, $2, $3::numeric, $4::numeric, COALESCE($5::int, 200), COALESCE($6::text[], '{}'), $7, COALESCE($8::jsonb, $9::jsonb))
+       ON CONFLICT (id) DO UPDATE
+         SET name=EXCLUDED.name,
+             latitude=COALESCE($3::numeric, office_locations.latitude),
+             longitude=COALESCE($4::numeric, office_locations.longitude),
+             radius_m=COALESCE($5::int, office_locations.radius_m),
+             ip_ranges=COALESCE($6::text[], office_locations.ip_ranges),
+             weekly_off_json=COALESCE($8::jsonb, office_locations.weekly_off_json),
+             updated_at=NOW()
+       RETURNING id, name, latitude, longitude, radius_m, ip_ranges, weekly_off_json`,
+      [req.params.id, name, latitude ?? null, longitude ?? null, radius_m ?? null, ranges,
+       crypto.randomBytes(32).toString('hex'), offs, DEFAULT_WEEKLY_OFFS]
+    );
+    res.json({ ok: true, location: rows[0] });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to save location' });
+  }
+});
+
+// Office kiosk: Current rotating QR code for a location (a kiosk account holds
+// only ATTENDANCE_KIOSK, not an HR token)
+app.get('/api/attendance/qr/:locationId', authRequired, requirePermission('ATTENDANCE_KIOSK'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT id, qr_secret FROM office_locations WHERE id=$1`, [req.params.locationId]);
+    if (!rows.length) return res.status(404).json({ error: 'Location not found' });
+    res.json({ location_id: rows[0].id, ...currentQrCode(rows[0].id, rows[0].qr_secret) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to issue QR code' });
+  }
+});
+
+// Validate a punch against the employee's office; returns { error } or { source, geofence_ok, meta }
+function evaluatePunch(office, body, ip) {
+  const source = String(body.source || '').toLowerCase();
+  if (!PUNCH_SOURCES.includes(source)) return { error: `source must be one of ${PUNCH_SOURCES.join(', ')}` };
+  if (!office) return { error: 'No office location configured for you' };
+
+  const meta = { source, ip: normalizeIp(ip), at: new Date().toISOString() };
+  if (source === 'gps') {
+    const lat = Number(body.lat), lng = Number(body.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return { error: 'lat and lng are required for gps' };
+    const fence = checkGeofence(office, lat, lng);
+    return { source, geofence_ok: fence.ok, meta: { ...meta, lat, lng, accuracy: body.accuracy ?? null, distance_m: fence.distance_m } };
+  }
+  if (source === 'qr') {
+    if (!verifyQrCode(body.qr_code, office.id, office.qr_secret)) return { error: 'QR code is invalid or expired' };
+    return { source, geofence_ok: true, meta };
+  }
+  return { source, geofence_ok: ipInRanges(ip, office.ip_ranges), meta };
+}
+
+async function punchContext(client, userId) {
+  const { rows } = await client.query(
+    `SELECT e.id AS employee_id, e.manager_id, o.id, o.latitude, o.longitude, o.radius_m, o.ip_ranges, o.qr_secret,
+            to_char(NOW(), 'YYYY-MM-DD"T"HH24:MI:SS') AS now
+     FROM employees e
+     LEFT JOIN office_locations o ON o.id = e.location_id
+     WHERE e.user_id=$1 AND e.status='active'`,
+    [userId]
+  );
+  if (!rows.length) return null;
+  const { employee_id, manager_id, now, ...office } = rows[0];
+  return { employeeId: employee_id, managerId: manager_id, now, office: office.id ? office : null };
+}
+
+// Employee: Punch in (one per day; failed geofence is recorded, not rejected).
+// The day is the shift's start date, so a late arrival for a night shift counts for yesterday.
+app.post('/api/attendance/punch-in', authRequired, requirePermission('ATTENDANCE_PUNCH'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const ctx = await punchContext(client, req.user.id);
+    if (!ctx) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Active employee record not found' });
+    }
+    const punch = evaluatePunch(ctx.office, req.body || {}, req.ip);
+    if (punch.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: punch.error });
+    }
+
+    const workDate = await punchWorkDate(client, { id: ctx.employeeId, manager_id: ctx.managerId }, ctx.now);
+    const { rows: existing } = await client.query(
+      `SELECT id, status, in_time FROM attendance_days
+       WHERE employee_id=$1 AND date=$2::date FOR UPDATE`,
+      [ctx.employeeId, workDate]
+    );
+    if (existing[0]?.in_time) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Already punched in today' });
+    }
+    if (existing[0]?.status === 'leave') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'You are on approved leave today' });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO attendance_days (employee_id, date, in_time, source, geofence_ok, status, punch_meta)
+       VALUES ($1, $5::date, NOW(), $2, $3, 'present', jsonb_build_object('in', $4::jsonb))
+       ON CONFLICT (employee_id, date)
+       DO UPDATE SET in_time=NOW(), source=EXCLUDED.source, geofence_ok=EXCLUDED.geofence_ok,
+                     -- a half-day leave stays on the day alongside the punch
+                     status=CASE WHEN attendance_days.status='partial_leave' THEN 'partial_leave' ELSE 'present' END,
+                     punch_meta=EXCLUDED.punch_meta
+       RETURNING id, date, in_time, source, geofence_ok`,
+      [ctx.employeeId, punch.source, punch.geofence_ok, punch.meta, workDate]
+    );
+    const { id: dayId, ...day } = rows[0];
+    const [flags] = await recomputeShiftFlags(client, [ctx.employeeId], workDate, workDate);
+    await recordAudit(client, {
+      req, action: 'attendance.punch_in', targetType: 'attendance_day', targetId: dayId,
+      before: existing[0] ? await snapshot(client, 'attendance_days', existing[0].id) : null,
+      after: await snapshot(client, 'attendance_days', dayId),
+    });
+
+    await client.query('COMMIT');
+    res.json({ ok: true, ...day, shift: flags?.shift, late_minutes: flags?.late_minutes ?? 0 });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to punch in' });
+  } finally {
+    client.release();
+  }
+});
+
+// Employee: Punch out (closes the latest open punch, so shifts may cross midnight)
+app.post('/api/attendance/punch-out', authRequired, requirePermission('ATTENDANCE_PUNCH'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const ctx = await punchContext(client, req.user.id);
+    if (!ctx) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Active employee record not found' });
+    }
+    const punch = evaluatePunch(ctx.office, req.body || {}, req.ip);
+    if (punch.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: punch.error });
+    }
+
+    const { rows: open } = await client.query(
+      `SELECT id FROM attendance_days
+       WHERE employee_id=$1 AND in_time IS NOT NULL AND out_time IS NULL
+         AND in_time > NOW() - interval '24 hours'
+       ORDER BY in_time DESC LIMIT 1 FOR UPDATE`,
+      [ctx.employeeId]
+    );
+    if (!open.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'No open punch-in found' });
+    }
+    const before = await snapshot(client, 'attendance_days', open[0].id);
+
+    const { rows } = await client.query(
+      `UPDATE attendance_days
+       SET out_time=NOW(),
+           geofence_ok = COALESCE(geofence_ok, true) AND $2,
+           punch_meta = punch_meta || jsonb_build_object('out', $3::jsonb)
+       WHERE id=$1
+       RETURNING to_char(date, 'YYYY-MM-DD') AS date, in_time, out_time, geofence_ok`,
+      [open[0].id, punch.geofence_ok, punch.meta]
+    );
+    const [flags] = await recomputeShiftFlags(client, [ctx.employeeId], rows[0].date, rows[0].date);
+    await recordAudit(client, {
+      req, action: 'attendance.punch_out', targetType: 'attendance_day', targetId: open[0].id,
+      before, after: await snapshot(client, 'attendance_days', open[0].id),
+    });
+
+    await client.query('COMMIT');
+    res.json({
+      ok: true, ...rows[0],
+      shift: flags?.shift,
+      early_exit_minutes: flags?.early_exit_minutes ?? 0,
+      overtime_minutes: flags?.overtime_minutes ?? 0,
+      half_day: flags?.half_day ?? false,
+    });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to punch out' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============================================================
+   ATTENDANCE REGULARIZATION (uses attendance_regularizations)
+   ============================================================ */
+
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Employee: File a correction for a past day (out <= in means next day)
+app.post('/api/attendance/regularize', authRequired, async (req, res) => {
+  const { date, in_time, out_time, reason } = req.body || {};
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) || !HHMM_RE.test(String(in_time || '')) || !HHMM_RE.test(String(out_time || '')))
+    return res.status(400).json({ error: 'date (YYYY-MM-DD), in_time and out_time (HH:MM) are required' });
+  if (!reason || !String(reason).trim())
+    return res.status(400).json({ error: 'reason is required' });
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO attendance_regularizations (employee_id, date, requested_in, requested_out, reason)
+       SELECT e.id, $2::date, $2::date + $3::time,
+              $2::date + $4::time + CASE WHEN $4::time <= $3::time THEN interval '1 day' ELSE interval '0' END,
+              $5
+       FROM employees e
+       WHERE e.user_id=$1 AND $2::date <= CURRENT_DATE
+       RETURNING id, status`,
+      [req.user.id, date, in_time, out_time, String(reason).trim()]
+    );
+    if (!rows.length) return res.status(400).json({ error: 'Cannot regularize a future date' });
+    await recordAudit(pool, {
+      req, action: 'attendance.regularize_request', targetType: 'attendance_regularization', targetId: rows[0].id,
+      after: await snapshot(pool, 'attendance_regularizations', rows[0].id),
+    });
+    res.status(201).json({ ok: true, request_id: rows[0].id, status: rows[0].status });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A pending request already exists for this date' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to file regularization' });
+  }
+});
+
+// Employee: My regularization requests
+app.get('/api/attendance/regularize/my', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.id, r.date, r.requested_in, r.requested_out, r.reason, r.status, r.decision_note, r.decided_at
+       FROM attendance_regularizations r
+       JOIN employees e ON e.id = r.employee_id
+       WHERE e.user_id=$1
+       ORDER BY r.date DESC
+       LIMIT 60`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch regularizations' });
+  }
+});
+
+// Manager: Pending regularizations in my ATTENDANCE_APPROVE scope (never my own), with the current record
+app.get('/api/attendance/regularize/pending', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const scope = employeeScope(req.user, 'ATTENDANCE_APPROVE', { offset: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.id, u.name AS employee_name, r.date, r.requested_in, r.requested_out, r.reason,
+              a.in_time AS current_in, a.out_time AS current_out, a.status AS current_status, a.geofence_ok
+       FROM attendance_regularizations r
+       JOIN employees e ON e.id = r.employee_id
+       JOIN users u ON u.id = e.user_id
+       LEFT JOIN attendance_days a ON a.employee_id = r.employee_id AND a.date = r.date
+       WHERE ${scope.sql} AND e.user_id <> $1 AND r.status='pending'
+       ORDER BY r.created_at ASC`,
+      [req.user.id, ...scope.params]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch pending regularizations' });
+  }
+});
+
+// Manager: Approve/Reject; approval rewrites attendance_days and keeps the original
+app.put('/api/attendance/regularize/:id/status', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const s = String(req.body?.status || '').toLowerCase();
+  if (!['approved','rejected'].includes(s))
+    return res.status(400).json({ error: 'status must be approved or rejected' });
+  const scope = employeeScope(req.user, 'ATTENDANCE_APPROVE', { offset: 2 });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT r.* FROM attendance_regularizations r
+       JOIN employees e ON e.id = r.employee_id
+       WHERE r.id=$1 AND r.status='pending' AND e.user_id <> $2 AND ${scope.sql}
+       FOR UPDATE OF r`,
+      [req.params.id, req.user.id, ...scope.params]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Request not found or already processed' });
+    }
+    const reg = rows[0];
+
+    let original = null;
+    if (s === 'approved') {
+      const { rows: cur } = await client.query(
+        `SELECT in_time, out_time, source, geofence_ok, status, punch_meta
+         FROM attendance_days WHERE employee_id=$1 AND date=$2 FOR UPDATE`,
+        [reg.employee_id, reg.date]
+      );
+      if (cur[0]?.status === 'leave') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Day is on approved leave; cancel the leave first' });
+      }
+      original = cur[0] || { missing: true };
+
+      await client.query(
+        `INSERT INTO attendance_days (employee_id, date, in_time, out_time, source, geofence_ok, status, punch_meta)
+         VALUES ($1, $2, $3, $4, 'web', true, 'present', jsonb_build_object('regularization_id', $5::text))
+         ON CONFLICT (employee_id, date)
+         DO UPDATE SET in_time=EXCLUDED.in_time, out_time=EXCLUDED.out_time, source='web',
+                       geofence_ok=true,
+                       status=CASE WHEN attendance_days.status='partial_leave' THEN 'partial_leave' ELSE 'present' END,
+                       punch_meta=attendance_days.punch_meta || EXCLUDED.punch_meta`,
+        [reg.employee_id, reg.date, reg.requested_in, reg.requested_out, reg.id]
+      );
+      await recomputeShiftFlags(client, [reg.employee_id], reg.date, reg.date);
+    }
+
+    await client.query(
+      `UPDATE attendance_regularizations
+       SET status=$1, approver_id=$2, decision_note=$3, decided_at=NOW(), original_json=$4
+       WHERE id=$5`,
+      [s, req.user.id, req.body?.note || null, original, reg.id]
+    );
+
+    const { rows: day } = await client.query(
+      `SELECT id FROM attendance_days WHERE employee_id=$1 AND date=$2`,
+      [reg.employee_id, reg.date]
+    );
+    await recordAudit(client, {
+      req, action: 'attendance.regularize_decide', targetType: 'attendance_regularization', targetId: reg.id,
+      before: { status: reg.status, attendance: original },
+      after: { status: s, attendance: day[0] ? await snapshot(client, 'attendance_days', day[0].id) : null },
+      meta: { employee_id: reg.employee_id, date: reg.date, note: req.body?.note || null },
+    });
+    await client.query('COMMIT');
+    res.json({ ok: true, status: s });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update regularization' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============================================================
+   SHIFTS & ROSTERS (uses shifts, shift_rosters)
+   ============================================================ */
+
+const SHIFT_MINUTE_FIELDS = { grace_minutes: 15, early_exit_grace_minutes: 0, half_day_minutes: 240, overtime_after_minutes: 30 };
+
+function shiftFields(b) {
+  const code = String(b.code || '').trim().toUpperCase();
+  if (!code || !b.name) return { error: 'code and name are required' };
+  if (!HHMM_RE.test(String(b.start_time || '')) || !HHMM_RE.test(String(b.end_time || '')))
+    return { error: 'start_time and end_time must be HH:MM (end <= start = night shift)' };
+  if (b.start_time === b.end_time) return { error: 'start_time and end_time must differ' };
+  const mins = Object.entries(SHIFT_MINUTE_FIELDS).map(([k, dflt]) => [k, Number(b[k] ?? dflt)]);
+  const bad = mins.find(([, v]) => !(Number.isInteger(v) && v >= 0));
+  if (bad) return { error: `${bad[0]} must be a non-negative integer` };
+  return { values: [code, b.name, b.start_time, b.end_time, ...mins.map(([, v]) => v), !!b.is_default, b.active !== false] };
+}
+
+// Anyone: Active shifts (for roster pickers)
+app.get('/api/shifts', authRequired, async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, code, name, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time,
+              grace_minutes, early_exit_grace_minutes, half_day_minutes, overtime_after_minutes, is_default,
+              end_time <= start_time AS night
+       FROM shifts WHERE active ORDER BY start_time, code`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch shifts' });
+  }
+});
+
+// HR: Create (POST) or update (PUT) a shift; only one shift can be the default
+async function saveShift(req, res) {
+  const f = shiftFields(req.body || {});
+  if (f.error) return res.status(400).json({ error: f.error });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = req.params.id ? await snapshot(client, 'shifts', req.params.id) : null;
+    const { rows: oldDefault } = await client.query(`SELECT id FROM shifts WHERE is_default`);
+    if (f.values[8]) await client.query(`UPDATE shifts SET is_default=false WHERE is_default AND id IS DISTINCT FROM $1`, [req.params.id || null]);
+    const { rows } = req.params.id
+      ? await client.query(
+          `UPDATE shifts SET code=$1, name=$2, start_time=$3, end_time=$4, grace_minutes=$5, early_exit_grace_minutes=$6,
+                             half_day_minutes=$7, overtime_after_minutes=$8, is_default=$9, active=$10
+           WHERE id=$11 RETURNING *`,
+          [...f.values, req.params.id])
+      : await client.query(
+          `INSERT INTO shifts (code, name, start_time, end_time, grace_minutes, early_exit_grace_minutes,
+                               half_day_minutes, overtime_after_minutes, is_default, active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+          f.values);
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+    // days already flagged against the old timing, or against the old default
+    // when the default moved, are flagged again
+    const retimed = !!before && SHIFT_TIMING_FIELDS.some(k => String(before[k]) !== String(rows[0][k]));
+    const defaultMoved = (before?.is_default ?? false) !== rows[0].is_default;
+    const redo = [...(retimed ? [rows[0].id] : []), ...(defaultMoved ? oldDefault.map(s => s.id) : [])];
+    const recomputed = retimed || defaultMoved ? await recomputeShiftDays(client, redo, { unassigned: defaultMoved }) : 0;
+    await recordAudit(client, {
+      req, action: req.params.id ? 'shift.update' : 'shift.create', targetType: 'shift', targetId: rows[0].id,
+      before, after: rows[0], meta: { recomputed_days: recomputed },
+    });
+    await client.query('COMMIT');
+    res.status(req.params.id ? 200 : 201).json({ ...rows[0], recomputed_days: recomputed });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') return res.status(409).json({ error: 'A shift with this code already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to save shift' });
+  } finally {
+    client.release();
+  }
+}
+app.post('/api/hr/shifts', authRequired, requirePermission('HR_MANAGE'), saveShift);
+app.put('/api/hr/shifts/:id', authRequired, requirePermission('HR_MANAGE'), saveShift);
+
+// Default window for roster/exception views: ?from&to, at most 31 days
+function rosterWindow(q, back, ahead) {
+  const today = new Date().toISOString().slice(0, 10);
+  const from = isIsoDate(String(q.from || '')) ? q.from : addDays(today, -back);
+  const to = isIsoDate(String(q.to || '')) ? q.to : addDays(from, back + ahead);
+  if (to < from || datesBetween(from, to).length > 31) return { error: 'from..to must be a range of at most 31 days' };
+  return { from, to };
+}
+
+// Manager: Shift per day for each active employee in my ATTENDANCE_APPROVE
+// scope, plus the roster entries behind it
+app.get('/api/rosters/team', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const w = rosterWindow(req.query, 0, 6);
+  if (w.error) return res.status(400).json({ error: w.error });
+  const scope = employeeScope(req.user, 'ATTENDANCE_APPROVE');
+  try {
+    const { rows: members } = await pool.query(
+      `SELECT e.id, e.code, e.manager_id, u.name
+       FROM employees e JOIN users u ON u.id = e.user_id
+       WHERE ${scope.sql} AND e.status='active'
+       ORDER BY u.name`,
+      scope.params
+    );
+    const dates = datesBetween(w.from, w.to);
+    const roster = await loadRoster(pool, members, dates);
+    const { rows: assignments } = await pool.query(
+      `SELECT r.id, r.employee_id, u.name AS employee, r.manager_id IS NOT NULL AS team, s.code AS shift,
+              to_char(r.from_date, 'YYYY-MM-DD') AS from_date, to_char(r.to_date, 'YYYY-MM-DD') AS to_date
+       FROM shift_rosters r
+       JOIN shifts s ON s.id = r.shift_id
+       LEFT JOIN employees e ON e.id = r.employee_id
+       LEFT JOIN users u ON u.id = e.user_id
+       WHERE (r.manager_id=$1 OR r.employee_id = ANY($4::uuid[]))
+         AND r.from_date <= $3::date AND (r.to_date IS NULL OR r.to_date >= $2::date)
+       ORDER BY r.from_date, u.name NULLS FIRST`,
+      [req.user.id, w.from, w.to, members.map(m => m.id)]
+    );
+    res.json({
+      from: w.from, to: w.to, dates,
+      members: members.map(m => ({
+        employee_id: m.id, employee: m.name, code: m.code,
+        shifts: Object.fromEntries(dates.map(d => [d, roster[m.id][d].code])),
+      })),
+      assignments,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch roster' });
+  }
+});
+
+// Manager (an employee in scope, or own team) or HR (anyone): Assign a shift to an employee or a whole team
+app.post('/api/rosters', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const { shift_id, employee_id, team, from_date, to_date } = req.body || {};
+  if (!shift_id || (!employee_id && !team) || !isIsoDate(String(from_date || ''))
+      || (to_date && (!isIsoDate(String(to_date)) || to_date < from_date)))
+    return res.status(400).json({ error: 'shift_id, employee_id or team, and from_date (YYYY-MM-DD) are required' });
+  const isHr = hasPermission(req, 'HR_MANAGE');
+  const managerId = team ? (isHr && req.body.manager_id) || req.user.id : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: emps } = await client.query(
+      `SELECT id, manager_id FROM employees
+       WHERE ${employee_id ? 'id=$1' : 'manager_id=$1'} AND status='active'`,
+      [employee_id || managerId]
+    );
+    if (employee_id && (!emps.length || (!isHr && !(await inScope(client, req.user, 'ATTENDANCE_APPROVE', employee_id))))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Employee not found in your team' });
+    }
+
+    // flags already derived for past days change with the roster; not for posted months
+    const { rows: t } = await client.query(`SELECT to_char(CURRENT_DATE, 'YYYY-MM-DD') AS today`);
+    const until = !to_date || to_date > t[0].today ? t[0].today : to_date;
+    const posted = from_date <= until ? await postedPeriods(client, from_date, until) : [];
+    if (posted.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Payroll for ${posted.join(', ')} is already posted` });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO shift_rosters (shift_id, employee_id, manager_id, from_date, to_date, created_by)
+       SELECT id, $2, $3, $4, $5, $6 FROM shifts WHERE id=$1 AND active
+       RETURNING id, shift_id, employee_id, manager_id, from_date, to_date`,
+      [shift_id, employee_id || null, managerId, from_date, to_date || null, req.user.id]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Shift not found or inactive' });
+    }
+    const updated = emps.length && from_date <= until
+      ? await recomputeShiftFlags(client, emps.map(e => e.id), from_date, until)
+      : [];
+    await recordAudit(client, {
+      req, action: 'roster.assign', targetType: 'shift_roster', targetId: rows[0].id,
+      after: rows[0], meta: { recomputed_days: updated.length },
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, roster: rows[0], recomputed_days: updated.length });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to assign shift' });
+  } finally {
+    client.release();
+  }
+});
+
+// Manager (own team's entries, or an employee's in scope) or HR: Remove a roster entry
+app.delete('/api/rosters/:id', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const isHr = hasPermission(req, 'HR_MANAGE');
+  const scope = employeeScope(req.user, 'ATTENDANCE_APPROVE', { offset: 3 });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT r.id, r.employee_id, r.manager_id,
+              to_char(r.from_date, 'YYYY-MM-DD') AS from_date,
+              to_char(LEAST(COALESCE(r.to_date, CURRENT_DATE), CURRENT_DATE), 'YYYY-MM-DD') AS until
+       FROM shift_rosters r
+       LEFT JOIN employees e ON e.id = r.employee_id
+       WHERE r.id=$1 AND ($2 OR r.manager_id=$3 OR (e.id IS NOT NULL AND ${scope.sql}))
+       FOR UPDATE OF r`,
+      [req.params.id, isHr, req.user.id, ...scope.params]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Roster entry not found' });
+    }
+    const r = rows[0];
+    const posted = r.from_date <= r.until ? await postedPeriods(client, r.from_date, r.until) : [];
+    if (posted.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Payroll for ${posted.join(', ')} is already posted` });
+    }
+
+    const before = await snapshot(client, 'shift_rosters', r.id);
+    await client.query(`DELETE FROM shift_rosters WHERE id=$1`, [r.id]);
+    await recordAudit(client, { req, action: 'roster.remove', targetType: 'shift_roster', targetId: r.id, before, after: null });
+    if (r.from_date <= r.until) {
+      const { rows: emps } = await client.query(
+        `SELECT id FROM employees WHERE id=$1 OR manager_id=$2`,
+        [r.employee_id, r.manager_id]
+      );
+      await recomputeShiftFlags(client, emps.map(e => e.id), r.from_date, r.until);
+    }
+
+    await client.query('COMMIT');
+    res.json({ ok: true });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to remove roster entry' });
+  } finally {
+    client.release();
+  }
+});
+
+// Manager: Late arrivals, early exits, half days, overtime and missed punch-outs in my ATTENDANCE_APPROVE scope
+app.get('/api/attendance/team/exceptions', authRequired, requirePermission('ATTENDANCE_APPROVE'), async (req, res) => {
+  const w = rosterWindow(req.query, 13, 0);
+  if (w.error) return res.status(400).json({ error: w.error });
+  const scope = employeeScope(req.user, 'ATTENDANCE_APPROVE', { offset: 2 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT u.name AS employee, e.code, to_char(a.date, 'YYYY-MM-DD') AS date, s.code AS shift,
+              a.in_time, a.out_time, a.late_minutes, a.early_exit_minutes, a.overtime_minutes,
+              a.worked_minutes, a.half_day,
+              (a.out_time IS NULL AND a.date < CURRENT_DATE) AS missed_punch_out
+       FROM attendance_days a
+       JOIN employees e ON e.id = a.employee_id
+       JOIN users u ON u.id = e.user_id
+       LEFT JOIN shifts s ON s.id = a.shift_id
+       WHERE ${scope.sql} AND a.date BETWEEN $1::date AND $2::date AND a.in_time IS NOT NULL
+         AND (a.late_minutes > 0 OR a.early_exit_minutes > 0 OR a.overtime_minutes > 0 OR a.half_day
+              OR (a.out_time IS NULL AND a.date < CURRENT_DATE))
+       ORDER BY a.date DESC, u.name`,
+      [w.from, w.to, ...scope.params]
+    );
+    res.json({ from: w.from, to: w.to, rows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch attendance exceptions' });
+  }
+});
+
+/* ============================================================
+   HR DASHBOARD: Attendance rollup + Payroll summary (uses attendance_monthly)
+   ============================================================ */
+
+// HR: Rebuild the monthly rollup; only stale/missing employees unless full=true
+app.post('/api/hr/attendance/refresh', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  const month = req.body?.month || new Date().toISOString().slice(0, 7);
+  if (!PERIOD_RE.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+  try {
+    const recomputed = await refreshMonthly(pool, month, { full: req.body?.full === true });
+    await recordAudit(pool, {
+      req, action: 'attendance.rollup_refresh', targetType: 'attendance_monthly', targetId: month,
+      meta: { full: req.body?.full === true, recomputed },
+    });
+    res.json({ ok: true, month, recomputed, message: `Attendance rollup refreshed for ${month} (${recomputed} employee(s) recomputed)` });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to refresh rollup' });
+  }
+});
+
+// Stale rollup rows (marked by the attendance/leave/holiday triggers) are
+// rebuilt by this job, so the read endpoints below never write.
+const ROLLUP_MINUTES = Number(process.env.ATTENDANCE_ROLLUP_MINUTES ?? 10);
+if (RUN_JOBS && ROLLUP_MINUTES > 0) {
+  setInterval(() => {
+    refreshStaleMonths(pool)
+      .then(n => { if (n) console.log(`[attendance] recomputed ${n} rollup row(s)`); })
+      .catch(e => console.error('[attendance] rollup refresh failed', e));
+  }, ROLLUP_MINUTES * 60_000).unref();
+}
+
+// HR: Monthly attendance rollup rows in my HR_VIEW scope (as of the last refresh)
+app.get('/api/hr/attendance/monthly', authRequired, requirePermission('HR_VIEW'), async (req, res) => {
+  const { month } = req.query || {};
+  if (!PERIOD_RE.test(String(month || ''))) return res.status(400).json({ error: 'month (YYYY-MM) is required' });
+  const scope = employeeScope(req.user, 'HR_VIEW', { offset: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT m.*, e.code AS employee_code, u.name AS employee
+       FROM attendance_monthly m
+       JOIN employees e ON e.id = m.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE m.month=$1 AND ${scope.sql}
+       ORDER BY e.code`,
+      [month, ...scope.params]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch attendance rollup' });
+  }
+});
+
+// Payroll summary from the attendance rollup + latest ctc_structures (HR_VIEW scope)
+app.get('/api/hr/payroll-summary', authRequired, requirePermission('HR_VIEW'), async (req, res) => {
+  const { month } = req.query || {};
+  if (!PERIOD_RE.test(String(month || ''))) return res.status(400).json({ error: 'month (YYYY-MM) is required' });
+  const scope = employeeScope(req.user, 'HR_VIEW', { offset: 2 });
+
+  try {
+    const { last } = periodBounds(month);
+    const { rows } = await pool.query(
+      `SELECT u.name AS employee, e.code AS employee_code, m.*,
+              COALESCE(c.base_salary, 0)::numeric(12,2) AS base_salary
+       FROM attendance_monthly m
+       JOIN employees e ON e.id = m.employee_id
+       JOIN users u ON u.id = e.user_id
+       LEFT JOIN LATERAL (
+         SELECT (basic + hra + special) AS base_salary
+         FROM ctc_structures
+         WHERE employee_id = e.id AND effective_from <= $2::date
+         ORDER BY effective_from DESC
+         LIMIT 1
+       ) c ON true
+       WHERE m.month=$1 AND ${scope.sql}
+       ORDER BY u.name`,
+      [month, last, ...scope.params]
+    );
+
+    res.json(rows.map(r => ({
+      employee: r.employee,
+      employee_code: r.employee_code,
+      base_salary: Number(r.base_salary),
+      working_days: r.working_days,
+      presents: r.present_days,
+      wfh: r.wfh_days,
+      leaves: Number(r.leave_days),
+      leaves_by_type: r.leaves_by_type,
+      absents: r.absent_days,
+      late_marks: r.late_marks,
+      early_exits: r.early_exits,
+      half_days: r.half_days,
+      overtime_minutes: r.overtime_minutes,
+      lop_days: Number(r.lop_days),
+      payable_salary: r.working_days
+        ? Math.round(Number(r.base_salary) * Number(r.paid_days) / r.working_days)
+        : 0,
+    })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to compute payroll summary' });
+  }
+});
+
+/* ============================================================
+   LEAVE POLICIES (HR; replaces hardcoded allocations)
+   ============================================================ */
+
+// Validate/normalise a policy body; role may be given by role_name or role_id
+async function policyFields(body) {
+  const b = body || {};
+  if (!b.leave_type || !(Number(b.yearly_allocation) >= 0))
+    return { error: 'leave_type and yearly_allocation are required' };
+  if (b.accrual && !['annual','monthly'].includes(b.accrual))
+    return { error: 'accrual must be annual or monthly' };
+  // no cap unless one is given; 0 carries nothing
+  const cap = b.carry_forward_cap == null || b.carry_forward_cap === '' ? null : Number(b.carry_forward_cap);
+  if (cap !== null && !(cap >= 0)) return { error: 'carry_forward_cap must be a number of days (or empty for no cap)' };
+
+  let roleId = b.role_id || null;
+  if (!roleId && b.role_name) {
+    const { rows } = await pool.query(`SELECT id FROM roles WHERE name=$1`, [b.role_name]);
+    if (!rows.length) return { error: `Unknown role ${b.role_name}` };
+    roleId = rows[0].id;
+  }
+  return {
+    values: [
+      roleId, b.location_id || null, String(b.leave_type).toUpperCase(), Number(b.yearly_allocation),
+      b.accrual || 'annual', b.prorate_on_join !== false, !!b.carry_forward,
+      cap, !!b.encashable,
+    ],
+  };
+}
+
+// HR: List leave policies
+app.get('/api/hr/leave-policies', authRequired, requirePermission('HR_VIEW'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT p.id, COALESCE(r.name, 'All roles') AS role_name, p.role_id, p.location_id,
+              p.leave_type, p.yearly_allocation, p.accrual, p.prorate_on_join,
+              p.carry_forward, p.carry_forward_cap, p.encashable
+       FROM leave_policies p
+       LEFT JOIN roles r ON r.id = p.role_id
+       ORDER BY p.leave_type, r.name NULLS FIRST, p.location_id NULLS FIRST`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch leave policies' });
+  }
+});
+
+// HR: Create a leave policy
+app.post('/api/hr/leave-policies', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  try {
+    const f = await policyFields(req.body);
+    if (f.error) return res.status(400).json({ error: f.error });
+    const { rows } = await pool.query(
+      `INSERT INTO leave_policies (role_id, location_id, leave_type, yearly_allocation, accrual,
+                                   prorate_on_join, carry_forward, carry_forward_cap, encashable)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      f.values
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A policy for this role/location/type already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create leave policy' });
+  }
+});
+
+// HR: Update a leave policy
+app.put('/api/hr/leave-policies/:id', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  try {
+    const f = await policyFields(req.body);
+    if (f.error) return res.status(400).json({ error: f.error });
+    const { rows } = await pool.query(
+      `UPDATE leave_policies
+       SET role_id=$1, location_id=$2, leave_type=$3, yearly_allocation=$4, accrual=$5,
+           prorate_on_join=$6, carry_forward=$7, carry_forward_cap=$8, encashable=$9
+       WHERE id=$10
+       RETURNING *`,
+      [...f.values, req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Leave policy not found' });
+    res.json(rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A policy for this role/location/type already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update leave policy' });
+  }
+});
+
+// HR: Delete a leave policy
+app.delete('/api/hr/leave-policies/:id', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(`DELETE FROM leave_policies WHERE id=$1`, [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Leave policy not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete leave policy' });
+  }
+});
+
+/* ---------- Year-end leave close (uses leave_year_closures, leave_year_balances) ---------- */
+
+const yearEndParams = (req) => {
+  const year = Number(req.params.year);
+  const payout = req.body?.payout_period || req.query.payout_period || `${year + 1}-01`;
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) return { error: 'year must be YYYY' };
+  if (!PERIOD_RE.test(payout) || payout <= `${year}-12`) return { error: `payout_period must be YYYY-MM after ${year}` };
+  return { year, payout };
+};
+
+// HR: Past year-end closes
+app.get('/api/hr/leave-year-end', authRequired, requirePermission('HR_VIEW'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.id, c.year, c.payout_period, c.totals_json AS totals, c.closed_at, u.name AS closed_by
+       FROM leave_year_closures c
+       LEFT JOIN users u ON u.id = c.closed_by
+       ORDER BY c.year DESC`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch year-end closes' });
+  }
+});
+
+// HR: Dry run — what closing the year would carry, encash and lapse
+app.get('/api/hr/leave-year-end/:year/preview', authRequired, requirePermission('HR_VIEW'), async (req, res) => {
+  const p = yearEndParams(req);
+  if (p.error) return res.status(400).json({ error: p.error });
+  try {
+    const { rows: closed } = await pool.query(`SELECT id FROM leave_year_closures WHERE year=$1`, [p.year]);
+    const report = await computeYearEnd(pool, p.year, p.payout);
+    res.json({ ...report, already_closed: !!closed.length });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to preview year-end close' });
+  }
+});
+
+// HR: Close the year — write carry-forward/encashment/lapse (once per year)
+app.post('/api/hr/leave-year-end/:year/close', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  const p = yearEndParams(req);
+  if (p.error) return res.status(400).json({ error: p.error });
+  if (new Date().toISOString().slice(0, 10) < `${p.year}-12-31`)
+    return res.status(400).json({ error: `${p.year} can't be closed before ${p.year}-12-31` });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: closed } = await client.query(`SELECT id FROM leave_year_closures WHERE year=$1`, [p.year]);
+    if (closed.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `${p.year} is already closed` });
+    }
+    const { rows: run } = await client.query(
+      `SELECT status FROM payroll_runs WHERE period=$1`,
+      [p.payout]
+    );
+    if (run[0]?.status === 'posted') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Payroll for ${p.payout} is already posted; choose a later payout_period` });
+    }
+
+    const report = await computeYearEnd(client, p.year, p.payout);
+    if (report.pending_leaves) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: report.warnings[0] });
+    }
+    const closure = await applyYearEnd(client, report, req.user.id);
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      ok: true,
+      ...closure,
+      totals: report.totals,
+      warnings: report.warnings,
+      // a draft run for the payout month predates the encashment lines
+      recompute_run: run.length ? `Recompute the draft ${p.payout} payroll run to include encashment` : null,
+    });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') return res.status(409).json({ error: `${p.year} is already closed` });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to close year' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============================================================
+   HOLIDAY CALENDARS (uses holidays, office_locations.weekly_off_json)
+   ============================================================ */
+
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// HR: Holidays for a year (?year=YYYY&location_id=...)
+app.get('/api/hr/holidays', authRequired, requirePermission('HR_VIEW'), async (req, res) => {
+  const year = Number(req.query.year) || new Date().getFullYear();
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, location_id, to_char(date, 'YYYY-MM-DD') AS date, name, optional
+       FROM holidays
+       WHERE EXTRACT(YEAR FROM date) = $1
+         AND ($2::text IS NULL OR location_id IS NULL OR location_id = $2)
+       ORDER BY date, location_id NULLS FIRST`,
+      [year, req.query.location_id || null]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch holidays' });
+  }
+});
+
+// HR: Import a year's holidays from CSV (date,name[,location_id][,optional]).
+// Replaces that year's holidays for the location (or company-wide ones).
+app.post('/api/hr/holidays/import', authRequired, requirePermission('HR_MANAGE'), csvUpload.single('file'), async (req, res) => {
+  const year = Number(req.body?.year);
+  if (!(year >= 2000 && year <= 2100)) return res.status(400).json({ error: 'year (YYYY) is required' });
+  const text = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+  const { rows, errors } = parseHolidayCsv(text, year);
+  if (errors.length) return res.status(400).json({ error: 'Invalid holiday CSV', details: errors });
+
+  const defaultLocation = req.body?.location_id || null;
+  const locations = [...new Set(rows.map(r => (r.location_id === undefined ? defaultLocation : r.location_id)))];
+  const client = await pool.connect();
+  try {
+    const named = [...new Set([defaultLocation, ...locations].filter(Boolean))];
+    const { rows: known } = await client.query(`SELECT id FROM office_locations WHERE id = ANY($1::text[])`, [named]);
+    const unknown = named.filter(id => !known.some(k => k.id === id));
+    if (unknown.length) return res.status(400).json({ error: `Unknown location_id: ${unknown.join(', ')}` });
+
+    await client.query('BEGIN');
+    for (const loc of locations.length ? locations : [defaultLocation]) {
+      await client.query(
+        `DELETE FROM holidays WHERE EXTRACT(YEAR FROM date) = $1 AND location_id IS NOT DISTINCT FROM $2`,
+        [year, loc]
+      );
+    }
+    for (const r of rows) {
+      await client.query(
+        `INSERT INTO holidays (location_id, date, name, optional) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (COALESCE(location_id, ''), date) DO UPDATE SET name=EXCLUDED.name, optional=EXCLUDED.optional`,
+        [r.location_id === undefined ? defaultLocation : r.location_id, r.date, r.name, r.optional]
+      );
+    }
+    await client.query('COMMIT');
+    res.json({ ok: true, year, imported: rows.length });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to import holidays' });
+  } finally {
+    client.release();
+  }
+});
+
+// HR: Remove a single holiday
+app.delete('/api/hr/holidays/:id', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(`DELETE FROM holidays WHERE id=$1`, [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Holiday not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete holiday' });
+  }
+});
+
+// Employee: Holidays at my location
+app.get('/api/holidays/my', authRequired, async (req, res) => {
+  const year = Number(req.query.year) || new Date().getFullYear();
+  try {
+    const { rows } = await pool.query(
+      `SELECT to_char(h.date, 'YYYY-MM-DD') AS date, h.name, h.optional
+       FROM holidays h
+       JOIN employees e ON e.user_id=$1
+       WHERE EXTRACT(YEAR FROM h.date) = $2
+         AND (h.location_id IS NULL OR h.location_id = e.location_id)
+       ORDER BY h.date`,
+      [req.user.id, year]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch holidays' });
+  }
+});
+
+/* ============================================================
+   PAYROLL RUNS (uses payroll_runs, payroll_lines, ctc_structures)
+   ============================================================ */
+
+// Payroll: Create a draft run for a period and compute its lines
+// A run's status and headline totals, for audit snapshots
+async function runSnapshot(db, runId) {
+  const { rows } = await db.query(
+    `SELECT r.id, r.period, r.status, r.processed_by, r.posted_at,
+            COUNT(l.employee_id)::int AS employees, COALESCE(SUM(l.net_pay), 0)::numeric(14,2) AS total_net_pay
+     FROM payroll_runs r LEFT JOIN payroll_lines l ON l.run_id = r.id
+     WHERE r.id=$1
+     GROUP BY r.id`,
+    [runId]
+  );
+  return rows[0] || null;
+}
+
+app.post('/api/payroll/runs', authRequired, requirePermission('PAYROLL_RUN'), async (req, res) => {
+  const { period } = req.body || {};
+  if (!PERIOD_RE.test(String(period || '')))
+    return res.status(400).json({ error: 'period (YYYY-MM) is required' });
+  const missing = missingRules(period);
+  if (missing) return res.status(missing.code).json({ error: missing.error });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: existing } = await client.query(
+      `SELECT id, status FROM payroll_runs WHERE period=$1`,
+      [period]
+    );
+    if (existing.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Run for ${period} already exists`, run_id: existing[0].id, status: existing[0].status });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO payroll_runs (period, status, processed_by)
+       VALUES ($1, 'draft', $2)
+       RETURNING id, period, status`,
+      [period, req.user.id]
+    );
+    const run = rows[0];
+    const lines = await computeRunLines(client, period);
+    await writeRunLines(client, run.id, lines);
+    await recordAudit(client, {
+      req, action: 'payroll.run_create', targetType: 'payroll_run', targetId: run.id,
+      before: null, after: await runSnapshot(client, run.id),
+    });
+
+    await client.query('COMMIT');
+    res.status(201).json({ ...run, employees: lines.length });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create payroll run' });
+  } finally {
+    client.release();
+  }
+});
+
+// Payroll: List runs
+app.get('/api/payroll/runs', authRequired, requirePermission('PAYROLL_VIEW'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.id, r.period, r.status, r.posted_at, r.created_at,
+              u.name AS processed_by,
+              COUNT(l.employee_id) AS employees,
+              COALESCE(SUM(l.net_pay),0)::numeric(14,2) AS total_net_pay
+       FROM payroll_runs r
+       LEFT JOIN users u ON u.id = r.processed_by
+       LEFT JOIN payroll_lines l ON l.run_id = r.id
+       GROUP BY r.id, u.name
+       ORDER BY r.period DESC`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch payroll runs' });
+  }
+});
+
+// Payroll: Run detail with lines for review
+app.get('/api/payroll/runs/:id', authRequired, requirePermission('PAYROLL_VIEW'), async (req, res) => {
+  try {
+    const { rows: runs } = await pool.query(
+      `SELECT id, period, status, processed_by, posted_at, created_at FROM payroll_runs WHERE id=$1`,
+      [req.params.id]
+    );
+    if (!runs.length) return res.status(404).json({ error: 'Payroll run not found' });
+
+    const { rows: lines } = await pool.query(
+      `SELECT l.employee_id, e.code AS employee_code, u.name AS employee_name,
+              l.earnings_json, l.deductions_json, l.attendance_json, l.statutory_json, l.net_pay
+       FROM payroll_lines l
+       JOIN employees e ON e.id = l.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE l.run_id=$1
+       ORDER BY u.name`,
+      [req.params.id]
+    );
+    res.json({ ...runs[0], lines });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch payroll run' });
+  }
+});
+
+// Payroll: Recompute a draft run (picks up late attendance/leave/CTC changes)
+app.post('/api/payroll/runs/:id/recompute', authRequired, requirePermission('PAYROLL_RUN'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT * FROM payroll_runs WHERE id=$1 FOR UPDATE`,
+      [req.params.id]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+    const run = rows[0];
+    if (run.status !== 'draft') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Posted runs cannot be recomputed' });
+    }
+    const missing = missingRules(run.period);
+    if (missing) {
+      await client.query('ROLLBACK');
+      return res.status(missing.code).json({ error: missing.error });
+    }
+
+    const before = await runSnapshot(client, run.id);
+    const lines = await computeRunLines(client, run.period);
+    await writeRunLines(client, run.id, lines);
+    await client.query(`UPDATE payroll_runs SET processed_by=$1 WHERE id=$2`, [req.user.id, run.id]);
+    await recordAudit(client, {
+      req, action: 'payroll.run_recompute', targetType: 'payroll_run', targetId: run.id,
+      before, after: await runSnapshot(client, run.id),
+    });
+
+    await client.query('COMMIT');
+    clearPayslips(run.id);
+    res.json({ ok: true, id: run.id, period: run.period, employees: lines.length });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to recompute payroll run' });
+  } finally {
+    client.release();
+  }
+});
+
+// Payroll: Post a draft run (immutable afterwards, enforced by DB trigger too)
+app.post('/api/payroll/runs/:id/post', authRequired, requirePermission('PAYROLL_RUN'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT * FROM payroll_runs WHERE id=$1 FOR UPDATE`,
+      [req.params.id]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Payroll run not found' });
+    }
+    if (rows[0].status !== 'draft') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Run is already posted' });
+    }
+    const before = await runSnapshot(client, req.params.id);
+
+    const { rows: posted } = await client.query(
+      `UPDATE payroll_runs SET status='posted', processed_by=$1, posted_at=NOW()
+       WHERE id=$2
+       RETURNING id, period, status, posted_at`,
+      [req.user.id, req.params.id]
+    );
+    await recordAudit(client, {
+      req, action: 'payroll.run_post', targetType: 'payroll_run', targetId: req.params.id,
+      before, after: await runSnapshot(client, req.params.id),
+    });
+
+    await client.query('COMMIT');
+    // anything cached while it was a draft shows draft figures
+    clearPayslips(req.params.id);
+    res.json({ ok: true, ...posted[0] });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to post payroll run' });
+  } finally {
+    client.release();
+  }
+});
+
+/* ============================================================
+   PAYSLIPS (PDF per payroll_lines row, rendered under payslips/<runId>/)
+   ============================================================ */
+
+// Employee: My payslips (posted runs only)
+app.get('/api/payslips/my', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.id AS run_id, r.period, r.posted_at, l.net_pay
+       FROM payroll_lines l
+       JOIN payroll_runs r ON r.id = l.run_id
+       JOIN employees e ON e.id = l.employee_id
+       WHERE e.user_id=$1 AND r.status='posted'
+       ORDER BY r.period DESC`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch payslips' });
+  }
+});
+
+// Employee: Download my payslip for a run (rendered on first request)
+app.get('/api/payslips/my/:runId/pdf', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT e.id AS employee_id
+       FROM payroll_lines l
+       JOIN payroll_runs r ON r.id = l.run_id
+       JOIN employees e ON e.id = l.employee_id
+       WHERE l.run_id=$1 AND e.user_id=$2 AND r.status='posted'`,
+      [req.params.runId, req.user.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Payslip not found' });
+
+    const file = payslipPath(req.params.runId, rows[0].employee_id);
+    if (!fs.existsSync(file)) {
+      const data = await buildPayslip(pool, req.params.runId, rows[0].employee_id);
+      await renderPayslip(data, file);
+    }
+    res.download(file, `payslip_${req.params.runId}.pdf`);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to generate payslip' });
+  }
+});
+
+// Payroll: Render every payslip of a run and download them as a zip. They are
+// rendered into a scratch folder, not the cache employees download from, so a
+// draft run's payslips never reach them
+app.post('/api/payroll/runs/:id/payslips', authRequired, requirePermission('PAYROLL_RUN'), async (req, res) => {
+  let tmpDir = null;
+  try {
+    const { rows: runs } = await pool.query(`SELECT id, period FROM payroll_runs WHERE id=$1`, [req.params.id]);
+    if (!runs.length) return res.status(404).json({ error: 'Payroll run not found' });
+    const run = runs[0];
+
+    const { rows: lines } = await pool.query(
+      `SELECT l.employee_id, e.code
+       FROM payroll_lines l
+       JOIN employees e ON e.id = l.employee_id
+       WHERE l.run_id=$1`,
+      [run.id]
+    );
+    if (!lines.length) return res.status(400).json({ error: 'Run has no payroll lines' });
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payslips-'));
+    const files = [];
+    for (const l of lines) {
+      const data = await buildPayslip(pool, run.id, l.employee_id);
+      const file = await renderPayslip(data, path.join(tmpDir, `${l.employee_id}.pdf`));
+      files.push({ file, name: `${l.code || l.employee_id}_${run.period}.pdf` });
+    }
+    await recordAudit(pool, {
+      req, action: 'payroll.payslips_generate', targetType: 'payroll_run', targetId: run.id,
+      meta: { period: run.period, payslips: files.length },
+    });
+
+    res.attachment(`payslips_${run.period}.zip`);
+    const zip = archiver('zip');
+    zip.on('error', (err) => { console.error(err); res.destroy(err); });
+    zip.pipe(res);
+    for (const f of files) zip.file(f.file, { name: f.name });
+    await zip.finalize();
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to generate payslips' });
+  } finally {
+    const cleanup = () => fs.rmSync(tmpDir, { recursive: true, force: true });
+    if (tmpDir) res.closed ? cleanup() : res.on('close', cleanup);
+  }
+});
+
+/* ============================================================
+   BANK TRANSFER FILE (posted runs -> NEFT/RTGS bulk upload)
+   ============================================================ */
+
+async function runTransfers(runId, valueDate) {
+  const { rows } = await pool.query(`SELECT id, period, status FROM payroll_runs WHERE id=$1`, [runId]);
+  if (!rows.length) return { run: null };
+  const lines = await loadRunBankLines(pool, runId);
+  const transfers = prepareTransfers(lines, {
+    period: rows[0].period,
+    valueDate,
+    debitAccount: process.env.COMPANY_DEBIT_ACCOUNT,
+  });
+  return { run: rows[0], transfers };
+}
+
+// HR: Mark an employee's bank document as verified (same as approving it in the review queue)
+app.put('/api/hr/documents/:id/verify', authRequired, requirePermission('DOCS_REVIEW'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (!(await documentInScope(client, req, 'DOCS_REVIEW', req.params.id))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    const { rows: doc } = await client.query(`SELECT type FROM documents WHERE id=$1`, [req.params.id]);
+    if (doc[0]?.type !== 'bank') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Only bank documents are verified here; review others in the document queue' });
+    }
+    const out = await reviewDocument(client, req.params.id, { status: 'approved', userId: req.user.id });
+    if (out.error) {
+      await client.query('ROLLBACK');
+      return res.status(out.code).json({ error: out.error });
+    }
+    if (out.activated) out.activation = await issueActivation(client, req, out.document.employee_id);
+    await auditReview(client, req, out);
+    await client.query('COMMIT');
+    const activationSent = !!out.activation && !!(await mailPasswordLink(out.activation));
+    const { id, employee_id, type, status } = out.document;
+    res.json({ ok: true, id, employee_id, type, status, employee_activated: out.activated, activation_sent: activationSent });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to verify document' });
+  } finally {
+    client.release();
+  }
+});
+
+// Payroll: Preview transfers and flagged rows before producing the file
+app.get('/api/payroll/runs/:id/bank-file/preview', authRequired, requirePermission('PAYROLL_VIEW'), async (req, res) => {
+  const valueDate = req.query.value_date || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(valueDate))
+    return res.status(400).json({ error: 'value_date must be YYYY-MM-DD' });
+  try {
+    const { run, transfers } = await runTransfers(req.params.id, valueDate);
+    if (!run) return res.status(404).json({ error: 'Payroll run not found' });
+
+    const flagged = transfers.filter(t => t.issues.length);
+    const debitError = debitAccountError(process.env.COMPANY_DEBIT_ACCOUNT);
+    res.json({
+      run,
+      formats: bankLayouts(),
+      errors: debitError ? [debitError] : [],
+      total_amount: transfers.reduce((a, t) => a + t.amount, 0),
+      transfers,
+      flagged: flagged.map(t => ({ employee_code: t.employee_code, issues: t.issues })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to preview bank file' });
+  }
+});
+
+// Payroll: Download the bank file (?format=csv|fixed_width&value_date=YYYY-MM-DD&skip_flagged=1)
+app.get('/api/payroll/runs/:id/bank-file', authRequired, requirePermission('PAYROLL_RUN'), async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!bankLayouts().includes(format))
+    return res.status(400).json({ error: `format must be one of ${bankLayouts().join(', ')}` });
+  const valueDate = req.query.value_date || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(valueDate))
+    return res.status(400).json({ error: 'value_date must be YYYY-MM-DD' });
+  const debitError = debitAccountError(process.env.COMPANY_DEBIT_ACCOUNT);
+  if (debitError) return res.status(503).json({ error: debitError });
+
+  try {
+    const { run, transfers } = await runTransfers(req.params.id, valueDate);
+    if (!run) return res.status(404).json({ error: 'Payroll run not found' });
+    if (run.status !== 'posted') return res.status(409).json({ error: 'Bank file is only available for posted runs' });
+
+    const flagged = transfers.filter(t => t.issues.length);
+    const skip = ['1', 'true'].includes(String(req.query.skip_flagged));
+    if (flagged.length && !skip) {
+      return res.status(422).json({
+        error: 'Some transfers have missing or unverified account details',
+        flagged: flagged.map(t => ({ employee_code: t.employee_code, issues: t.issues })),
+      });
+    }
+
+    const clean = transfers.filter(t => !t.issues.length);
+    if (!clean.length) return res.status(422).json({ error: 'No valid transfers to export' });
+
+    const { body, ext, contentType } = renderBankFile(format, clean);
+    res.attachment(`salary_${run.period}_${format}.${ext}`);
+    res.type(contentType).send(body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to generate bank file' });
+  }
+});
+
+/* ============================================================
+   INCENTIVES (managers propose, INCENTIVE_APPROVE decides; feeds payroll)
+   ============================================================ */
+
+// Manager: Direct reports (for pickers in manager.html)
+app.get('/api/team/members', authRequired, async (req, res) => {
+  const team = scopeCondition(['reports'], req.user.id);
+  try {
+    const { rows } = await pool.query(
+      `SELECT e.id AS employee_id, e.code AS employee_code, u.name
+       FROM employees e
+       JOIN users u ON u.id = e.user_id
+       WHERE ${team.sql} AND e.status <> 'inactive'
+       ORDER BY u.name`,
+      team.params
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch team' });
+  }
+});
+
+// Manager: Propose an incentive for a direct report
+app.post('/api/incentives', authRequired, async (req, res) => {
+  const { employee_id, month, amount, reason } = req.body || {};
+  if (!employee_id || !PERIOD_RE.test(String(month || '')) || !(Number(amount) > 0))
+    return res.status(400).json({ error: 'employee_id, month (YYYY-MM) and a positive amount are required' });
+
+  const team = scopeCondition(['reports'], req.user.id, { offset: 1 });
+  try {
+    const { rows: emp } = await pool.query(
+      `SELECT e.id FROM employees e WHERE e.id=$1 AND ${team.sql}`,
+      [employee_id, ...team.params]
+    );
+    if (!emp.length) return res.status(403).json({ error: 'You can only propose incentives for your direct reports' });
+
+    const { rows: posted } = await pool.query(
+      `SELECT 1 FROM payroll_runs WHERE period=$1 AND status='posted'`,
+      [month]
+    );
+    if (posted.length) return res.status(409).json({ error: `Payroll for ${month} is already posted` });
+
+    const { rows } = await pool.query(
+      `INSERT INTO incentives (employee_id, month, amount, reason, status, proposed_by)
+       VALUES ($1, $2, $3, $4, 'pending', $5)
+       RETURNING id, status`,
+      [employee_id, month, Number(amount), reason || null, req.user.id]
+    );
+    res.status(201).json({ ok: true, incentive_id: rows[0].id, status: rows[0].status });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to propose incentive' });
+  }
+});
+
+// Manager: Incentives for my team (direct reports)
+app.get('/api/incentives/team', authRequired, async (req, res) => {
+  const team = scopeCondition(['reports'], req.user.id);
+  try {
+    const { rows } = await pool.query(
+      `SELECT i.id, u.name AS employee_name, i.month, i.amount, i.reason, i.status, i.created_at
+       FROM incentives i
+       JOIN employees e ON e.id = i.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE ${team.sql}
+       ORDER BY i.month DESC, u.name`,
+      team.params
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch team incentives' });
+  }
+});
+
+// Approver: Pending incentives in my INCENTIVE_APPROVE scope (own proposals
+// and own incentives excluded — no self-approval)
+app.get('/api/incentives/pending', authRequired, requirePermission('INCENTIVE_APPROVE'), async (req, res) => {
+  const scope = employeeScope(req.user, 'INCENTIVE_APPROVE', { offset: 1 });
+  try {
+    const { rows } = await pool.query(
+      `SELECT i.id, u.name AS employee_name, e.code AS employee_code,
+              i.month, i.amount, i.reason, pu.name AS proposed_by, i.created_at
+       FROM incentives i
+       JOIN employees e ON e.id = i.employee_id
+       JOIN users u ON u.id = e.user_id
+       LEFT JOIN users pu ON pu.id = i.proposed_by
+       WHERE i.status='pending' AND i.proposed_by IS DISTINCT FROM $1 AND e.user_id <> $1 AND ${scope.sql}
+       ORDER BY i.created_at ASC`,
+      [req.user.id, ...scope.params]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch pending incentives' });
+  }
+});
+
+// Approver: Approve/Reject an incentive
+app.put('/api/incentives/:id/status', authRequired, requirePermission('INCENTIVE_APPROVE'), async (req, res) => {
+  const s = String(req.body?.status || '').toLowerCase();
+  if (!['approved','rejected'].includes(s))
+    return res.status(400).json({ error: 'status must be approved or rejected' });
+  const scope = employeeScope(req.user, 'INCENTIVE_APPROVE', { offset: 2 });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT i.* FROM incentives i JOIN employees e ON e.id = i.employee_id
+       WHERE i.id=$1 AND i.status='pending' AND e.user_id <> $2 AND ${scope.sql}
+       FOR UPDATE OF i`,
+      [req.params.id, req.user.id, ...scope.params]
+    );
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Incentive not found or already processed' });
+    }
+    if (rows[0].proposed_by === req.user.id) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'You cannot approve your own proposal' });
+    }
+    const { rows: posted } = await client.query(
+      `SELECT 1 FROM payroll_runs WHERE period=$1 AND status='posted'`,
+      [rows[0].month]
+    );
+    if (posted.length && s === 'approved') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Payroll for ${rows[0].month} is already posted` });
+    }
+
+    await client.query(
+      `UPDATE incentives SET status=$1, approved_by=$2, decided_at=NOW() WHERE id=$3`,
+      [s, req.user.id, req.params.id]
+    );
+
+    await client.query('COMMIT');
+    res.json({ ok: true, status: s });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update incentive' });
+  } finally {
+    client.release();
+  }
+});
+
+// Employee: My incentive history
+app.get('/api/incentives/my', authRequired, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT i.month, i.amount, i.reason, i.status, i.decided_at
+       FROM incentives i
+       JOIN employees e ON e.id = i.employee_id
+       WHERE e.user_id=$1
+       ORDER BY i.month DESC, i.created_at DESC`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch incentives' });
+  }
+});
+
+/* ============================================================
+   AUDIT LOG (uses audit_logs)
+   ============================================================ */
+
+const AUDIT_PAGE_MAX = 200;
+
+// HR: Audit entries, newest first. Filters: actor (user id or email), action
+// (exact or prefix, e.g. "leave"), target_type, target_id, from, to; paged
+// with ?page=1&page_size=50
+app.get('/api/hr/audit-logs', authRequired, requirePermission('AUDIT_VIEW'), async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(AUDIT_PAGE_MAX, Math.max(1, parseInt(req.query.page_size, 10) || 50));
+  try {
+    const { total, rows } = await queryAudit(pool, req.query, { limit: pageSize, offset: (page - 1) * pageSize });
+    res.json({ page, page_size: pageSize, total, pages: Math.ceil(total / pageSize), rows });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// HR: Same filters as above, every matching entry as CSV (streamed in batches)
+app.get('/api/hr/audit-logs/export', authRequired, requirePermission('AUDIT_VIEW'), async (req, res) => {
+  try {
+    // pinned to now so entries written during the export don't shift the pages
+    const { rows: now } = await pool.query(`SELECT to_char(NOW(), 'YYYY-MM-DD HH24:MI:SS.US') AS as_of`);
+    const filters = { ...req.query, as_of: now[0].as_of };
+    const first = await queryAudit(pool, filters, { limit: 1000, offset: 0 });
+    await recordAudit(pool, { req, action: 'audit.export', targetType: 'audit_log', meta: { filters, rows: first.total } });
+    res.attachment(`audit_log_${now[0].as_of.slice(0, 10)}.csv`);
+    res.type('text/csv');
+    res.write(AUDIT_CSV_HEADER + auditCsvRows(first.rows));
+    for (let offset = 1000; offset < first.total; offset += 1000) {
+      const { rows } = await queryAudit(pool, filters, { limit: 1000, offset });
+      res.write(auditCsvRows(rows));
+    }
+    res.end();
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to export audit log' });
+    else res.destroy(e);
+  }
+});
+
+/* ============================================================
+   ROLES & PERMISSIONS (uses roles, permissions, role_permissions, user_roles)
+   ============================================================ */
+// Tokens carry the permission codes (and their data scopes, see
+// src/utils/scope.js) they were minted with, so every change here reaches a
+// user on their next sign-in / token refresh. A change that would leave no
+// active user holding ROLE_MANAGE is refused.
+
+const LOCKOUT_ERROR = 'This change would leave no active user able to manage roles';
+
+// Grants given as codes or { code, scope } -> { codes, scopes: { CODE: scope } }
+const grantList = (entries) => ({
+  codes: entries.map(g => (g && typeof g === 'object' ? g.code : g)),
+  scopes: Object.fromEntries(entries.filter(g => g && typeof g === 'object' && g.scope)
+    .map(g => [String(g.code).trim().toUpperCase(), g.scope])),
+});
+
+const findUser = async (db, idOrEmail) =>
+  (await db.query(`SELECT id, name, email, status FROM users WHERE id::text=$1 OR lower(email)=lower($1)`, [idOrEmail])).rows[0];
+
+// Admin: Every permission code, with the roles that grant it
+app.get('/api/admin/permissions', authRequired, requirePermission('ROLE_MANAGE'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT p.code, p.description,
+              ARRAY(SELECT r.name FROM role_permissions rp JOIN roles r ON r.id = rp.role_id
+                    WHERE rp.permission_id = p.id ORDER BY r.name) AS roles
+       FROM permissions p ORDER BY p.code`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+});
+
+// Admin: Roles with their permissions and member counts
+app.get('/api/admin/roles', authRequired, requirePermission('ROLE_MANAGE'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`SELECT id FROM roles ORDER BY name`);
+    res.json(await Promise.all(rows.map(r => loadRole(pool, r.id))));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch roles' });
+  }
+});
+
+// Create { name, permissions? } or update { name?, permissions? } a role;
+// permissions (codes, or { code, scope }) replaces the role's whole set
+async function saveRole(req, res) {
+  const { permissions } = req.body || {};
+  const name = req.body?.name == null ? null : String(req.body.name).trim();
+  if (!req.params.id && !name) return res.status(400).json({ error: 'name is required' });
+  if (name === '') return res.status(400).json({ error: 'name cannot be empty' });
+  if (permissions !== undefined && !Array.isArray(permissions))
+    return res.status(400).json({ error: 'permissions must be an array of codes or { code, scope }' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = req.params.id ? await loadRole(client, req.params.id) : null;
+    if (req.params.id && !before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    const { rows } = req.params.id
+      ? await client.query(`UPDATE roles SET name=COALESCE($2, name) WHERE id=$1 RETURNING id`, [req.params.id, name])
+      : await client.query(`INSERT INTO roles (name) VALUES ($1) RETURNING id`, [name]);
+    const roleId = rows[0].id;
+    if (permissions !== undefined) {
+      const { codes, scopes } = grantList(permissions);
+      const r = await setRolePermissions(client, roleId, codes, scopes);
+      if (r.error) {
+        await client.query('ROLLBACK');
+        return res.status(r.code).json({ error: r.error });
+      }
+    }
+    if (await roleManagerCount(client) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: LOCKOUT_ERROR });
+    }
+    const after = await loadRole(client, roleId);
+    await recordAudit(client, {
+      req, action: req.params.id ? 'role.update' : 'role.create', targetType: 'role', targetId: roleId, before, after,
+    });
+    await client.query('COMMIT');
+    res.status(req.params.id ? 200 : 201).json(after);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    if (e.code === '23505') return res.status(409).json({ error: 'A role with this name already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to save role' });
+  } finally {
+    client.release();
+  }
+}
+app.post('/api/admin/roles', authRequired, requirePermission('ROLE_MANAGE'), saveRole);
+app.put('/api/admin/roles/:id', authRequired, requirePermission('ROLE_MANAGE'), saveRole);
+
+// Attach { codes: [...], scope? } to (re-attaching changes the scope), or
+// detach :code from, a role's permissions
+async function editRolePermissions(req, res) {
+  const detach = req.method === 'DELETE';
+  const grants = grantList(detach ? [req.params.code] : asArray(req.body?.codes ?? req.body?.code));
+  const codes = grants.codes.map(c => String(c || '').trim().toUpperCase()).filter(Boolean);
+  if (!codes.length) return res.status(400).json({ error: 'codes is required' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await loadRole(client, req.params.id);
+    if (!before) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found' });
+    }
+    if (detach && !before.permissions.includes(codes[0])) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role does not have this permission' });
+    }
+    const wanted = detach ? before.permissions.filter(c => c !== codes[0]) : [...before.permissions, ...codes];
+    const scopes = {
+      ...before.scopes,
+      ...(!detach && req.body?.scope && Object.fromEntries(codes.map(c => [c, req.body.scope]))),
+      ...grants.scopes,
+    };
+    const after = await setRolePermissions(client, req.params.id, wanted, scopes);
+    if (after.error) {
+      await client.query('ROLLBACK');
+      return res.status(after.code).json({ error: after.error });
+    }
+    if (await roleManagerCount(client) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: LOCKOUT_ERROR });
+    }
+    await recordAudit(client, {
+      req, action: detach ? 'role.permission_detach' : 'role.permission_attach', targetType: 'role', targetId: req.params.id,
+      before, after, meta: { codes, ...(req.body?.scope && { scope: req.body.scope }) },
+    });
+    await client.query('COMMIT');
+    res.json(after);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update role permissions' });
+  } finally {
+    client.release();
+  }
+}
+app.post('/api/admin/roles/:id/permissions', authRequired, requirePermission('ROLE_MANAGE'), editRolePermissions);
+app.delete('/api/admin/roles/:id/permissions/:code', authRequired, requirePermission('ROLE_MANAGE'), editRolePermissions);
+
+// Admin: A user's roles and the permissions (with scopes) they add up to (:id = user id or email)
+app.get('/api/admin/users/:id/roles', authRequired, requirePermission('ROLE_MANAGE'), async (req, res) => {
+  try {
+    const user = await findUser(pool, req.params.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ user, roles: await userRoles(pool, user.id), ...(await tokenClaims(pool, user.id)) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch user roles' });
+  }
+});
+
+// Assign { role_id | role (name) } to a user, or revoke :roleId
+async function editUserRoles(req, res) {
+  const revoke = req.method === 'DELETE';
+  const roleRef = revoke ? req.params.roleId : (req.body?.role_id || req.body?.role);
+  if (!roleRef) return res.status(400).json({ error: 'role_id or role is required' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const user = await findUser(client, req.params.id);
+    const { rows: role } = await client.query(`SELECT id, name FROM roles WHERE id::text=$1 OR name=$1`, [String(roleRef)]);
+    if (!user || !role.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: user ? 'Role not found' : 'User not found' });
+    }
+    const before = await userRoles(client, user.id);
+    const { rowCount } = revoke
+      ? await client.query(`DELETE FROM user_roles WHERE user_id=$1 AND role_id=$2`, [user.id, role[0].id])
+      : await client.query(`INSERT INTO user_roles (user_id, role_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`, [user.id, role[0].id]);
+    if (revoke && !rowCount) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User does not have this role' });
+    }
+    if (await roleManagerCount(client) === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: LOCKOUT_ERROR });
+    }
+    const after = await userRoles(client, user.id);
+    if (rowCount) {
+      await recordAudit(client, {
+        req, action: revoke ? 'user.role_revoke' : 'user.role_assign', targetType: 'user', targetId: user.id,
+        before, after, meta: { role: role[0].name },
+      });
+    }
+    await client.query('COMMIT');
+    res.status(revoke || !rowCount ? 200 : 201).json({ user, roles: after, ...(await tokenClaims(pool, user.id)) });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update user roles' });
+  } finally {
+    client.release();
+  }
+}
+app.post('/api/admin/users/:id/roles', authRequired, requirePermission('ROLE_MANAGE'), editUserRoles);
+app.delete('/api/admin/users/:id/roles/:roleId', authRequired, requirePermission('ROLE_MANAGE'), editUserRoles);
+
+/* ---------- 404 & Error ---------- */
+app.use((req, res) => res.status(404).json({ error: 'Not found', path: req.path }));
+app.use((err, _req, res, _next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+/* ---------- Start ---------- */
+const PORT = process.env.PORT || 8080;
+app.listen(PORT, () => console.log(`✅ IQONIK HRMS backend listening on ${PORT}`));
+
+// a guarded code with no permissions row can never be granted: say so early
+missingPermissions(pool, [...PERMISSIONS_USED])
+  .then(m => { if (m.length) console.warn(`[rbac] permission codes used but not in the permissions table: ${m.join(', ')}`); })
+  .catch(e => console.warn('[rbac] could not check permission codes:', e.message));
@@ -31,9 +31,10 @@ SELECT r.id, p.id FROM roles r CROSS JOIN permissions p WHERE r.name='admin'
 ON CONFLICT DO NOTHING;
 
 -- 5. Create founder user
-INSERT INTO users(name, email, phone, password, status)
+INSERT INTO users(name, email, phone, password_hash, must_change_password, status)
 VALUES('Founder','founder@iqonik.in','9876500000',
 '$2b$10$6dSWbVH5YF1G1Kv.5rnSGuk/uM6p6jtiB.wmRpvCsLTdSw7zwfBca',  -- hash for admin123
+TRUE,  -- a shared default: changed at first sign-in
 'active')
 ON CONFLICT(email) DO NOTHING;
 
@@ -4,18 +4,18 @@ import morgan from 'morgan';
 import cors from 'cors';
 import helmet from 'helmet';
 import jwt from 'jsonwebtoken';
-import bcrypt from 'bcrypt';
-import crypto from 'crypto';
 import pkg from 'pg';
 import multer from 'multer';
-import fs from 'fs';
 import path from 'path';
+import { refreshMonthly } from './utils/attendance.js';
+import { MAX_DOC_BYTES, checkUpload, saveDocumentFile } from './utils/docStorage.js';
+import { sendPasswordLink } from './utils/passwords.js';
+import { activeSession } from './utils/sessions.js';
 
 const { Pool } = pkg;
 
 /* ---------- Helpers ---------- */
 const asArray = (v) => (Array.isArray(v) ? v : v ? [v] : []);
-const randomPwd = () => crypto.randomBytes(4).toString('hex'); // 8-char random
 
 /* ---------- App & DB ---------- */
 const app = express();
@@ -24,7 +24,7 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(morgan('tiny'));
 
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+// uploads are not served statically; the main server has an authenticated download route
 app.use(express.static(path.join(process.cwd(), 'public')));
 
 const pool = new Pool({
@@ -34,15 +34,31 @@ const pool = new Pool({
 });
 
 /* ---------- Auth Middleware ---------- */
-function authRequired(req, res, next) {
+// Same check as the main server: the token's session (sid) must still be open
+// and its user active. Password changes happen on the main server, so a user
+// who still has to change theirs gets nothing here.
+async function authRequired(req, res, next) {
   const header = req.headers['authorization'];
   if (!header) return res.status(401).json({ error: 'Missing Authorization' });
+  let payload;
   try {
-    req.user = jwt.verify(header.replace(/^Bearer\s+/i, ''), process.env.JWT_SECRET);
-    return next();
+    payload = jwt.verify(header.replace(/^Bearer\s+/i, ''), process.env.JWT_SECRET);
   } catch {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  if (!payload.sid) return res.status(401).json({ error: 'Invalid token' });
+  let session;
+  try {
+    session = await activeSession(pool, payload.sid, payload.id);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: 'Failed to check session' });
+  }
+  if (!session) return res.status(401).json({ error: 'Session expired or revoked' });
+  if (session.must_change_password)
+    return res.status(403).json({ error: 'Password change required', password_change_required: true });
+  req.user = payload;
+  next();
 }
 
 function requirePermission(code) {
@@ -54,32 +70,9 @@ function requirePermission(code) {
 }
 
 /* ---------- Multer Config for Docs ---------- */
+// Kept in memory and written encrypted, like the main server's uploads
 const uploadDir = path.join(process.cwd(), 'uploads');
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: async function (req, file, cb) {
-    try {
-      const empId = req.empId;
-      if (!empId) return cb(new Error('Missing employee ID for upload'), null);
-
-      const { rows } = await pool.query(`SELECT code FROM employees WHERE id=$1`, [empId]);
-      const empCode = rows[0]?.code || empId;
-
-      const empDir = path.join(uploadDir, empCode);
-      if (!fs.existsSync(empDir)) fs.mkdirSync(empDir, { recursive: true });
-
-      cb(null, empDir);
-    } catch (err) {
-      cb(err, null);
-    }
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + ext);
-  },
-});
-const upload = multer({ storage });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_DOC_BYTES } });
 
 /* ---------- Extract Employee ID from Token ---------- */
 function extractEmpId(req, res, next) {
@@ -87,6 +80,7 @@ function extractEmpId(req, res, next) {
     const token = req.body.token || req.query.token || req.headers['x-doc-token'];
     if (!token) return res.status(400).json({ error: 'Missing token' });
     const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== 'docs' || !payload.empId) return res.status(401).json({ error: 'Invalid/expired token' });
     req.empId = payload.empId;
     next();
   } catch (e) {
@@ -101,87 +95,11 @@ app.get('/health', (_, res) => res.json({ ok: true, ts: new Date().toISOString()
 /* ============================================================
    AUTHENTICATION
    ============================================================ */
-// Register new user
-app.post('/auth/register', async (req, res) => {
-  const { name, email, password } = req.body;
-  if (!name || !email || !password) return res.status(400).json({ error: 'Missing fields' });
-
-  try {
-    const hashed = await bcrypt.hash(password, 10);
-    const { rows } = await pool.query(
-      `INSERT INTO users (name, email) VALUES ($1,$2)
-       ON CONFLICT (email) DO UPDATE SET name=EXCLUDED.name
-       RETURNING id`,
-      [name, email]
-    );
-    const userId = rows[0].id;
-
-    const emp = await pool.query(
-      `INSERT INTO employees (user_id, code, status, password)
-       VALUES ($1, generate_emp_code(), 'active', $2)
-       ON CONFLICT (user_id) DO UPDATE SET password=EXCLUDED.password
-       RETURNING id, code`,
-      [userId, hashed]
-    );
-
-    res.status(201).json({
-      message: 'User registered',
-      user_id: userId,
-      employee_id: emp.rows[0].id,
-      code: emp.rows[0].code,
-    });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Registration failed' });
-  }
-});
-
-// Login
-app.post('/auth/login', async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
-
-  try {
-    const { rows } = await pool.query(
-      `SELECT u.id AS user_id, u.email, u.name,
-              e.id AS employee_id, e.password, e.manager_id,
-              json_agg(rp.permission_code) AS permissions
-       FROM users u
-       JOIN employees e ON e.user_id = u.id
-       LEFT JOIN user_roles ur ON ur.user_id = u.id
-       LEFT JOIN role_permissions rp ON rp.role_id = ur.role_id
-       WHERE u.email=$1
-       GROUP BY u.id, e.id`,
-      [email]
-    );
-
-    if (rows.length === 0) return res.status(401).json({ error: 'Invalid email or password' });
-
-    const user = rows[0];
-    const valid = await bcrypt.compare(password, user.password || '');
-    if (!valid) return res.status(401).json({ error: 'Invalid email or password' });
-
-    const token = jwt.sign(
-      { id: user.user_id, empId: user.employee_id, permissions: user.permissions.filter(Boolean) },
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' }
-    );
-
-    res.json({
-      token,
-      user: {
-        id: user.user_id,
-        empId: user.employee_id,
-        name: user.name,
-        email: user.email,
-        permissions: user.permissions.filter(Boolean),
-      },
-    });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Login failed' });
-  }
-});
+// Sign-in lives in the main server (index.js: /auth/login, /auth/refresh,
+// /auth/logout), which issues session-bound tokens; passwords are kept on
+// users.password_hash and set through emailed links (src/utils/passwords.js).
+// There is no self-registration: accounts are created by HR (POST /employees,
+// offer acceptance) and activated through those links.
 
 /* ============================================================
    EMPLOYEE ONBOARDING & DOCS
@@ -226,23 +144,25 @@ app.post(
   async (req, res) => {
     try {
       const empId = req.empId;
-      const files = req.files;
-      if (!files) return res.status(400).json({ error: 'No files uploaded' });
+      const files = req.files || {};
+      if (!Object.keys(files).length) return res.status(400).json({ error: 'No files uploaded' });
+      const checked = Object.entries(files).map(([type, arr]) => ({ type, file: arr[0], ...checkUpload(type, arr[0].buffer) }));
+      const invalid = checked.filter(c => c.error);
+      if (invalid.length) return res.status(415).json({ error: invalid.map(c => c.error).join('; ') });
 
       const { rows } = await pool.query(`SELECT code FROM employees WHERE id=$1`, [empId]);
       const empCode = rows[0]?.code || empId;
 
       const queries = [];
-      for (const [type, fileArr] of Object.entries(files)) {
-        const file = fileArr[0];
-        const relativePath = path.join('uploads', empCode, path.basename(file.path));
+      for (const { type, file, format } of checked) {
+        const fileUrl = saveDocumentFile(uploadDir, empCode, `${type}_${Date.now()}${format.ext}`, file.buffer);
         queries.push(
           pool.query(
             `INSERT INTO employee_docs (id, employee_id, doc_type, file_path, status)
              VALUES (uuid_generate_v4(), $1, $2, $3, 'pending')
              ON CONFLICT (employee_id, doc_type)
              DO UPDATE SET file_path=EXCLUDED.file_path, uploaded_at=now(), status='pending'`,
-            [empId, type, relativePath]
+            [empId, type, fileUrl]
           )
         );
       }
@@ -293,13 +213,18 @@ app.post('/api/hr/docs/update', authRequired, requirePermission('DOCS_REVIEW'),
     );
 
     if (parseInt(check[0].pending) === 0) {
-      const rawPwd = randomPwd();
-      const hashedPwd = await bcrypt.hash(rawPwd, 10);
-      await pool.query(`UPDATE employees SET status='active', password=$2 WHERE id=$1`, [
-        empId,
-        hashedPwd,
-      ]);
-      console.log(`✅ Employee ${empId} activated with password: ${rawPwd}`);
+      // no password is handed out: the employee chooses one through an emailed activation link
+      const { rows: emp } = await pool.query(
+        `UPDATE employees e SET status='active' FROM users u
+         WHERE e.id=$1 AND u.id = e.user_id
+         RETURNING u.id AS user_id, u.password_hash IS NULL AS no_password`,
+        [empId]
+      );
+      if (emp[0]?.no_password) {
+        const link = await sendPasswordLink(pool, emp[0].user_id, 'activation', { createdBy: req.user.id });
+        if (link.error) console.warn(`Activation link for employee ${empId} not sent: ${link.error}`);
+      }
+      console.log(`✅ Employee ${empId} activated`);
     }
 
     res.json({ message: `Document ${action}` });
@@ -427,10 +352,10 @@ app.get('/api/attendance/team', authRequired, requirePermission('ATTENDANCE_APPR
 app.post('/api/hr/attendance/refresh', authRequired, requirePermission('HR_MANAGE'), async (req, res) => {
   try {
     const { month } = req.body || {};
-    const sql = month ? `SELECT refresh_attendance_monthly($1)` : `SELECT refresh_attendance_monthly()`;
-    const params = month ? [month] : [];
-    await pool.query(sql, params);
-    res.json({ message: `Attendance rollup refreshed for ${month || 'current month'}` });
+    const period = month || new Date().toISOString().slice(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(period))) return res.status(400).json({ error: 'month must be YYYY-MM' });
+    const recomputed = await refreshMonthly(pool, period, { full: req.body?.full === true });
+    res.json({ message: `Attendance rollup refreshed for ${period} (${recomputed} employee(s) recomputed)` });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Failed to refresh rollup' });
@@ -440,7 +365,16 @@ app.post('/api/hr/attendance/refresh', authRequired, requirePermission('HR_MANAG
 app.get('/api/hr/payroll-summary', authRequired, requirePermission('HR_VIEW'), async (req, res) => {
   try {
     const { month } = req.query;
-    const { rows } = await pool.query(`SELECT * FROM payroll_attendance_summary WHERE month=$1`, [month]);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(month || ''))) return res.status(400).json({ error: 'month (YYYY-MM) is required' });
+    const { rows } = await pool.query(
+      `SELECT u.name AS employee, m.*
+       FROM attendance_monthly m
+       JOIN employees e ON e.id = m.employee_id
+       JOIN users u ON u.id = e.user_id
+       WHERE m.month=$1
+       ORDER BY u.name`,
+      [month]
+    );
     res.json(rows);
   } catch (e) {
     console.error(e);
@@ -451,6 +385,8 @@ app.get('/api/hr/payroll-summary', authRequired, requirePermission('HR_VIEW'), a
 /* ---------- Global Error ---------- */
 app.use((req, res) => res.status(404).json({ error: 'Not found', path: req.path }));
 app.use((err, _req, res, _next) => {
+  if (err instanceof multer.MulterError)
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: `${err.field || 'upload'}: ${err.message}` });
   console.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -0,0 +1,159 @@
+// src/utils/attendance.js
+// Monthly attendance per employee from attendance_days + approved leaves on
+// the location calendar. Payroll proration and the attendance_monthly rollup
+// both use summarizeAttendance(), so the two always agree.
+import { isWorkingDate, loadCalendars, periodBounds, periodDates } from './calendar.js';
+import { leaveDayCharges } from './leavePolicy.js';
+import { DEFAULT_SHIFT, evaluateShiftDay } from './shifts.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * emps: [{ employee_id, location_id, doj, dol }] (dates as YYYY-MM-DD).
+ * Returns { [employee_id]: summary } where a present/wfh day is paid in full
+ * (half if the shift flagged it half_day, topped up by any leave that day),
+ * a day without attendance is paid only for its leave share, and
+ * lop_days = eligible_days - paid_days. Late/early-exit/overtime come from
+ * the shift flags on attendance_days.
+ */
+export async function summarizeAttendance(db, period, emps) {
+  if (!emps.length) return {};
+  const { first, last } = periodBounds(period);
+  const dates = periodDates(period);
+  const ids = emps.map(e => e.employee_id);
+  const calendars = await loadCalendars(db, emps.map(e => e.location_id), first, last);
+
+  const { rows: att } = await db.query(
+    `SELECT employee_id, to_char(date, 'YYYY-MM-DD') AS date, status,
+            to_char(in_time, 'YYYY-MM-DD"T"HH24:MI:SS') AS in_at,
+            late_minutes, early_exit_minutes, overtime_minutes, half_day
+     FROM attendance_days
+     WHERE employee_id = ANY($1::uuid[]) AND date BETWEEN $2::date AND $3::date`,
+    [ids, first, last]
+  );
+  const { rows: lvs } = await db.query(
+    `SELECT employee_id, type, session, hours,
+            to_char(GREATEST(start_date, $2::date), 'YYYY-MM-DD') AS start_date,
+            to_char(LEAST(end_date, $3::date), 'YYYY-MM-DD') AS end_date
+     FROM leaves
+     WHERE employee_id = ANY($1::uuid[]) AND status = 'approved'
+       AND start_date <= $3::date AND end_date >= $2::date`,
+    [ids, first, last]
+  );
+
+  const out = {};
+  for (const emp of emps) {
+    const inService = (d) => (!emp.doj || d >= emp.doj) && (!emp.dol || d <= emp.dol);
+    const calendar = calendars[emp.location_id || ''];
+    const workingDays = dates.filter(d => isWorkingDate(calendar, d));
+    const eligible = new Set(workingDays.filter(inService));
+
+    // leave share per date (half-days/hours are fractional, capped at a day)
+    const leaveShare = {};
+    const byType = {};
+    for (const l of lvs.filter(l => l.employee_id === emp.employee_id)) {
+      for (const c of leaveDayCharges(l, calendar)) {
+        if (!eligible.has(c.date)) continue;
+        leaveShare[c.date] = Math.min(1, (leaveShare[c.date] || 0) + c.fraction);
+        byType[l.type] = round2((byType[l.type] || 0) + c.fraction);
+      }
+    }
+
+    // worked share per present/wfh date, or a partial-leave date with a
+    // punch: 1, or 0.5 for a half-day
+    const worked = {};
+    let wfh = 0, late = 0, earlyExits = 0, overtime = 0, halfDays = 0;
+    for (const a of att.filter(a => a.employee_id === emp.employee_id)) {
+      if (!eligible.has(a.date) || leaveShare[a.date] >= 1) continue;
+      if (a.status === 'present' || a.status === 'wfh' || (a.status === 'partial_leave' && a.in_at)) {
+        worked[a.date] = a.half_day ? 0.5 : 1;
+        if (a.half_day) halfDays++;
+        if (a.status === 'wfh') wfh++;
+        // rows punched before shifts were tracked have no flags yet
+        const lateMinutes = a.late_minutes ?? (a.in_at ? evaluateShiftDay(DEFAULT_SHIFT, a.date, a.in_at, null).late_minutes : 0);
+        if (lateMinutes > 0) late++;
+        if (a.early_exit_minutes > 0) earlyExits++;
+        overtime += Number(a.overtime_minutes) || 0;
+      }
+    }
+    const presentDays = new Set(Object.keys(worked));
+
+    const leaveDays = round2(Object.entries(leaveShare)
+      .reduce((a, [d, f]) => a + (d in worked ? Math.min(f, 1 - worked[d]) : f), 0));
+    const paidDays = round2(Object.values(worked).reduce((a, w) => a + w, 0) + leaveDays);
+    const absent = [...eligible].filter(d => !presentDays.has(d) && !leaveShare[d]).length;
+
+    out[emp.employee_id] = {
+      working_days: workingDays.length,
+      eligible_days: eligible.size,
+      present_days: presentDays.size - wfh,
+      wfh_days: wfh,
+      leave_days: leaveDays,
+      leaves_by_type: byType,
+      absent_days: absent,
+      late_marks: late,
+      early_exits: earlyExits,
+      half_days: halfDays,
+      overtime_minutes: overtime,
+      paid_days: paidDays,
+      lop_days: round2(eligible.size - paidDays),
+    };
+  }
+  return out;
+}
+
+/**
+ * Rebuild attendance_monthly for a month. Only employees whose row is missing
+ * or marked stale (by the attendance_days / leaves / holidays triggers) are
+ * recomputed unless `full` is set. Returns the number of rows written.
+ */
+export async function refreshMonthly(db, period, { full = false } = {}) {
+  const { first, last } = periodBounds(period);
+  const { rows: emps } = await db.query(
+    `SELECT e.id AS employee_id, e.location_id,
+            to_char(e.doj, 'YYYY-MM-DD') AS doj,
+            to_char(e.dol, 'YYYY-MM-DD') AS dol
+     FROM employees e
+     LEFT JOIN attendance_monthly m ON m.employee_id = e.id AND m.month = $3
+     WHERE e.status IN ('active','inactive')
+       AND (e.doj IS NULL OR e.doj <= $2::date)
+       AND (e.dol IS NULL OR e.dol >= $1::date)
+       AND ($4 OR m.employee_id IS NULL OR m.stale)`,
+    [first, last, period, full]
+  );
+  const summary = await summarizeAttendance(db, period, emps);
+  for (const [employeeId, s] of Object.entries(summary)) {
+    await db.query(
+      `INSERT INTO attendance_monthly (employee_id, month, working_days, eligible_days, present_days, wfh_days,
+                                       absent_days, leave_days, leaves_by_type, late_marks, early_exits, half_days,
+                                       overtime_minutes, paid_days, lop_days, stale, computed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, false, NOW())
+       ON CONFLICT (employee_id, month) DO UPDATE SET
+         working_days=EXCLUDED.working_days, eligible_days=EXCLUDED.eligible_days,
+         present_days=EXCLUDED.present_days, wfh_days=EXCLUDED.wfh_days,
+         absent_days=EXCLUDED.absent_days, leave_days=EXCLUDED.leave_days,
+         leaves_by_type=EXCLUDED.leaves_by_type, late_marks=EXCLUDED.late_marks,
+         early_exits=EXCLUDED.early_exits, half_days=EXCLUDED.half_days,
+         overtime_minutes=EXCLUDED.overtime_minutes,
+         paid_days=EXCLUDED.paid_days, lop_days=EXCLUDED.lop_days,
+         stale=false, computed_at=NOW()`,
+      [employeeId, period, s.working_days, s.eligible_days, s.present_days, s.wfh_days,
+       s.absent_days, s.leave_days, s.leaves_by_type, s.late_marks, s.early_exits, s.half_days,
+       s.overtime_minutes, s.paid_days, s.lop_days]
+    );
+  }
+  return emps.length;
+}
+
+/**
+ * Refresh every month that has stale rollup rows, plus the current month so
+ * new joiners get a row. Used by the RUN_JOBS timer; returns rows written.
+ */
+export async function refreshStaleMonths(db, today = new Date()) {
+  const { rows } = await db.query(`SELECT DISTINCT month FROM attendance_monthly WHERE stale ORDER BY month`);
+  const months = new Set(rows.map(r => r.month));
+  months.add(today.toISOString().slice(0, 7));
+  let written = 0;
+  for (const month of months) written += await refreshMonthly(db, month);
+  return written;
+}
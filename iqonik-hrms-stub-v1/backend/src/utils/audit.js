@@ -0,0 +1,128 @@
+// src/utils/audit.js
+// Append-only trail in audit_logs. Routes record what they change, with
+// before/after row snapshots in meta_json; auditTrail() records any mutating
+// request that succeeded without doing so (with the body's field names, not
+// its values), so nothing goes unlogged.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SECRET_KEYS = /pass(word)?|token|secret|otp/i;
+// Identity and bank details (Aadhaar, PAN, account numbers) are masked too
+const PERSONAL_KEYS = /aadha?a?r|^pan(_?(no|number))?$|account_?(no|num|number)/i;
+const MUTATING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Copy for meta_json with credentials and personal identifiers masked
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value && typeof value === 'object' && !(value instanceof Date))
+    return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+      [k, SECRET_KEYS.test(k) || PERSONAL_KEYS.test(k) ? '***' : redact(v)]));
+  return value;
+}
+
+/**
+ * Write one entry. actorId defaults to req.user; pass req to add the caller's
+ * IP and route and to mark the request as audited. A targetId that isn't a
+ * UUID (a period, a year) is kept in meta_json as target_ref.
+ */
+export async function recordAudit(db, { req = null, actorId, action, targetType, targetId = null, before, after, meta = {} }) {
+  const ref = targetId == null ? null : String(targetId);
+  const json = redact({
+    ...meta,
+    ...(ref && !UUID_RE.test(ref) && { target_ref: ref }),
+    ...(before !== undefined && { before }),
+    ...(after !== undefined && { after }),
+    ...(req && { ip: req.ip, route: `${req.method} ${req.originalUrl.split('?')[0]}` }),
+  });
+  await db.query(
+    `INSERT INTO audit_logs (actor_user_id, action, target_type, target_id, meta_json)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [actorId ?? req?.user?.id ?? null, action, targetType, ref && UUID_RE.test(ref) ? ref : null, json]
+  );
+  if (req) req.audited = true;
+}
+
+// A row as it stands, for before/after snapshots
+export async function snapshot(db, table, id) {
+  if (!/^[a-z_]+$/.test(table)) throw new Error(`Bad table name: ${table}`);
+  if (!id || !UUID_RE.test(String(id))) return null;
+  const { rows } = await db.query(`SELECT * FROM ${table} WHERE id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// Catch-all for mutating routes that don't record their own entry
+export function auditTrail(db) {
+  return (req, res, next) => {
+    if (!MUTATING.has(req.method)) return next();
+    res.on('finish', () => {
+      if (req.audited || res.statusCode >= 400) return;
+      const fields = req.body && typeof req.body === 'object' ? Object.keys(req.body) : [];
+      recordAudit(db, {
+        req,
+        action: `${req.method} ${req.route?.path || req.path}`,
+        targetType: 'route',
+        targetId: req.params?.id,
+        meta: { params: req.params, fields, status: res.statusCode },
+      }).catch(e => console.error('[audit] failed to record', e));
+    });
+    next();
+  };
+}
+
+/* ---------- query ---------- */
+
+/**
+ * WHERE clause for audit_logs (alias a) from query-string filters:
+ * actor (user id or email), action (exact, or a prefix like "leave" for
+ * leave.*), target_type, target_id, from / to (YYYY-MM-DD, inclusive) and
+ * as_of (a timestamp; pins the result set while paging through it).
+ */
+export function auditFilters(q = {}) {
+  const where = [], params = [];
+  const add = (sql, v) => { params.push(v); where.push(sql.replace(/\?/g, `$${params.length}`)); };
+  if (q.actor) {
+    if (UUID_RE.test(q.actor)) add('a.actor_user_id = ?', q.actor);
+    else add('lower(u.email) = lower(?)', q.actor);
+  }
+  if (q.action) add(`(a.action = ? OR a.action LIKE ? || '.%')`, q.action);
+  if (q.target_type) add('a.target_type = ?', q.target_type);
+  if (q.target_id) {
+    if (UUID_RE.test(q.target_id)) add('a.target_id = ?', q.target_id);
+    else add(`a.meta_json->>'target_ref' = ?`, q.target_id);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(q.from || '')) add('a.ts >= ?::date', q.from);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(q.to || '')) add(`a.ts < ?::date + 1`, q.to);
+  if (/^\d{4}-\d{2}-\d{2}[ T][\d:.]+$/.test(q.as_of || '')) add('a.ts <= ?::timestamp', q.as_of);
+  return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+// One page of entries, newest first, with the total matching count
+export async function queryAudit(db, filters, { limit, offset }) {
+  const { sql, params } = auditFilters(filters);
+  const from = `FROM audit_logs a LEFT JOIN users u ON u.id = a.actor_user_id ${sql}`;
+  const { rows: count } = await db.query(`SELECT COUNT(*)::int AS total ${from}`, params);
+  const { rows } = await db.query(
+    `SELECT a.id, a.ts, a.actor_user_id, u.name AS actor_name, u.email AS actor_email,
+            a.action, a.target_type, a.target_id, a.meta_json
+     ${from}
+     ORDER BY a.ts DESC, a.id
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { total: count[0].total, rows };
+}
+
+// A leading = + - @ (or tab/CR) would make a spreadsheet run the cell as a formula
+const csvCell = (v) => {
+  let s = String(v ?? '');
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const AUDIT_CSV_HEADER = 'ts,actor_email,actor_name,action,target_type,target_id,meta_json\r\n';
+
+export function auditCsvRows(rows) {
+  return rows.map(r => [
+    r.ts instanceof Date ? r.ts.toISOString() : r.ts, r.actor_email, r.actor_name, r.action,
+    r.target_type, r.target_id, JSON.stringify(r.meta_json),
+  ].map(csvCell).join(',') + '\r\n').join('');
+}
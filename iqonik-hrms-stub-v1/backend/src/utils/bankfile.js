@@ -0,0 +1,147 @@
+// src/utils/bankfile.js
+// Bulk NEFT/RTGS salary transfer files for a posted payroll run.
+// Each bank layout is a column spec; add one with registerBankLayout().
+
+const IFSC_RE = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_RE = /^\d{9,18}$/;
+const RTGS_MIN = 200000;
+
+const paymentMode = (amount) => (amount >= RTGS_MIN ? 'RTGS' : 'NEFT');
+const ddmmyyyy = (iso) => iso.split('-').reverse().join('');
+
+const LAYOUTS = {
+  // Generic CSV accepted by most corporate banking portals
+  csv: {
+    type: 'csv',
+    ext: 'csv',
+    contentType: 'text/csv',
+    columns: [
+      ['Payment Mode', r => r.mode],
+      ['Beneficiary Name', r => r.account_holder],
+      ['Beneficiary Account Number', r => r.account_number],
+      ['IFSC', r => r.ifsc],
+      ['Amount', r => r.amount.toFixed(2)],
+      ['Value Date', r => r.value_date],
+      ['Debit Account Number', r => r.debit_account],
+      ['Narration', r => r.narration],
+      ['Employee Code', r => r.employee_code],
+      ['Beneficiary Email', r => r.email],
+    ],
+  },
+
+  // Fixed-width NEFT/RTGS bulk upload: one 150-char record per transfer,
+  // amount in paise, zero padded
+  fixed_width: {
+    type: 'fixed',
+    ext: 'txt',
+    contentType: 'text/plain',
+    columns: [
+      { width: 4,  value: r => r.mode },
+      { width: 18, value: r => r.debit_account },
+      { width: 18, value: r => r.account_number },
+      { width: 11, value: r => r.ifsc },
+      { width: 35, value: r => r.account_holder },
+      { width: 15, value: r => String(Math.round(r.amount * 100)), align: 'right', pad: '0' },
+      { width: 8,  value: r => ddmmyyyy(r.value_date) },
+      { width: 30, value: r => r.narration },
+      { width: 11, value: r => r.employee_code },
+    ],
+  },
+};
+
+export function registerBankLayout(name, layout) {
+  LAYOUTS[name] = layout;
+}
+
+export function bankLayouts() {
+  return Object.keys(LAYOUTS);
+}
+
+// Flags rows that the bank would bounce or that finance hasn't verified
+export function validateTransfer(r) {
+  const issues = [];
+  if (!r.bank_doc_id) issues.push('no bank document on file');
+  else if (r.bank_status !== 'approved') issues.push('bank details not verified');
+  if (!r.account_holder) issues.push('missing account holder name');
+  if (!ACCOUNT_RE.test(r.account_number || '')) issues.push('invalid account number');
+  if (!IFSC_RE.test(r.ifsc || '')) issues.push('invalid IFSC');
+  if (!(r.amount > 0)) issues.push('net pay is not positive');
+  return issues;
+}
+
+// Why the company's debit account can't go into a file, or null
+export function debitAccountError(account) {
+  if (!account) return 'COMPANY_DEBIT_ACCOUNT is not set';
+  if (!ACCOUNT_RE.test(account)) return 'COMPANY_DEBIT_ACCOUNT is not a valid account number';
+  return null;
+}
+
+export function prepareTransfers(lines, { period, valueDate, debitAccount }) {
+  return lines.map((l) => {
+    const d = l.bank || {};
+    const r = {
+      employee_id: l.employee_id,
+      employee_code: l.employee_code,
+      email: l.email,
+      bank_doc_id: l.bank_doc_id,
+      bank_status: l.bank_status,
+      account_holder: (d.account_holder || l.employee_name || '').trim(),
+      account_number: String(d.account_number || '').replace(/\s/g, ''),
+      ifsc: String(d.ifsc || '').trim().toUpperCase(),
+      amount: Number(l.net_pay),
+      value_date: valueDate,
+      debit_account: debitAccount || '',
+      narration: `SALARY ${period}`,
+    };
+    r.mode = paymentMode(r.amount);
+    r.issues = validateTransfer(r);
+    return r;
+  });
+}
+
+// A leading = + - @ (or tab/CR) would make a spreadsheet run the cell as a formula
+const csvCell = (v) => {
+  let s = String(v ?? '');
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const fixedCell = (v, { width, align = 'left', pad = ' ' }) => {
+  const s = String(v ?? '').toUpperCase().slice(0, width);
+  return align === 'right' ? s.padStart(width, pad) : s.padEnd(width, pad);
+};
+
+export function renderBankFile(format, transfers) {
+  const layout = LAYOUTS[format];
+  if (!layout) throw new Error(`Unknown bank file format: ${format}`);
+
+  let body;
+  if (layout.type === 'csv') {
+    const lines = [layout.columns.map(([h]) => csvCell(h)).join(',')];
+    for (const r of transfers) lines.push(layout.columns.map(([, fn]) => csvCell(fn(r))).join(','));
+    body = lines.join('\r\n') + '\r\n';
+  } else {
+    body = transfers.map(r => layout.columns.map(c => fixedCell(c.value(r), c)).join('')).join('\r\n') + '\r\n';
+  }
+  return { body, ext: layout.ext, contentType: layout.contentType };
+}
+
+// Net pay per employee plus their current bank document
+export async function loadRunBankLines(db, runId) {
+  const { rows } = await db.query(
+    `SELECT l.employee_id, l.net_pay, e.code AS employee_code,
+            u.name AS employee_name, u.email,
+            d.id AS bank_doc_id, d.status AS bank_status, d.data_json AS bank
+     FROM payroll_lines l
+     JOIN employees e ON e.id = l.employee_id
+     JOIN users u ON u.id = e.user_id
+     LEFT JOIN LATERAL (
+       SELECT id, status, data_json FROM documents
+       WHERE employee_id = l.employee_id AND type = 'bank' AND is_current
+     ) d ON true
+     WHERE l.run_id=$1
+     ORDER BY e.code`,
+    [runId]
+  );
+  return rows;
+}
@@ -0,0 +1,17 @@
+// src/utils/branding.js
+// IQONIK branding shared by generated PDFs (same palette as the ID/business cards).
+import fs from 'fs';
+import path from 'path';
+
+export const DARK = '#212326';
+export const ACCENT = '#f2d4ba';
+export const LOGO = path.join(process.cwd(), 'assets', 'iqonik_logo.png');
+export const COMPANY_NAME = process.env.COMPANY_NAME || 'IQONIK';
+
+// Dark header bar with logo, company name and a subtitle line
+export function drawHeader(doc, subtitle) {
+  doc.rect(0, 0, doc.page.width, 70).fill(DARK);
+  if (fs.existsSync(LOGO)) doc.image(LOGO, 40, 12, { height: 46 });
+  doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(20).text(COMPANY_NAME, 110, 18);
+  doc.fontSize(11).text(subtitle, 110, 42);
+}
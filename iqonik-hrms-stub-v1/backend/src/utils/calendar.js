@@ -0,0 +1,140 @@
+// src/utils/calendar.js
+// Working-day calendar per office location: weekly-off pattern + holidays.
+//
+// A weekly-off pattern maps day-of-week (0 = Sunday) to the occurrences in the
+// month that are off, e.g. { "0": [1,2,3,4,5], "6": [2,4] } is every Sunday
+// plus the 2nd and 4th Saturday.
+
+export const DEFAULT_WEEKLY_OFFS = { 0: [1, 2, 3, 4, 5] };
+
+const toDate = (iso) => new Date(iso + 'T00:00:00Z');
+const toIso = (d) => d.toISOString().slice(0, 10);
+
+// A real calendar date in YYYY-MM-DD form (Date would roll 2025-02-30 over to March)
+export function isIsoDate(iso) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(iso || '') && !isNaN(toDate(iso)) && toIso(toDate(iso)) === iso;
+}
+
+export function isWeeklyOff(iso, pattern = DEFAULT_WEEKLY_OFFS) {
+  const d = toDate(iso);
+  const nth = Math.ceil(d.getUTCDate() / 7);
+  return (pattern[d.getUTCDay()] || []).includes(nth);
+}
+
+export function isWorkingDate(calendar, iso) {
+  return !isWeeklyOff(iso, calendar.pattern) && !calendar.holidays.has(iso);
+}
+
+export function addDays(iso, n) {
+  const d = toDate(iso);
+  d.setUTCDate(d.getUTCDate() + n);
+  return toIso(d);
+}
+
+// All dates in a YYYY-MM period as 'YYYY-MM-DD' strings (UTC, no TZ drift)
+export function periodDates(period) {
+  const [y, m] = period.split('-').map(Number);
+  const days = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return Array.from({ length: days }, (_, i) =>
+    new Date(Date.UTC(y, m - 1, i + 1)).toISOString().slice(0, 10));
+}
+
+export function periodBounds(period) {
+  const dates = periodDates(period);
+  return { first: dates[0], last: dates[dates.length - 1] };
+}
+
+export function datesBetween(from, to) {
+  const out = [];
+  for (let d = toDate(from); toIso(d) <= to; d.setUTCDate(d.getUTCDate() + 1)) out.push(toIso(d));
+  return out;
+}
+
+export function workingDates(calendar, from, to) {
+  return datesBetween(from, to).filter(d => isWorkingDate(calendar, d));
+}
+
+/**
+ * Calendars for the given locations over [from, to]. Holidays with a NULL
+ * location apply everywhere; employees without a location get the default
+ * pattern and company-wide holidays (key '').
+ */
+export async function loadCalendars(db, locationIds, from, to) {
+  const ids = [...new Set(locationIds.map(l => l || ''))];
+  const { rows: locs } = await db.query(
+    `SELECT id, weekly_off_json FROM office_locations WHERE id = ANY($1::text[])`,
+    [ids]
+  );
+  const { rows: hols } = await db.query(
+    `SELECT COALESCE(location_id, '') AS location_id, to_char(date, 'YYYY-MM-DD') AS date
+     FROM holidays
+     WHERE date BETWEEN $1::date AND $2::date
+       AND (location_id IS NULL OR location_id = ANY($3::text[]))
+       AND NOT optional`,
+    [from, to, ids]
+  );
+
+  const calendars = {};
+  for (const id of ids) {
+    const loc = locs.find(l => l.id === id);
+    calendars[id] = {
+      pattern: loc?.weekly_off_json || DEFAULT_WEEKLY_OFFS,
+      holidays: new Set(hols.filter(h => h.location_id === '' || h.location_id === id).map(h => h.date)),
+    };
+  }
+  return calendars;
+}
+
+export async function loadCalendar(db, locationId, from, to) {
+  return (await loadCalendars(db, [locationId], from, to))[locationId || ''];
+}
+
+/* ---------- CSV import ---------- */
+// Minimal CSV: header row required; quoted fields may contain commas
+function splitCsvLine(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur.trim()); cur = ''; }
+    else cur += c;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+/**
+ * Parse a holiday CSV with columns date,name[,location_id][,optional].
+ * Returns { rows, errors } — rows outside `year` or with bad dates are errors.
+ */
+export function parseHolidayCsv(text, year) {
+  const lines = String(text || '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return { rows: [], errors: ['CSV is empty'] };
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const col = (name) => header.indexOf(name);
+  if (col('date') < 0 || col('name') < 0) return { rows: [], errors: ['CSV header must include date,name'] };
+
+  const rows = [], errors = [];
+  lines.slice(1).forEach((line, i) => {
+    const f = splitCsvLine(line);
+    const date = f[col('date')];
+    const name = f[col('name')];
+    const lineNo = i + 2;
+    if (!isIsoDate(date)) return errors.push(`line ${lineNo}: invalid date`);
+    if (Number(date.slice(0, 4)) !== Number(year)) return errors.push(`line ${lineNo}: ${date} is not in ${year}`);
+    if (!name) return errors.push(`line ${lineNo}: name is required`);
+    rows.push({
+      date,
+      name,
+      location_id: col('location_id') >= 0 ? f[col('location_id')] || null : undefined,
+      optional: col('optional') >= 0 ? /^(true|yes|1)$/i.test(f[col('optional')] || '') : false,
+    });
+  });
+  return { rows, errors };
+}
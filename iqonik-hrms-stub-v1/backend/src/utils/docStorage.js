@@ -0,0 +1,92 @@
+// src/utils/docStorage.js
+// Employee documents at rest. An upload's format is sniffed from its bytes
+// (the client's filename and mimetype are ignored) and the file is written
+// AES-256-GCM encrypted under uploads/<dir>/. documents.file_url keeps the
+// storage location; files are only served by the authenticated download route.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const MAX_DOC_BYTES = Number(process.env.MAX_DOC_SIZE_MB || 5) * 1024 * 1024;
+
+// Accepted formats, by magic bytes
+const FORMATS = [
+  { mime: 'application/pdf', ext: '.pdf', test: b => b.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mime: 'image/jpeg', ext: '.jpg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: 'image/png', ext: '.png', test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: 'image/webp', ext: '.webp', test: b => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+// Types restricted further; the rest may be a PDF or an image
+const TYPE_FORMATS = { photo: ['image/jpeg', 'image/png', 'image/webp'] };
+
+export function sniffFormat(buf) {
+  return (buf.length >= 12 && FORMATS.find(f => f.test(buf))) || null;
+}
+
+// Returns { error } or { format } for an uploaded file of a document type
+export function checkUpload(type, buf) {
+  const allowed = TYPE_FORMATS[type] || FORMATS.map(f => f.mime);
+  const format = sniffFormat(buf);
+  if (!format || !allowed.includes(format.mime))
+    return { error: `${type}: unsupported file, expected ${allowed.map(m => m.split('/')[1]).join(', ')}` };
+  return { format };
+}
+
+/* ---------- encryption ---------- */
+// file layout: "IQD1" | 12-byte IV | 16-byte GCM tag | ciphertext
+const MAGIC = Buffer.from('IQD1');
+// DOCUMENT_KEY is its own secret: rotating JWT_SECRET must not orphan the files
+let key = null;
+function documentKey() {
+  if (key) return key;
+  const secret = process.env.DOCUMENT_KEY;
+  if (!secret) throw new Error('DOCUMENT_KEY is not set');
+  key = crypto.scryptSync(secret, 'iqonik-documents', 32);
+  return key;
+}
+
+export function encryptFile(buf) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', documentKey(), iv);
+  const body = Buffer.concat([cipher.update(buf), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), body]);
+}
+
+export function isEncrypted(buf) {
+  return buf.subarray(0, 4).equals(MAGIC);
+}
+
+export function decryptFile(buf) {
+  // files stored before encryption was introduced are returned as they are
+  // (npm run encrypt:uploads encrypts them in place)
+  if (!isEncrypted(buf)) return buf;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', documentKey(), buf.subarray(4, 16));
+  decipher.setAuthTag(buf.subarray(16, 32));
+  return Buffer.concat([decipher.update(buf.subarray(32)), decipher.final()]);
+}
+
+/* ---------- files ---------- */
+// Absolute path for a /uploads/... file_url; null when it points outside the store
+export function storedPath(uploadRoot, fileUrl) {
+  if (!String(fileUrl || '').startsWith('/uploads/')) return null;
+  const p = path.join(uploadRoot, path.normalize(fileUrl.slice('/uploads/'.length)));
+  return p.startsWith(uploadRoot + path.sep) ? p : null;
+}
+
+// The file_url saveDocumentFile(uploadRoot, dir, name, ...) writes to
+export const documentFileUrl = (dir, name) => `/uploads/${dir}/${name}.enc`;
+
+// Encrypt and write uploads/<dir>/<name>.enc; returns the file_url
+export function saveDocumentFile(uploadRoot, dir, name, buf) {
+  fs.mkdirSync(path.join(uploadRoot, dir), { recursive: true });
+  fs.writeFileSync(path.join(uploadRoot, dir, `${name}.enc`), encryptFile(buf));
+  return documentFileUrl(dir, name);
+}
+
+// Decrypted contents and sniffed format of a stored file, or null if missing
+export function readDocumentFile(uploadRoot, fileUrl) {
+  const p = storedPath(uploadRoot, fileUrl);
+  if (!p || !fs.existsSync(p)) return null;
+  const data = decryptFile(fs.readFileSync(p));
+  return { data, format: sniffFormat(data) };
+}
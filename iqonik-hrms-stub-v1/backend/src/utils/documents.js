@@ -0,0 +1,189 @@
+// src/utils/documents.js
+// Onboarding documents. Each (employee, type) is a chain of versions, one of
+// which is flagged is_current: a new upload becomes current, and HR can point
+// it back at an older version. HR reviews the current version, and a pre_join
+// employee becomes active once every required type's current version is
+// approved. Older versions' files are purged by the retention policy (the rows
+// stay as history).
+import fs from 'fs';
+import { storedPath } from './docStorage.js';
+
+// Types collected through the doc token upload link
+export const REQUIRED_DOC_TYPES = (process.env.REQUIRED_DOC_TYPES || 'aadhar,pan,bank,photo')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+// Retention: a superseded version's file is kept while it is among the newest
+// DOC_RETAIN_VERSIONS superseded ones or younger than DOC_RETAIN_DAYS
+export const RETENTION = {
+  versions: Number(process.env.DOC_RETAIN_VERSIONS ?? 3),
+  days: Number(process.env.DOC_RETAIN_DAYS ?? 365),
+};
+
+// Current version of each document type for an employee
+export async function currentDocuments(db, employeeId) {
+  const { rows } = await db.query(
+    `SELECT id, type, version, status, file_url, rejection_reason, reviewed_at, created_at
+     FROM documents
+     WHERE employee_id=$1 AND is_current
+     ORDER BY type`,
+    [employeeId]
+  );
+  return rows;
+}
+
+// Next version number in an (employee, type) chain
+export async function nextDocumentVersion(db, employeeId, type) {
+  const { rows } = await db.query(
+    `SELECT COALESCE(MAX(version), 0) + 1 AS next FROM documents WHERE employee_id=$1 AND type=$2`,
+    [employeeId, type]
+  );
+  return rows[0].next;
+}
+
+// Add a pending upload as the new current version of its chain; previous is
+// the version it supersedes
+export async function addDocumentVersion(db, { employeeId, type, fileUrl, data = {} }) {
+  const version = await nextDocumentVersion(db, employeeId, type);
+  const { rows: previous } = await db.query(
+    `UPDATE documents SET is_current=FALSE WHERE employee_id=$1 AND type=$2 AND is_current
+     RETURNING id, version, status`,
+    [employeeId, type]
+  );
+  const { rows } = await db.query(
+    `INSERT INTO documents (employee_id, type, file_url, data_json, version, is_current)
+     VALUES ($1, $2, $3, $4, $5, TRUE)
+     RETURNING id, type, version, status`,
+    [employeeId, type, fileUrl, data, version]
+  );
+  return { ...rows[0], previous: previous[0] || null };
+}
+
+// Every version of a chain, newest first
+export async function documentHistory(db, employeeId, type) {
+  const { rows } = await db.query(
+    `SELECT d.id, d.version, d.is_current, d.status, d.rejection_reason, d.data_json,
+            d.esign_status, d.reviewed_at, r.name AS reviewed_by, d.created_at, d.purged_at
+     FROM documents d
+     LEFT JOIN users r ON r.id = d.reviewed_by
+     WHERE d.employee_id=$1 AND d.type=$2
+     ORDER BY d.version DESC`,
+    [employeeId, type]
+  );
+  return rows;
+}
+
+/**
+ * Required types with their current status (missing when never uploaded)
+ * and whether all of them are approved.
+ */
+export async function documentChecklist(db, employeeId) {
+  const current = Object.fromEntries((await currentDocuments(db, employeeId)).map(d => [d.type, d]));
+  const items = REQUIRED_DOC_TYPES.map(type => ({
+    type,
+    status: current[type]?.status || 'missing',
+    version: current[type]?.version || null,
+    rejection_reason: current[type]?.status === 'rejected' ? current[type].rejection_reason : null,
+  }));
+  return { items, complete: items.every(i => i.status === 'approved') };
+}
+
+/**
+ * Approve or reject the current version of a document (a reason is required
+ * to reject). Approving the last outstanding required type activates a
+ * pre_join employee. Run inside a transaction. Returns { error, code } or
+ * { document, previous, activated } (previous: the review state before).
+ */
+export async function reviewDocument(db, documentId, { status, reason, userId }) {
+  if (!['approved', 'rejected'].includes(status)) return { error: 'status must be approved or rejected', code: 400 };
+  const why = String(reason || '').trim();
+  if (status === 'rejected' && !why) return { error: 'A reason is required to reject a document', code: 400 };
+
+  const { rows } = await db.query(
+    `SELECT id, employee_id, type, version, status, rejection_reason, is_current FROM documents WHERE id=$1 FOR UPDATE`,
+    [documentId]
+  );
+  if (!rows.length) return { error: 'Document not found', code: 404 };
+  if (!rows[0].is_current) return { error: 'Only the current version of a document can be reviewed', code: 409 };
+  const previous = { status: rows[0].status, rejection_reason: rows[0].rejection_reason };
+
+  const { rows: updated } = await db.query(
+    `UPDATE documents
+     SET status=$2, rejection_reason=$3, reviewed_by=$4, reviewed_at=NOW()
+     WHERE id=$1
+     RETURNING id, employee_id, type, version, status, rejection_reason`,
+    [documentId, status, status === 'rejected' ? why : null, userId]
+  );
+  const document = updated[0];
+  const activated = status === 'approved' && !!document.employee_id && await activateIfComplete(db, document.employee_id);
+  return { document, previous, activated };
+}
+
+// Activate a pre_join employee whose required documents are all approved
+async function activateIfComplete(db, employeeId) {
+  const { complete } = await documentChecklist(db, employeeId);
+  if (!complete) return false;
+  const { rowCount } = await db.query(
+    `UPDATE employees SET status='active', updated_at=NOW() WHERE id=$1 AND status='pre_join'`,
+    [employeeId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Make another version the current one of its chain; a purged version can't
+ * be. Run inside a transaction. Returns { error, code } or
+ * { document, previous, activated } (previous: the version it replaced).
+ */
+export async function setCurrentVersion(db, documentId) {
+  const { rows } = await db.query(
+    `SELECT id, employee_id, type, version, status, is_current, purged_at FROM documents WHERE id=$1 FOR UPDATE`,
+    [documentId]
+  );
+  if (!rows.length) return { error: 'Document not found', code: 404 };
+  const doc = rows[0];
+  if (!doc.employee_id) return { error: 'Document is not linked to an employee', code: 409 };
+  if (doc.purged_at) return { error: 'This version\'s file was removed by the retention policy', code: 409 };
+  if (doc.is_current) return { document: doc, previous: null, activated: false };
+
+  const { rows: previous } = await db.query(
+    `UPDATE documents SET is_current=FALSE WHERE employee_id=$1 AND type=$2 AND is_current
+     RETURNING id, version, status`,
+    [doc.employee_id, doc.type]
+  );
+  await db.query(`UPDATE documents SET is_current=TRUE WHERE id=$1`, [doc.id]);
+  const activated = doc.status === 'approved' && await activateIfComplete(db, doc.employee_id);
+  return { document: { ...doc, is_current: true }, previous: previous[0] || null, activated };
+}
+
+/**
+ * Purge the files of superseded versions outside the retention policy. The
+ * rows are kept (purged_at set). Offer letters linked to their generated PDF
+ * are left alone, and so is a file another unpurged row still points at
+ * (uploads from before versioning reused one name per type). Returns the
+ * purged rows.
+ */
+export async function applyRetention(db, uploadRoot, { employeeId = null, policy = RETENTION } = {}) {
+  const { rows } = await db.query(
+    `WITH ranked AS (
+       SELECT id, created_at,
+              ROW_NUMBER() OVER (PARTITION BY employee_id, type ORDER BY version DESC) AS superseded_rank
+       FROM documents
+       WHERE NOT is_current AND employee_id IS NOT NULL AND ($1::uuid IS NULL OR employee_id = $1)
+     )
+     UPDATE documents d SET purged_at=NOW()
+     FROM ranked r
+     WHERE d.id = r.id AND d.purged_at IS NULL AND d.file_url LIKE '/uploads/%'
+       AND r.superseded_rank > $2 AND r.created_at < NOW() - make_interval(days => $3)
+       AND NOT EXISTS (
+         SELECT 1 FROM documents o
+         WHERE o.file_url = d.file_url AND o.id <> d.id AND o.purged_at IS NULL
+       )
+     RETURNING d.id, d.employee_id, d.type, d.version, d.file_url`,
+    [employeeId, policy.versions, policy.days]
+  );
+  for (const row of rows) {
+    const file = storedPath(uploadRoot, row.file_url);
+    if (file) fs.rmSync(file, { force: true });
+  }
+  return rows;
+}
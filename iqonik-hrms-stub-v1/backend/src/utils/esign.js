@@ -0,0 +1,148 @@
+// src/utils/esign.js
+// E-sign for offers and documents. A provider implements
+//   send({ pdf, signer, callbackUrl, title }) -> { txn_id, sign_url }   (pdf: Buffer)
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(body) -> { txn_id, status, at }
+//   fetchSigned(txnId) -> Buffer
+// may list the env vars it can't run without (requiredEnv), and is picked with
+// ESIGN_PROVIDER; e-sign is off while that is unset, so the offline stub only
+// runs when asked for by name (ESIGN_PROVIDER=stub). Every request
+// is tracked in esign_requests; the target row carries esign_status/txn_id and
+// a signed copy is stored, encrypted, as the next documents.version of the
+// same type. Its file is written by writeSignedCopy once the transaction that
+// recorded it has committed.
+import { stubProvider } from './esignStub.js';
+import { documentFileUrl, saveDocumentFile } from './docStorage.js';
+
+export const ESIGN_STATUSES = ['sent', 'viewed', 'signed', 'declined', 'expired', 'failed'];
+export const ESIGN_FINAL = ['signed', 'declined', 'expired', 'failed'];
+
+const TARGET_TABLES = { offer: 'offers', document: 'documents' };
+const providers = new Map([[stubProvider.name, stubProvider]]);
+
+export function registerEsignProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function esignProvider(name = process.env.ESIGN_PROVIDER) {
+  return (name && providers.get(name)) || null;
+}
+
+// Why a provider can't run in this environment (null when it can): callbacks
+// need ESIGN_CALLBACK_BASE_URL, never the request's Host header
+export function esignSetupError(provider) {
+  const missing = ['ESIGN_CALLBACK_BASE_URL', ...(provider.requiredEnv || [])].filter(k => !process.env[k]);
+  return missing.length ? `${missing.join(', ')} not set` : null;
+}
+
+/**
+ * Send a PDF for signature. target = { type: 'offer' | 'document', id }.
+ * Returns { error } when the target already has a request in flight.
+ */
+export async function startSigning(db, provider, { target, pdf, signer, title, callbackUrl, userId }) {
+  const { rows: open } = await db.query(
+    `SELECT id FROM esign_requests
+     WHERE target_type=$1 AND target_id=$2 AND status IN ('sent','viewed')`,
+    [target.type, target.id]
+  );
+  if (open.length) return { error: 'Already out for signature' };
+
+  const { txn_id, sign_url } = await provider.send({ pdf, signer, callbackUrl, title });
+  const { rows } = await db.query(
+    `INSERT INTO esign_requests (provider, txn_id, target_type, target_id, signer_name, signer_email, sign_url, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, provider, txn_id, status, sign_url`,
+    [provider.name, txn_id, target.type, target.id, signer.name, signer.email, sign_url, userId]
+  );
+  await db.query(
+    `UPDATE ${TARGET_TABLES[target.type]} SET esign_status='sent', esign_txn_id=$2 WHERE id=$1`,
+    [target.id, txn_id]
+  );
+  return { request: rows[0] };
+}
+
+// Record the signed PDF as the next version in the target's document chain;
+// the returned `file` is written by writeSignedCopy after COMMIT
+async function storeSignedCopy(db, request, pdf) {
+  let employeeId, type, chain, data;
+  if (request.target_type === 'offer') {
+    const { rows } = await db.query(`SELECT employee_id FROM offers WHERE id=$1`, [request.target_id]);
+    employeeId = rows[0]?.employee_id || null;
+    type = 'offer';
+    data = { offer_id: request.target_id };
+    // before acceptance there is no employee yet; the chain is keyed by offer
+    chain = employeeId
+      ? { sql: `employee_id=$1 AND type='offer'`, params: [employeeId] }
+      : { sql: `employee_id IS NULL AND type='offer' AND data_json->>'offer_id'=$1`, params: [request.target_id] };
+  } else {
+    const { rows } = await db.query(`SELECT employee_id, type FROM documents WHERE id=$1`, [request.target_id]);
+    ({ employee_id: employeeId, type } = rows[0]);
+    data = { signed_from: request.target_id };
+    chain = { sql: `employee_id=$1 AND type=$2`, params: [employeeId, type] };
+  }
+
+  const { rows: v } = await db.query(
+    `SELECT COALESCE(MAX(version), 0) + 1 AS next FROM documents WHERE ${chain.sql}`,
+    chain.params
+  );
+  const version = v[0].next;
+  await db.query(`UPDATE documents SET is_current=FALSE WHERE ${chain.sql} AND is_current`, chain.params);
+  const dir = employeeId || 'offers';
+  const fileName = employeeId
+    ? `${type}_v${version}_signed.pdf`
+    : `${request.target_id}_v${version}_signed.pdf`;
+
+  const { rows } = await db.query(
+    `INSERT INTO documents (employee_id, type, file_url, data_json, version, status, esign_status, esign_txn_id)
+     VALUES ($1, $2, $3, $4, $5, 'approved', 'signed', $6)
+     RETURNING id, version`,
+    [employeeId, type, documentFileUrl(dir, fileName), { ...data, signed: true }, version, request.txn_id]
+  );
+  return { ...rows[0], file: { dir, name: fileName, pdf } };
+}
+
+// Write the signed copy recorded by applyEsignEvent (call after COMMIT)
+export function writeSignedCopy(uploadRoot, signed) {
+  return saveDocumentFile(uploadRoot, signed.file.dir, signed.file.name, signed.file.pdf);
+}
+
+/**
+ * Apply a verified provider callback; run inside a transaction. Returns null
+ * for an unknown transaction. Callbacks after a final status are only logged.
+ * A returned `signed` copy still has to be written with writeSignedCopy.
+ */
+export async function applyEsignEvent(db, provider, event) {
+  const { rows } = await db.query(
+    `SELECT * FROM esign_requests WHERE provider=$1 AND txn_id=$2 FOR UPDATE`,
+    [provider.name, event.txn_id]
+  );
+  if (!rows.length) return null;
+  const request = rows[0];
+  const logged = { status: event.status, at: event.at, received_at: new Date().toISOString() };
+
+  if (ESIGN_FINAL.includes(request.status) || !ESIGN_STATUSES.includes(event.status)) {
+    await db.query(
+      `UPDATE esign_requests SET events_json = events_json || $2::jsonb WHERE id=$1`,
+      [request.id, JSON.stringify([{ ...logged, ignored: true }])]
+    );
+    return { request, ignored: true };
+  }
+
+  const signed = event.status === 'signed'
+    ? await storeSignedCopy(db, request, await provider.fetchSigned(request.txn_id))
+    : null;
+
+  const { rows: updated } = await db.query(
+    `UPDATE esign_requests
+     SET status=$2, signed_document_id=COALESCE($3, signed_document_id),
+         events_json = events_json || $4::jsonb, updated_at=NOW()
+     WHERE id=$1
+     RETURNING id, target_type, target_id, status, signed_document_id`,
+    [request.id, event.status, signed?.id || null, JSON.stringify([logged])]
+  );
+  await db.query(
+    `UPDATE ${TARGET_TABLES[request.target_type]} SET esign_status=$2 WHERE id=$1 AND esign_txn_id=$3`,
+    [request.target_id, event.status, request.txn_id]
+  );
+  return { request: updated[0], signed };
+}
@@ -0,0 +1,92 @@
+// src/utils/esignStub.js
+// Offline e-sign provider for development and tests. "Sending" stores the PDF,
+// encrypted like any document, in esign-stub/; the signer opens /api/esign/stub/<txn> and signs or
+// declines, which posts a signed webhook back to the app just like a real
+// provider would. The signed copy is the original bytes (no stamping).
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { decryptFile, encryptFile } from './docStorage.js';
+
+const STORE = path.join(process.cwd(), 'esign-stub');
+// Its own key (never the JWT secret); the stub isn't enabled without it
+const SECRET = () => process.env.ESIGN_WEBHOOK_SECRET;
+// Webhooks older than this are rejected (replay protection)
+const MAX_SKEW_SECONDS = 300;
+
+const recordPath = (txnId) => path.join(STORE, `${txnId}.json`);
+const readRecord = (txnId) => {
+  if (!/^stub_[a-f0-9]{24}$/.test(String(txnId))) return null;
+  const file = recordPath(txnId);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+const writeRecord = (rec) => fs.writeFileSync(recordPath(rec.txn_id), JSON.stringify(rec, null, 2));
+const readPdf = (txnId, suffix) => {
+  const file = path.join(STORE, `${txnId}${suffix}.pdf`);
+  return readRecord(txnId) && fs.existsSync(file) ? decryptFile(fs.readFileSync(file)) : null;
+};
+
+const sign = (ts, body) => crypto.createHmac('sha256', SECRET()).update(`${ts}.${body}`).digest('hex');
+
+export const stubProvider = {
+  name: 'stub',
+  requiredEnv: ['ESIGN_WEBHOOK_SECRET', 'DOCUMENT_KEY'],
+
+  async send({ pdf, signer, callbackUrl, title }) {
+    fs.mkdirSync(STORE, { recursive: true });
+    const txnId = 'stub_' + crypto.randomBytes(12).toString('hex');
+    fs.writeFileSync(path.join(STORE, `${txnId}.pdf`), encryptFile(pdf));
+    writeRecord({ txn_id: txnId, title, signer, callback_url: callbackUrl, status: 'sent', created_at: new Date().toISOString() });
+    return { txn_id: txnId, sign_url: `/api/esign/stub/${txnId}` };
+  },
+
+  // headers: x-esign-timestamp (unix seconds) + x-esign-signature (hex HMAC of "<ts>.<raw body>")
+  verifyWebhook(rawBody, headers) {
+    const ts = Number(headers['x-esign-timestamp']);
+    const given = String(headers['x-esign-signature'] || '');
+    if (!SECRET() || !Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > MAX_SKEW_SECONDS) return false;
+    const expected = sign(ts, rawBody || '');
+    return given.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+  },
+
+  parseWebhook(body) {
+    return { txn_id: body?.txn_id, status: body?.status, at: body?.at || null };
+  },
+
+  async fetchSigned(txnId) {
+    const pdf = readPdf(txnId, '.signed');
+    if (!pdf) throw new Error(`No signed copy for ${txnId}`);
+    return pdf;
+  },
+
+  /* ---------- stub-only: the signer's side ---------- */
+  lookup(txnId) {
+    return readRecord(txnId);
+  },
+
+  // The PDF sent for signature (decrypted), or null
+  pdf(txnId) {
+    return readPdf(txnId, '');
+  },
+
+  // action: sign | decline; posts the webhook and returns its HTTP status
+  async complete(txnId, action) {
+    const rec = readRecord(txnId);
+    if (!rec) throw new Error('Unknown transaction');
+    if (rec.status !== 'sent') throw new Error(`Transaction already ${rec.status}`);
+    rec.status = action === 'sign' ? 'signed' : 'declined';
+    if (rec.status === 'signed')
+      fs.copyFileSync(path.join(STORE, `${txnId}.pdf`), path.join(STORE, `${txnId}.signed.pdf`));
+    writeRecord(rec);
+
+    const body = JSON.stringify({ txn_id: txnId, status: rec.status, at: new Date().toISOString() });
+    const ts = Math.floor(Date.now() / 1000);
+    const resp = await fetch(rec.callback_url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-esign-timestamp': String(ts), 'x-esign-signature': sign(ts, body) },
+      body,
+    });
+    return resp.status;
+  },
+};
@@ -0,0 +1,82 @@
+// src/utils/geofence.js
+// Location checks for attendance punches: GPS radius, office IP ranges and
+// rotating signed QR codes shown at the office.
+import crypto from 'crypto';
+
+const EARTH_RADIUS_M = 6_371_000;
+export const QR_WINDOW_SECONDS = 30;
+
+// Great-circle distance in metres
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const rad = (d) => (Number(d) * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Inside the office radius? The client's reported accuracy isn't counted: it
+ * is whatever the client says, so it would widen the fence at will. A site
+ * with weak indoor fixes gets a larger radius_m instead.
+ */
+export function checkGeofence(office, lat, lng) {
+  if (office?.latitude == null || office?.longitude == null) return { ok: false, distance_m: null };
+  const d = distanceMeters(office.latitude, office.longitude, lat, lng);
+  return { ok: d <= Number(office.radius_m), distance_m: Math.round(d) };
+}
+
+/* ---------- IP allowlist (IPv4 CIDR) ---------- */
+const ipv4ToInt = (ip) => ip.split('.').reduce((acc, o) => (acc << 8) + Number(o), 0) >>> 0;
+
+export function normalizeIp(ip) {
+  return String(ip || '').replace(/^::ffff:/, '');
+}
+
+const validIpv4 = (ip) => /^\d{1,3}(\.\d{1,3}){3}$/.test(ip) && ip.split('.').every(o => Number(o) <= 255);
+
+// An IPv4 address or CIDR (a.b.c.d/0-32)
+export function validCidr(cidr) {
+  const [base, bits, ...rest] = String(cidr).split('/');
+  return !rest.length && validIpv4(base) && (bits === undefined || (/^\d{1,2}$/.test(bits) && Number(bits) <= 32));
+}
+
+export function ipInRanges(ip, ranges = []) {
+  const addr = normalizeIp(ip);
+  if (!validIpv4(addr)) return false;
+  const n = ipv4ToInt(addr);
+  return ranges.filter(validCidr).some((cidr) => {
+    const [base, bits = '32'] = String(cidr).split('/');
+    const b = Number(bits);
+    const mask = b === 0 ? 0 : (~0 << (32 - b)) >>> 0;
+    return (n & mask) === (ipv4ToInt(base) & mask);
+  });
+}
+
+/* ---------- Rotating QR codes ---------- */
+// Code format: <locationId>.<window>.<sig>; valid for the current and previous window
+function sign(secret, locationId, window) {
+  return crypto.createHmac('sha256', secret).update(`${locationId}:${window}`).digest('hex').slice(0, 20);
+}
+
+export function currentQrCode(locationId, secret, now = Date.now()) {
+  const window = Math.floor(now / 1000 / QR_WINDOW_SECONDS);
+  return {
+    code: `${locationId}.${window}.${sign(secret, locationId, window)}`,
+    expires_at: new Date((window + 1) * QR_WINDOW_SECONDS * 1000).toISOString(),
+  };
+}
+
+export function verifyQrCode(code, locationId, secret, now = Date.now()) {
+  const parts = String(code || '').split('.');
+  if (parts.length < 3) return false;
+  const sig = parts.pop();
+  const window = Number(parts.pop());
+  if (parts.join('.') !== locationId || !Number.isInteger(window)) return false;
+
+  const current = Math.floor(now / 1000 / QR_WINDOW_SECONDS);
+  if (window !== current && window !== current - 1) return false;
+
+  const expected = sign(secret, locationId, window);
+  return sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+}
@@ -0,0 +1,180 @@
+// src/utils/leaveApproval.js
+// Multi-step leave approval. A rule from leave_approval_rules picks the chain
+// for a leave (by type and length); each step lands on a person or a role:
+//   manager       — the applicant's manager
+//   skip_manager  — the manager's manager
+//   role:<name>   — anyone holding that role (e.g. role:HR Admin)
+// Approvers can delegate to someone else for a date range, and a step left
+// pending past its SLA escalates to the approver's own manager.
+
+export const DEFAULT_CHAIN = ['manager'];
+export const DEFAULT_SLA_HOURS = 48;
+// Steps that resolve to nobody (no manager on file) go to this role
+export const FALLBACK_ROLE = process.env.LEAVE_FALLBACK_ROLE || 'HR Admin';
+
+const STEP_RE = /^(manager|skip_manager|role:.+)$/;
+
+export function validSteps(steps) {
+  return Array.isArray(steps) && steps.length > 0 && steps.every(s => STEP_RE.test(String(s)));
+}
+
+// Most specific rule wins: type-specific over any-type, then the highest threshold passed
+export async function pickRule(db, type, days) {
+  const { rows } = await db.query(
+    `SELECT steps, sla_hours FROM leave_approval_rules
+     WHERE (leave_type IS NULL OR leave_type = $1) AND over_days < $2
+     ORDER BY (leave_type IS NOT NULL) DESC, over_days DESC
+     LIMIT 1`,
+    [type, days]
+  );
+  return rows[0] || { steps: DEFAULT_CHAIN, sla_hours: DEFAULT_SLA_HOURS };
+}
+
+const managerOf = async (db, userId) =>
+  (await db.query(`SELECT manager_id FROM employees WHERE user_id=$1`, [userId])).rows[0]?.manager_id || null;
+
+const roleIdByName = async (db, name) =>
+  (await db.query(`SELECT id FROM roles WHERE name=$1`, [name])).rows[0]?.id || null;
+
+// { approver_id } for a person, { role_id } for a role pool
+export async function resolveStep(db, applicantUserId, kind) {
+  if (kind === 'manager') {
+    const m = await managerOf(db, applicantUserId);
+    if (m) return { approver_id: m, role_id: null };
+  } else if (kind === 'skip_manager') {
+    const m = await managerOf(db, applicantUserId);
+    const mm = m && await managerOf(db, m);
+    if (mm && mm !== applicantUserId) return { approver_id: mm, role_id: null };
+  } else if (kind.startsWith('role:')) {
+    const r = await roleIdByName(db, kind.slice(5));
+    if (r) return { approver_id: null, role_id: r };
+  }
+  const fallback = await roleIdByName(db, FALLBACK_ROLE);
+  if (!fallback) console.warn(`[leave-approval] no approver for step ${kind} and no role "${FALLBACK_ROLE}"`);
+  return { approver_id: null, role_id: fallback };
+}
+
+async function activateStep(db, step) {
+  const { rows } = await db.query(
+    `SELECT e.user_id FROM leaves l JOIN employees e ON e.id = l.employee_id WHERE l.id=$1`,
+    [step.leave_id]
+  );
+  const target = await resolveStep(db, rows[0].user_id, step.kind);
+  await db.query(
+    `UPDATE leave_approvals
+     SET status='pending', approver_id=$1, role_id=$2, due_at = NOW() + make_interval(hours => sla_hours)
+     WHERE id=$3`,
+    [target.approver_id, target.role_id, step.id]
+  );
+}
+
+/**
+ * Create the approval steps for a new leave and open the first one. Later
+ * steps are resolved when they open, so they follow the reporting line of the day.
+ */
+export async function startChain(db, { leaveId, type, days }) {
+  const rule = await pickRule(db, type, days);
+  const steps = [];
+  for (const [i, kind] of rule.steps.entries()) {
+    const { rows } = await db.query(
+      `INSERT INTO leave_approvals (leave_id, step, kind, status, sla_hours)
+       VALUES ($1, $2, $3, 'waiting', $4)
+       RETURNING *`,
+      [leaveId, i + 1, kind, rule.sla_hours]
+    );
+    steps.push(rows[0]);
+  }
+  await activateStep(db, steps[0]);
+}
+
+/**
+ * Pending steps the user can act on: assigned to them, to someone who has
+ * delegated to them today, or to a role they hold (for employees within
+ * roleScope, a scope.js condition on e numbered after $2). Never their own
+ * leave. on_behalf_of is set when acting as a delegate.
+ */
+export async function actionableApprovals(db, userId, leaveId = null, roleScope = null) {
+  const { rows } = await db.query(
+    `SELECT a.id, a.leave_id, a.step, a.kind, a.due_at, a.approver_id, a.role_id,
+            CASE WHEN a.approver_id IS NOT NULL AND a.approver_id <> $1 THEN a.approver_id END AS on_behalf_of,
+            ou.name AS on_behalf_of_name, r.name AS role_name,
+            (SELECT COUNT(*) FROM leave_approvals x WHERE x.leave_id = a.leave_id AND x.status <> 'escalated') AS total_steps
+     FROM leave_approvals a
+     JOIN leaves l ON l.id = a.leave_id
+     JOIN employees e ON e.id = l.employee_id
+     LEFT JOIN users ou ON ou.id = a.approver_id AND a.approver_id <> $1
+     LEFT JOIN roles r ON r.id = a.role_id
+     WHERE a.status = 'pending' AND l.status = 'pending' AND e.user_id <> $1
+       AND ($2::uuid IS NULL OR a.leave_id = $2)
+       AND (a.approver_id = $1
+            OR a.approver_id IN (SELECT user_id FROM approval_delegations
+                                 WHERE delegate_id = $1 AND CURRENT_DATE BETWEEN start_date AND end_date)
+            OR (a.role_id IN (SELECT role_id FROM user_roles WHERE user_id = $1) AND ${roleScope?.sql || 'TRUE'}))
+     ORDER BY a.due_at ASC`,
+    [userId, leaveId, ...(roleScope?.params || [])]
+  );
+  return rows;
+}
+
+/**
+ * Record a decision on a pending step. Returns the leave's final status
+ * ('approved' | 'rejected') or null when the chain moved to the next step.
+ */
+export async function decideStep(db, approval, { status, actorId, note }) {
+  await db.query(
+    `UPDATE leave_approvals
+     SET status=$1, acted_by=$2, on_behalf_of=$3, note=$4, decided_at=NOW()
+     WHERE id=$5`,
+    [status, actorId, approval.on_behalf_of || null, note || null, approval.id]
+  );
+  if (status === 'rejected') {
+    await closeChain(db, approval.leave_id);
+    return 'rejected';
+  }
+  const { rows } = await db.query(
+    `SELECT * FROM leave_approvals WHERE leave_id=$1 AND status='waiting' ORDER BY step LIMIT 1`,
+    [approval.leave_id]
+  );
+  if (!rows.length) return 'approved';
+  await activateStep(db, rows[0]);
+  return null;
+}
+
+// Steps still open when the leave is decided, withdrawn or rejected are skipped
+export async function closeChain(db, leaveId) {
+  await db.query(
+    `UPDATE leave_approvals SET status='skipped' WHERE leave_id=$1 AND status IN ('pending','waiting')`,
+    [leaveId]
+  );
+}
+
+/**
+ * Move overdue person-assigned steps to the approver's manager (or the
+ * fallback role when there is none). The overdue row is kept as 'escalated'
+ * so the chain shows who it sat with. Role pools don't escalate further.
+ * Run inside a transaction. Returns the number of steps escalated.
+ */
+export async function escalateOverdue(db) {
+  const { rows } = await db.query(
+    `SELECT a.*, e.user_id AS applicant_id
+     FROM leave_approvals a
+     JOIN leaves l ON l.id = a.leave_id
+     JOIN employees e ON e.id = l.employee_id
+     WHERE a.status='pending' AND a.due_at < NOW() AND a.approver_id IS NOT NULL AND l.status='pending'
+     FOR UPDATE OF a SKIP LOCKED`
+  );
+  for (const a of rows) {
+    const boss = await managerOf(db, a.approver_id);
+    const target = boss && boss !== a.applicant_id
+      ? { approver_id: boss, role_id: null }
+      : { approver_id: null, role_id: await roleIdByName(db, FALLBACK_ROLE) };
+
+    await db.query(`UPDATE leave_approvals SET status='escalated', decided_at=NOW() WHERE id=$1`, [a.id]);
+    await db.query(
+      `INSERT INTO leave_approvals (leave_id, step, kind, status, approver_id, role_id, sla_hours, due_at, escalated_from)
+       VALUES ($1, $2, $3, 'pending', $4, $5, $6, NOW() + make_interval(hours => $6), $7)`,
+      [a.leave_id, a.step, a.kind, target.approver_id, target.role_id, a.sla_hours, a.id]
+    );
+  }
+  return rows.length;
+}
@@ -0,0 +1,161 @@
+// src/utils/leavePolicy.js
+// Leave entitlements from leave_policies (per role and/or location).
+import { addDays, loadCalendar, workingDates } from './calendar.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const roundHalf = (n) => Math.round((Number(n) || 0) * 2) / 2;
+
+export const WORKDAY_HOURS = Number(process.env.WORKDAY_HOURS) || 8;
+export const LEAVE_SESSIONS = ['full', 'first_half', 'second_half', 'hours'];
+
+// Share of a working day one leave date consumes
+export function sessionFraction(session, hours) {
+  if (session === 'first_half' || session === 'second_half') return 0.5;
+  if (session === 'hours') return round2(Math.min(Number(hours) || 0, WORKDAY_HOURS) / WORKDAY_HOURS);
+  return 1;
+}
+
+// [{ date, fraction }] for the working days a leave covers
+export function leaveDayCharges(leave, calendar) {
+  const fraction = sessionFraction(leave.session, leave.hours);
+  return workingDates(calendar, leave.start_date, leave.end_date).map(date => ({ date, fraction }));
+}
+
+/**
+ * First conflict between a candidate leave and the employee's pending or
+ * approved leaves: any overlap with a full day, the same half twice, or more
+ * than one day's worth of partial leave on a date.
+ */
+export function findLeaveConflict(existing, candidate) {
+  const frac = sessionFraction(candidate.session, candidate.hours);
+  for (const l of existing) {
+    if (l.start_date > candidate.end_date || l.end_date < candidate.start_date) continue;
+    const lf = sessionFraction(l.session, l.hours);
+    if (frac >= 1 || lf >= 1) return l;
+    if (l.session === candidate.session && l.session !== 'hours') return l;
+  }
+  const sameDay = existing.filter(l => l.start_date <= candidate.start_date && l.end_date >= candidate.start_date);
+  const total = sameDay.reduce((a, l) => a + sessionFraction(l.session, l.hours), frac);
+  return total > 1 ? sameDay[0] : null;
+}
+
+// Date ranges of a leave left after cancelling [from, to] (0, 1 or 2 segments)
+export function remainingSegments(leave, from, to) {
+  const out = [];
+  if (from > leave.start_date) out.push({ start_date: leave.start_date, end_date: addDays(from, -1) });
+  if (to < leave.end_date) out.push({ start_date: addDays(to, 1), end_date: leave.end_date });
+  return out;
+}
+
+/**
+ * Policies that apply to an employee, one per leave type. The most specific
+ * scope wins (role + location, then role, then location, then company
+ * default); among equals the larger allocation wins.
+ */
+export async function resolvePolicies(db, employeeId) {
+  const { rows: emp } = await db.query(
+    `SELECT e.id, e.user_id, e.location_id, to_char(e.doj, 'YYYY-MM-DD') AS doj
+     FROM employees e WHERE e.id=$1`,
+    [employeeId]
+  );
+  if (!emp.length) return { employee: null, policies: {} };
+  const employee = emp[0];
+
+  const { rows } = await db.query(
+    `SELECT p.*, r.name AS role_name,
+            (CASE WHEN p.role_id IS NOT NULL THEN 2 ELSE 0 END +
+             CASE WHEN p.location_id IS NOT NULL THEN 1 ELSE 0 END) AS specificity
+     FROM leave_policies p
+     LEFT JOIN roles r ON r.id = p.role_id
+     WHERE (p.role_id IS NULL OR p.role_id IN (SELECT role_id FROM user_roles WHERE user_id=$1))
+       AND (p.location_id IS NULL OR p.location_id = $2)
+     ORDER BY p.leave_type, specificity DESC, p.yearly_allocation DESC`,
+    [employee.user_id, employee.location_id]
+  );
+
+  const policies = {};
+  for (const p of rows) if (!policies[p.leave_type]) policies[p.leave_type] = p;
+  return { employee, policies };
+}
+
+// First month (1-12) of the year the employee earns leave in; 13 = none.
+// Joining after the 15th starts accrual from the next month.
+function firstEarningMonth(doj, year) {
+  if (!doj) return 1;
+  const [y, m, d] = doj.split('-').map(Number);
+  if (y < year) return 1;
+  if (y > year) return 13;
+  return d > 15 ? m + 1 : m;
+}
+
+/**
+ * Entitlement for a calendar year.
+ *   annual  — full allocation granted up front (prorated by joining month)
+ *   monthly — allocation/12 credited on the 1st of each month up to asOf
+ * Returns { allocated: full-year amount, accrued: amount available by asOf }.
+ */
+export function entitlement(policy, { doj, year, asOf }) {
+  const alloc = Number(policy.yearly_allocation);
+  const start = policy.prorate_on_join ? firstEarningMonth(doj, year) : (doj && Number(doj.slice(0, 4)) > year ? 13 : 1);
+  const earningMonths = Math.max(0, 12 - start + 1);
+  const allocated = roundHalf((alloc * earningMonths) / 12);
+
+  if (policy.accrual !== 'monthly') return { allocated, accrued: allocated };
+
+  const [ay, am] = asOf.split('-').map(Number);
+  const upto = ay > year ? 12 : ay < year ? 0 : am;
+  const months = Math.max(0, upto - start + 1);
+  return { allocated, accrued: round2((alloc * months) / 12) };
+}
+
+// Approved leave days per type within the calendar year, working days only
+// (half-day and hourly leave count fractionally)
+export async function usedDays(db, employeeId, year, locationId = null) {
+  const from = `${year}-01-01`, to = `${year}-12-31`;
+  const { rows } = await db.query(
+    `SELECT type, session, hours,
+            to_char(GREATEST(start_date, $2::date), 'YYYY-MM-DD') AS start_date,
+            to_char(LEAST(end_date, $3::date), 'YYYY-MM-DD') AS end_date
+     FROM leaves
+     WHERE employee_id=$1 AND status='approved'
+       AND start_date <= $3::date AND end_date >= $2::date`,
+    [employeeId, from, to]
+  );
+  const calendar = await loadCalendar(db, locationId, from, to);
+  const used = {};
+  for (const l of rows) {
+    const days = leaveDayCharges(l, calendar).reduce((a, c) => a + c.fraction, 0);
+    used[l.type] = round2((used[l.type] || 0) + days);
+  }
+  return used;
+}
+
+export async function leaveBalances(db, employeeId, asOf = new Date().toISOString().slice(0, 10)) {
+  const year = Number(asOf.slice(0, 4));
+  const { employee, policies } = await resolvePolicies(db, employeeId);
+  if (!employee) return [];
+  const used = await usedDays(db, employeeId, year, employee.location_id);
+  // carried in by last year's year-end close
+  const { rows: carried } = await db.query(
+    `SELECT leave_type, carried_forward FROM leave_year_balances WHERE employee_id=$1 AND year=$2`,
+    [employeeId, year - 1]
+  );
+  const carriedIn = Object.fromEntries(carried.map(r => [r.leave_type, Number(r.carried_forward)]));
+
+  return Object.values(policies).map((p) => {
+    const { allocated, accrued } = entitlement(p, { doj: employee.doj, year, asOf });
+    const u = used[p.leave_type] || 0;
+    const cf = carriedIn[p.leave_type] || 0;
+    return {
+      type: p.leave_type,
+      accrual: p.accrual,
+      allocated,
+      accrued,
+      carried_in: cf,
+      used: u,
+      remaining: round2(cf + accrued - u),
+      carry_forward: p.carry_forward,
+      encashable: p.encashable,
+    };
+  });
+}
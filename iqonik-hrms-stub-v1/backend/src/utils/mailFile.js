@@ -0,0 +1,35 @@
+// src/utils/mailFile.js
+// File-sink mail transport for development and tests. Each message is written
+// to mail-outbox/<id>.eml (MAIL_DIR moves it), which any mail client opens,
+// instead of being sent.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const outbox = () => process.env.MAIL_DIR || path.join(process.cwd(), 'mail-outbox');
+
+// Header values can't carry line breaks (header injection)
+const header = (v) => String(v ?? '').replace(/[\r\n]+/g, ' ');
+
+export const fileTransport = {
+  name: 'file',
+
+  async send({ from, to, subject, text }) {
+    const dir = outbox();
+    fs.mkdirSync(dir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const eml = [
+      `From: ${header(from)}`,
+      `To: ${header(to)}`,
+      `Subject: ${header(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${id}@mail-outbox>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      String(text ?? ''),
+    ].join('\r\n');
+    fs.writeFileSync(path.join(dir, `${id}.eml`), eml);
+    return { id };
+  },
+};
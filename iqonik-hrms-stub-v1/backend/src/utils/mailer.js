@@ -0,0 +1,28 @@
+// src/utils/mailer.js
+// Outgoing email. A transport implements
+//   send({ from, to, subject, text }) -> { id }
+// and is picked with MAIL_TRANSPORT (default: the file sink, which writes
+// each message to an outbox folder instead of sending it). A real transport
+// (SMTP, an email API) registers itself with registerMailTransport().
+import { fileTransport } from './mailFile.js';
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'IQONIK HRMS <no-reply@iqonik.in>';
+
+const transports = new Map([[fileTransport.name, fileTransport]]);
+
+export function registerMailTransport(transport) {
+  transports.set(transport.name, transport);
+}
+
+export function mailTransport(name = process.env.MAIL_TRANSPORT || 'file') {
+  return transports.get(name) || null;
+}
+
+// Send one message through the configured transport; returns { id, transport }
+export async function sendMail({ to, subject, text }) {
+  const transport = mailTransport();
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT: ${process.env.MAIL_TRANSPORT}`);
+  if (!to || !subject) throw new Error('sendMail needs to and subject');
+  const { id } = await transport.send({ from: MAIL_FROM, to, subject, text });
+  return { id, transport: transport.name };
+}
@@ -0,0 +1,150 @@
+// src/utils/offers.js
+// Offer letters. Templates live in src/data/offer_templates/<name>.txt: the
+// first line is the title, blank lines separate paragraphs, {{field}} is
+// filled from the offer and a {{ctc_table}} paragraph draws the CTC breakup.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PDFDocument from 'pdfkit';
+import { ACCENT, COMPANY_NAME, DARK, drawHeader } from './branding.js';
+import { computePF, loadRules } from './statutory.js';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'offer_templates');
+const OFFER_DIR = path.join(process.cwd(), 'offers');
+
+// Allowed status changes; accepting converts the offer into a pre_join employee
+export const OFFER_TRANSITIONS = {
+  draft: ['sent', 'withdrawn'],
+  sent: ['accepted', 'declined', 'withdrawn'],
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const inr = (n) => Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const longDate = (iso) => (iso
+  ? new Date(iso + 'T00:00:00Z').toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : '—');
+
+export function listTemplates() {
+  return fs.readdirSync(TEMPLATE_DIR)
+    .filter(f => f.endsWith('.txt'))
+    .map(f => f.slice(0, -4))
+    .sort();
+}
+
+export function loadTemplate(name) {
+  if (!/^[a-z0-9_-]+$/i.test(String(name || ''))) return null;
+  const file = path.join(TEMPLATE_DIR, `${name}.txt`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Validate a monthly CTC breakup; same fields as ctc_structures.
+ * pf_base defaults to basic (0 = not PF-covered).
+ */
+export function normalizeCtc(b = {}) {
+  const basic = Number(b.basic), hra = Number(b.hra ?? 0), special = Number(b.special ?? 0);
+  if (!(basic > 0) || !(hra >= 0) || !(special >= 0))
+    return { error: 'ctc.basic must be > 0; hra and special must be >= 0 (monthly amounts)' };
+  const pfBase = Number(b.pf_base ?? basic);
+  if (!(pfBase >= 0)) return { error: 'ctc.pf_base must be >= 0' };
+  const regime = b.tax_regime || 'new';
+  if (!['old', 'new'].includes(regime)) return { error: "ctc.tax_regime must be 'old' or 'new'" };
+  return {
+    ctc: {
+      basic: round2(basic), hra: round2(hra), special: round2(special), pf_base: round2(pfBase),
+      esi_applicable: !!b.esi_applicable, pt_state: b.pt_state || null, tax_regime: regime,
+    },
+  };
+}
+
+// Monthly components + employer PF, and the annual CTC they add up to
+export function ctcBreakup(ctc, joiningDate) {
+  const period = (joiningDate || new Date().toISOString()).slice(0, 7);
+  const pf = computePF(loadRules(period), ctc.pf_base, 1);
+  const rows = [
+    ['Basic', ctc.basic],
+    ['House Rent Allowance', ctc.hra],
+    ['Special Allowance', ctc.special],
+    ['Employer PF Contribution', pf.employer_epf + pf.employer_eps],
+  ].filter(([, v]) => Number(v) > 0);
+  const monthly = round2(rows.reduce((a, [, v]) => a + Number(v), 0));
+  return { rows, monthly, annual: round2(monthly * 12) };
+}
+
+export function offerPdfPath(offerId) {
+  return path.join(OFFER_DIR, `${offerId}.pdf`);
+}
+
+function ctcTable(doc, x, y, width, breakup) {
+  doc.rect(x, y, width, 20).fill(DARK);
+  doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(10);
+  doc.text('Component', x + 6, y + 6);
+  doc.text('Monthly (INR)', x + width - 226, y + 6, { width: 110, align: 'right' });
+  doc.text('Annual (INR)', x + width - 116, y + 6, { width: 110, align: 'right' });
+  let rowY = y + 24;
+  doc.font('Helvetica').fillColor('#000000');
+  for (const [k, v] of [...breakup.rows, ['Total Cost to Company', breakup.monthly]]) {
+    if (k.startsWith('Total')) {
+      doc.moveTo(x, rowY - 3).lineTo(x + width, rowY - 3).strokeColor(DARK).stroke();
+      doc.font('Helvetica-Bold');
+    }
+    doc.text(k, x + 6, rowY);
+    doc.text(inr(v), x + width - 226, rowY, { width: 110, align: 'right' });
+    doc.text(inr(v * 12), x + width - 116, rowY, { width: 110, align: 'right' });
+    rowY += 16;
+  }
+  return rowY + 8;
+}
+
+// Render to offers/<offerId>.pdf; resolves with the file path
+export function renderOfferLetter(offer, outPath = offerPdfPath(offer.id)) {
+  const template = loadTemplate(offer.template_name);
+  if (!template) return Promise.reject(new Error(`Offer template '${offer.template_name}' not found`));
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  const breakup = ctcBreakup(offer.ctc_json, offer.joining_date);
+  const fields = {
+    company: COMPANY_NAME,
+    candidate_name: offer.candidate_name,
+    position: offer.position || '—',
+    location: offer.location_id || 'head',
+    joining_date: longDate(offer.joining_date),
+    valid_until: longDate(offer.valid_until),
+    offer_date: longDate(new Date().toISOString().slice(0, 10)),
+    annual_ctc: inr(breakup.annual),
+    monthly_ctc: inr(breakup.monthly),
+  };
+  const [title, ...body] = template.replace(/\r/g, '').split(/\n\s*\n/);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const done = new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(outPath);
+    out.on('finish', () => resolve(outPath));
+    out.on('error', reject);
+    doc.pipe(out);
+  });
+  const pageW = doc.page.width - 80;
+
+  drawHeader(doc, offer.status === 'draft' ? 'Offer Letter (DRAFT)' : 'Offer Letter');
+  doc.fillColor('#000000').font('Helvetica').fontSize(10)
+    .text(`Date: ${fields.offer_date}`, 40, 90, { width: pageW, align: 'right' });
+  doc.font('Helvetica-Bold').fontSize(14).text(title.trim(), 40, 110, { width: pageW });
+  doc.moveDown();
+
+  for (const para of body) {
+    if (para.trim() === '{{ctc_table}}') {
+      doc.y = ctcTable(doc, 40, doc.y, pageW, breakup);
+      continue;
+    }
+    const text = para.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, k) => fields[k] ?? m);
+    doc.font('Helvetica').fontSize(10).fillColor('#000000').text(text.trim(), 40, doc.y, { width: pageW });
+    doc.moveDown();
+  }
+
+  doc.fontSize(8).fillColor('#666666').text(
+    `Offer reference: ${offer.id}`,
+    40, doc.page.height - 60, { align: 'center', width: pageW }
+  );
+  doc.end();
+  return done;
+}
@@ -0,0 +1,30 @@
+// src/utils/onboarding.js
+// Shared by POST /employees and offer conversion.
+
+/**
+ * Upsert the user by email and add a pre_join employee for them. Returns
+ * { userId, employee } where employee is null if the user already has an
+ * employee record. Run inside a transaction.
+ */
+export async function createPreJoinEmployee(db, { name, email, phone, doj, location_id, manager_id }) {
+  const { rows: userRows } = await db.query(
+    `INSERT INTO users (name, email, phone)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name, phone = EXCLUDED.phone, updated_at = NOW()
+     RETURNING id`,
+    [name, email, phone || null]
+  );
+  const userId = userRows[0].id;
+
+  // simple code like EMP-AB12CD34
+  const empCode = 'EMP-' + (Math.random().toString(36).slice(2,10)).toUpperCase();
+
+  const { rows: empRows } = await db.query(
+    `INSERT INTO employees (user_id, code, status, doj, location_id, manager_id)
+     VALUES ($1, $2, 'pre_join', $3, $4, $5)
+     ON CONFLICT (user_id) DO NOTHING
+     RETURNING id, code, status`,
+    [userId, empCode, doj || null, location_id || null, manager_id || null]
+  );
+  return { userId, employee: empRows[0] || null };
+}
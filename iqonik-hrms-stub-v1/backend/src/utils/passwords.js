@@ -0,0 +1,189 @@
+// src/utils/passwords.js
+// Password lifecycle. Nobody is handed a password: a new account gets an
+// emailed activation link to choose one, a forgotten one is replaced through
+// an emailed reset link, and a password someone else chose (a seeded
+// default) must be changed at the next sign-in (users.must_change_password).
+// Every new password is checked against the policy below, and a run of failed
+// sign-ins locks the account for a while.
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { sendMail } from './mailer.js';
+
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 10);
+export const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS || 5);
+export const LOCKOUT_MINUTES = Number(process.env.LOCKOUT_MINUTES || 15);
+
+// How long an emailed link works, in minutes
+const LINK_MINUTES = {
+  activation: Number(process.env.ACTIVATION_LINK_HOURS || 72) * 60,
+  reset: Number(process.env.RESET_LINK_MINUTES || 60),
+};
+const BCRYPT_ROUNDS = 10;
+const COMMON = /password|passw0rd|welcome|qwerty|letmein|iqonik|admin|123456/i;
+
+const hashToken = (t) => crypto.createHash('sha256').update(String(t)).digest('hex');
+
+// What a proposed password is missing (empty when it passes)
+export function passwordProblems(password, { email, name } = {}) {
+  const p = String(password ?? '');
+  const problems = [];
+  if (p.length < PASSWORD_MIN_LENGTH) problems.push(`at least ${PASSWORD_MIN_LENGTH} characters`);
+  // bcrypt ignores everything past 72 bytes
+  if (Buffer.byteLength(p) > 72) problems.push('at most 72 bytes');
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(p)).length;
+  if (classes < 3) problems.push('three of: lowercase letters, uppercase letters, digits, symbols');
+  const personal = [String(email || '').split('@')[0], ...String(name || '').split(/\s+/)]
+    .map(s => s.toLowerCase()).filter(s => s.length >= 3);
+  if (COMMON.test(p) || personal.some(s => p.toLowerCase().includes(s)))
+    problems.push('no common words, your name or your email');
+  return problems;
+}
+
+// { error, code, problems } when a password fails the policy, else null
+export function validatePassword(password, user) {
+  const problems = passwordProblems(password, user);
+  if (!problems.length) return null;
+  return { error: `Password needs ${problems.join('; ')}`, code: 400, problems };
+}
+
+// Store a password the user chose; clears any lockout and must_change_password
+export async function setPassword(db, userId, password) {
+  const hash = await bcrypt.hash(String(password), BCRYPT_ROUNDS);
+  await db.query(
+    `UPDATE users SET password_hash=$2, password_changed_at=NOW(), must_change_password=FALSE,
+                      failed_logins=0, locked_until=NULL, updated_at=NOW()
+     WHERE id=$1`,
+    [userId, hash]
+  );
+}
+
+/* ---------- lockout ---------- */
+
+/**
+ * Count a failed sign-in. The MAX_FAILED_LOGINS-th in a row locks the account
+ * for LOCKOUT_MINUTES (locked: true on that one); the count starts over once
+ * a lock has run out. Returns { failed_logins, locked_until, locked }.
+ */
+export async function recordLoginFailure(db, userId) {
+  const { rows } = await db.query(
+    `WITH c AS (
+       SELECT id, CASE WHEN locked_until <= NOW() THEN 1 ELSE failed_logins + 1 END AS n
+       FROM users WHERE id=$1
+     )
+     UPDATE users u
+     SET failed_logins = c.n,
+         locked_until = CASE WHEN c.n >= $2 THEN NOW() + make_interval(mins => $3)
+                             WHEN u.locked_until <= NOW() THEN NULL
+                             ELSE u.locked_until END
+     FROM c WHERE u.id = c.id
+     RETURNING u.failed_logins, u.locked_until, c.n >= $2 AS locked`,
+    [userId, MAX_FAILED_LOGINS, LOCKOUT_MINUTES]
+  );
+  return rows[0];
+}
+
+export async function clearLoginFailures(db, userId) {
+  await db.query(`UPDATE users SET failed_logins=0, locked_until=NULL WHERE id=$1`, [userId]);
+}
+
+/* ---------- emailed links ---------- */
+
+// A new link token for a user; voids their earlier unused ones of the purpose
+export async function issuePasswordToken(db, userId, purpose, { createdBy = null } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `UPDATE password_tokens SET used_at=NOW() WHERE user_id=$1 AND purpose=$2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  const { rows } = await db.query(
+    `INSERT INTO password_tokens (user_id, purpose, token_hash, created_by, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+     RETURNING id, expires_at`,
+    [userId, purpose, hashToken(token), createdBy, LINK_MINUTES[purpose]]
+  );
+  return { token, ...rows[0] };
+}
+
+/**
+ * Use up a link token. Returns { error, code } for an unknown, used or
+ * expired token or an inactive account, else { user: { id, name, email } }.
+ * Validate the new password in the same transaction so a rejected one
+ * leaves the link usable.
+ */
+export async function consumePasswordToken(db, token, purpose) {
+  const { rows } = await db.query(
+    `SELECT t.id, t.used_at, t.expires_at < NOW() AS expired, u.id AS user_id, u.name, u.email, u.status
+     FROM password_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash=$1 AND t.purpose=$2
+     FOR UPDATE OF t`,
+    [hashToken(token), purpose]
+  );
+  const t = rows[0];
+  if (!t || t.used_at) return { error: 'This link is invalid or has already been used', code: 400 };
+  if (t.expired) return { error: 'This link has expired; ask for a new one', code: 410 };
+  if (t.status !== 'active') return { error: 'Account is not active', code: 403 };
+  await db.query(`UPDATE password_tokens SET used_at=NOW() WHERE id=$1`, [t.id]);
+  return { user: { id: t.user_id, name: t.name, email: t.email } };
+}
+
+const MAIL = {
+  activation: {
+    subject: 'Activate your IQONIK HRMS account',
+    body: (name, link, hours) =>
+      `Hello ${name},\n\nYour IQONIK HRMS account is ready. Choose your password here:\n\n${link}\n\n` +
+      `The link works once and expires in ${hours} hours.\n`,
+  },
+  reset: {
+    subject: 'Reset your IQONIK HRMS password',
+    body: (name, link, hours, minutes) =>
+      `Hello ${name},\n\nWe received a request to reset your password. Choose a new one here:\n\n${link}\n\n` +
+      `The link works once and expires in ${minutes} minutes. If you didn't ask for this, ignore this email.\n`,
+  },
+};
+
+// Origin of emailed links, or null. Only ever APP_BASE_URL: one taken from the
+// request's Host header would let whoever asks for a reset point it elsewhere
+export const appBaseUrl = () => String(process.env.APP_BASE_URL || '').replace(/\/+$/, '') || null;
+
+/**
+ * Issue a one-time link for a user to set their password: 'activation' or
+ * 'reset'. Returns { token_id, expires_at, message }, or { error, code } when
+ * APP_BASE_URL isn't set (no token is issued then). Inside a transaction,
+ * mail the message with mailPasswordLink once it has committed, so a
+ * rollback never leaves a link in someone's inbox that doesn't work.
+ */
+export async function issuePasswordLink(db, userId, purpose, { createdBy = null } = {}) {
+  const baseUrl = appBaseUrl();
+  if (!baseUrl) return { error: 'APP_BASE_URL is not set, so password links are disabled', code: 503 };
+  const { rows } = await db.query(`SELECT id, name, email FROM users WHERE id=$1`, [userId]);
+  if (!rows.length) throw new Error(`No user ${userId}`);
+  const { token, id, expires_at } = await issuePasswordToken(db, userId, purpose, { createdBy });
+  const link = `${baseUrl}/set-password.html?purpose=${purpose}&token=${encodeURIComponent(token)}`;
+  const minutes = LINK_MINUTES[purpose];
+  const message = {
+    to: rows[0].email,
+    subject: MAIL[purpose].subject,
+    text: MAIL[purpose].body(rows[0].name, link, Math.round(minutes / 60), minutes),
+  };
+  return { token_id: id, expires_at, message };
+}
+
+// Send an issued link; returns the sent mail, or null (logged) when sending
+// failed. The token stays valid, and issuing a new link replaces it
+export async function mailPasswordLink(link) {
+  try {
+    return await sendMail(link.message);
+  } catch (e) {
+    console.error(`Password link ${link.token_id} not sent`, e);
+    return null;
+  }
+}
+
+// Issue and send a link in one go, for callers outside a transaction.
+// Returns { token_id, expires_at, mail } or { error, code }
+export async function sendPasswordLink(db, userId, purpose, opts) {
+  const link = await issuePasswordLink(db, userId, purpose, opts);
+  if (link.error) return link;
+  const { message, ...rest } = link;
+  return { ...rest, mail: await mailPasswordLink(link) };
+}
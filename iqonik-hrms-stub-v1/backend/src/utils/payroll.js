@@ -0,0 +1,122 @@
+// src/utils/payroll.js
+// Computes payroll_lines for a period from ctc_structures + attendance/leaves.
+import { computeStatutory, fyPosition } from './statutory.js';
+import { periodBounds } from './calendar.js';
+import { summarizeAttendance } from './attendance.js';
+
+export const PERIOD_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+export { periodBounds, periodDates } from './calendar.js';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const sum = (obj) => round2(Object.values(obj).reduce((a, v) => a + Number(v || 0), 0));
+
+/**
+ * Build one line per active employee that has a ctc_structures row in effect
+ * for the period. Monthly CTC components are prorated by paid days over the
+ * month's working days (location calendar: weekly offs and holidays excluded);
+ * paid days are present/wfh attendance plus approved leave days, within the
+ * employee's doj..dol window.
+ */
+export async function computeRunLines(db, period) {
+  const { last } = periodBounds(period);
+
+  const { rows: emps } = await db.query(
+    `SELECT e.id AS employee_id,
+            to_char(e.doj, 'YYYY-MM-DD') AS doj,
+            to_char(e.dol, 'YYYY-MM-DD') AS dol,
+            e.location_id,
+            c.id AS ctc_id, c.basic, c.hra, c.special,
+            c.pf_base, c.esi_applicable, c.pt_state, c.tax_regime
+     FROM employees e
+     JOIN LATERAL (
+       SELECT * FROM ctc_structures c
+       WHERE c.employee_id = e.id AND c.effective_from <= $1::date
+       ORDER BY c.effective_from DESC, c.created_at DESC
+       LIMIT 1
+     ) c ON true
+     WHERE e.status = 'active'
+     ORDER BY e.code`,
+    [last]
+  );
+  if (!emps.length) return [];
+
+  const ids = emps.map(e => e.employee_id);
+  const attendanceBy = await summarizeAttendance(db, period, emps);
+
+  // Approved incentives for the month are paid in full as their own earning
+  const { rows: inc } = await db.query(
+    `SELECT employee_id, SUM(amount) AS amount
+     FROM incentives
+     WHERE employee_id = ANY($1::uuid[]) AND month = $2 AND status = 'approved'
+     GROUP BY employee_id`,
+    [ids, period]
+  );
+  const incentiveBy = Object.fromEntries(inc.map(r => [r.employee_id, Number(r.amount)]));
+
+  // Leave encashment from a year-end close paid out in this period
+  const { rows: enc } = await db.query(
+    `SELECT employee_id, SUM(encash_amount) AS amount
+     FROM leave_year_balances
+     WHERE employee_id = ANY($1::uuid[]) AND payout_period = $2 AND encash_amount > 0
+     GROUP BY employee_id`,
+    [ids, period]
+  );
+  const encashBy = Object.fromEntries(enc.map(r => [r.employee_id, Number(r.amount)]));
+
+  // Posted totals earlier in the FY, for the TDS projection
+  const { rows: ytdRows } = await db.query(
+    `SELECT l.employee_id,
+            SUM((SELECT COALESCE(SUM(v::numeric),0) FROM jsonb_each_text(l.earnings_json) AS x(k, v))) AS gross,
+            SUM(COALESCE((l.deductions_json->>'pf')::numeric,0))  AS pf,
+            SUM(COALESCE((l.deductions_json->>'pt')::numeric,0))  AS pt,
+            SUM(COALESCE((l.deductions_json->>'tds')::numeric,0)) AS tds
+     FROM payroll_lines l
+     JOIN payroll_runs r ON r.id = l.run_id
+     WHERE r.status = 'posted' AND r.period >= $2 AND r.period < $3
+       AND l.employee_id = ANY($1::uuid[])
+     GROUP BY l.employee_id`,
+    [ids, fyPosition(period).fyStart, period]
+  );
+  const ytdBy = Object.fromEntries(ytdRows.map(r => [r.employee_id, {
+    gross: Number(r.gross), pf: Number(r.pf), pt: Number(r.pt), tds: Number(r.tds),
+  }]));
+
+  return emps.map((emp) => {
+    const attendance = attendanceBy[emp.employee_id];
+    const factor = attendance.working_days ? attendance.paid_days / attendance.working_days : 0;
+
+    const earnings = {
+      basic: round2(Number(emp.basic) * factor),
+      hra: round2(Number(emp.hra) * factor),
+      special: round2(Number(emp.special) * factor),
+    };
+    if (incentiveBy[emp.employee_id]) earnings.incentive = round2(incentiveBy[emp.employee_id]);
+    if (encashBy[emp.employee_id]) earnings.leave_encashment = round2(encashBy[emp.employee_id]);
+    const statutory = computeStatutory({
+      period, ctc: emp, earnings, factor, ytd: ytdBy[emp.employee_id],
+    });
+    const deductions = statutory.deductions;
+
+    return {
+      employee_id: emp.employee_id,
+      earnings,
+      deductions,
+      statutory: { fy: statutory.fy, employer: statutory.employer, tax: statutory.tax },
+      net_pay: round2(sum(earnings) - sum(deductions)),
+      attendance,
+    };
+  });
+}
+
+// Replace all lines of a (draft) run with freshly computed ones
+export async function writeRunLines(db, runId, lines) {
+  await db.query(`DELETE FROM payroll_lines WHERE run_id=$1`, [runId]);
+  for (const l of lines) {
+    await db.query(
+      `INSERT INTO payroll_lines (run_id, employee_id, earnings_json, deductions_json, attendance_json, statutory_json, net_pay)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [runId, l.employee_id, l.earnings, l.deductions, l.attendance, l.statutory, l.net_pay]
+    );
+  }
+  return lines.length;
+}
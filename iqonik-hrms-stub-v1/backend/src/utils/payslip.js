@@ -0,0 +1,168 @@
+// src/utils/payslip.js
+// IQONIK-branded payslip PDF for one payroll_lines row.
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import { fyPosition } from './statutory.js';
+import { ACCENT, DARK, drawHeader } from './branding.js';
+
+const PAYSLIP_DIR = path.join(process.cwd(), 'payslips');
+
+const LABELS = {
+  basic: 'Basic',
+  hra: 'House Rent Allowance',
+  special: 'Special Allowance',
+  pf: 'Provident Fund',
+  esi: 'ESI',
+  pt: 'Professional Tax',
+  tds: 'Income Tax (TDS)',
+};
+const label = (k) => LABELS[k] || k.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+const inr = (n) => Number(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const total = (obj) => Object.values(obj || {}).reduce((a, v) => a + Number(v || 0), 0);
+const maskAccount = (acc) => (acc ? 'XXXX' + String(acc).slice(-4) : '—');
+
+export function payslipPath(runId, employeeId) {
+  return path.join(PAYSLIP_DIR, runId, `${employeeId}.pdf`);
+}
+
+// Drop a run's cached PDFs (its lines changed, or it was posted) so the next
+// download renders them afresh
+export function clearPayslips(runId) {
+  fs.rmSync(path.join(PAYSLIP_DIR, String(runId)), { recursive: true, force: true });
+}
+
+// Everything the payslip shows, for one run + employee
+export async function buildPayslip(db, runId, employeeId) {
+  const { rows } = await db.query(
+    `SELECT r.id AS run_id, r.period, r.status AS run_status,
+            l.earnings_json, l.deductions_json, l.attendance_json, l.net_pay,
+            e.id AS employee_id, e.code AS employee_code, e.location_id,
+            to_char(e.doj, 'YYYY-MM-DD') AS doj,
+            u.name AS employee_name, u.email
+     FROM payroll_lines l
+     JOIN payroll_runs r ON r.id = l.run_id
+     JOIN employees e ON e.id = l.employee_id
+     JOIN users u ON u.id = e.user_id
+     WHERE l.run_id=$1 AND l.employee_id=$2`,
+    [runId, employeeId]
+  );
+  if (!rows.length) return null;
+  const line = rows[0];
+
+  const { rows: ytd } = await db.query(
+    `SELECT l.earnings_json, l.deductions_json, l.net_pay
+     FROM payroll_lines l
+     JOIN payroll_runs r ON r.id = l.run_id
+     WHERE l.employee_id=$1 AND r.status='posted'
+       AND r.period >= $2 AND r.period < $3`,
+    [employeeId, fyPosition(line.period).fyStart, line.period]
+  );
+  const all = [...ytd, line];
+
+  const { rows: bank } = await db.query(
+    `SELECT data_json FROM documents
+     WHERE employee_id=$1 AND type='bank' AND is_current`,
+    [employeeId]
+  );
+
+  return {
+    ...line,
+    bank: bank[0]?.data_json || {},
+    ytd: {
+      gross: all.reduce((a, l) => a + total(l.earnings_json), 0),
+      deductions: all.reduce((a, l) => a + total(l.deductions_json), 0),
+      tds: all.reduce((a, l) => a + Number(l.deductions_json?.tds || 0), 0),
+      net_pay: all.reduce((a, l) => a + Number(l.net_pay || 0), 0),
+    },
+  };
+}
+
+function table(doc, x, y, title, entries, width) {
+  doc.rect(x, y, width, 20).fill(DARK);
+  doc.fillColor(ACCENT).font('Helvetica-Bold').fontSize(10).text(title, x + 6, y + 6);
+  let rowY = y + 24;
+  doc.font('Helvetica').fillColor('#000000');
+  for (const [k, v] of entries) {
+    doc.text(label(k), x + 6, rowY, { width: width - 100 });
+    doc.text(inr(v), x + width - 96, rowY, { width: 90, align: 'right' });
+    rowY += 16;
+  }
+  return rowY;
+}
+
+// Render to payslips/<runId>/<employeeId>.pdf; resolves with the file path
+export function renderPayslip(data, outPath = payslipPath(data.run_id, data.employee_id)) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const done = new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(outPath);
+    out.on('finish', () => resolve(outPath));
+    out.on('error', reject);
+    doc.pipe(out);
+  });
+
+  const [y, m] = data.period.split('-').map(Number);
+  const monthName = new Date(Date.UTC(y, m - 1, 1)).toLocaleString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const pageW = doc.page.width - 80;
+
+  drawHeader(doc, `Payslip for ${monthName}${data.run_status === 'posted' ? '' : ' (DRAFT)'}`);
+
+  // Employee & bank details
+  doc.fillColor('#000000').font('Helvetica').fontSize(10);
+  const info = [
+    ['Employee', data.employee_name], ['Employee Code', data.employee_code],
+    ['Email', data.email], ['Date of Joining', data.doj || '—'],
+    ['Bank', data.bank.bank_name || '—'], ['Account No.', maskAccount(data.bank.account_number)],
+    ['IFSC', data.bank.ifsc || '—'], ['Location', data.location_id || '—'],
+  ];
+  info.forEach(([k, v], i) => {
+    const col = i % 2, row = Math.floor(i / 2);
+    const x = 40 + col * (pageW / 2), yy = 90 + row * 16;
+    doc.font('Helvetica-Bold').text(`${k}:`, x, yy, { continued: true }).font('Helvetica').text(` ${v}`);
+  });
+
+  // Attendance
+  const a = data.attendance_json || {};
+  const attY = 164;
+  doc.rect(40, attY, pageW, 22).fill(ACCENT);
+  doc.fillColor(DARK).font('Helvetica-Bold').fontSize(10).text(
+    `Working Days: ${a.working_days ?? '—'}    Paid Days: ${a.paid_days ?? '—'}    ` +
+    `Leave Days: ${a.leave_days ?? 0}    LOP Days: ${a.lop_days ?? 0}`,
+    46, attY + 7
+  );
+
+  // Earnings | Deductions
+  const colW = pageW / 2 - 5;
+  const earnEnd = table(doc, 40, 200, 'EARNINGS', Object.entries(data.earnings_json || {}), colW);
+  const dedEnd = table(doc, 45 + colW, 200, 'DEDUCTIONS', Object.entries(data.deductions_json || {}), colW);
+  const totY = Math.max(earnEnd, dedEnd) + 6;
+  doc.moveTo(40, totY - 4).lineTo(40 + pageW, totY - 4).strokeColor(DARK).stroke();
+  doc.font('Helvetica-Bold').fillColor('#000000');
+  doc.text('Gross Earnings', 46, totY);
+  doc.text(inr(total(data.earnings_json)), 40 + colW - 96, totY, { width: 90, align: 'right' });
+  doc.text('Total Deductions', 51 + colW, totY);
+  doc.text(inr(total(data.deductions_json)), 45 + 2 * colW - 96, totY, { width: 90, align: 'right' });
+
+  // Net pay
+  const netY = totY + 28;
+  doc.rect(40, netY, pageW, 28).fill(DARK);
+  doc.fillColor(ACCENT).fontSize(13).text(`NET PAY: INR ${inr(data.net_pay)}`, 50, netY + 8);
+
+  // YTD
+  const ytdY = netY + 44;
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(10).text('Year to date (financial year)', 40, ytdY);
+  doc.font('Helvetica').text(
+    `Gross: ${inr(data.ytd.gross)}    Deductions: ${inr(data.ytd.deductions)}    ` +
+    `TDS: ${inr(data.ytd.tds)}    Net Pay: ${inr(data.ytd.net_pay)}`,
+    40, ytdY + 16
+  );
+
+  doc.fontSize(8).fillColor('#666666').text(
+    'This is a computer-generated payslip and does not require a signature.',
+    40, doc.page.height - 60, { align: 'center', width: pageW }
+  );
+  doc.end();
+  return done;
+}
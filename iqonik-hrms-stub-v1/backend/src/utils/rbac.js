@@ -0,0 +1,118 @@
+// src/utils/rbac.js
+// Roles and permissions. A user's permissions are the codes granted to any of
+// their roles (user_roles -> role_permissions -> permissions), each over a data
+// scope (see scope.js); they are copied into the JWT when it is minted, so
+// edits here apply from the next token.
+import fs from 'fs';
+import { SCOPE_RE } from './scope.js';
+
+export const ROLE_MANAGE = 'ROLE_MANAGE';
+
+/**
+ * What a token carries (none for an inactive user): { permissions, scopes },
+ * permissions the codes of the user's roles and scopes listing a code's
+ * scopes (union over the user's roles) only when none of them is 'all'.
+ */
+export async function tokenClaims(db, userId) {
+  const { rows } = await db.query(
+    `SELECT p.code, array_agg(DISTINCT rp.scope ORDER BY rp.scope) AS scopes
+     FROM users u
+     JOIN user_roles ur ON ur.user_id = u.id
+     JOIN role_permissions rp ON rp.role_id = ur.role_id
+     JOIN permissions p ON p.id = rp.permission_id
+     WHERE u.id=$1 AND u.status='active'
+     GROUP BY p.code
+     ORDER BY p.code`,
+    [userId]
+  );
+  return {
+    permissions: rows.map(r => r.code),
+    scopes: Object.fromEntries(rows.filter(r => !r.scopes.includes('all')).map(r => [r.code, r.scopes])),
+  };
+}
+
+// A role with its permission codes, their scopes (other than all) and member
+// count (null when missing)
+export async function loadRole(db, roleId) {
+  const { rows } = await db.query(
+    `SELECT r.id, r.name, r.created_at,
+            ARRAY(SELECT p.code FROM role_permissions rp JOIN permissions p ON p.id = rp.permission_id
+                  WHERE rp.role_id = r.id ORDER BY p.code) AS permissions,
+            COALESCE((SELECT jsonb_object_agg(p.code, rp.scope) FROM role_permissions rp
+                      JOIN permissions p ON p.id = rp.permission_id
+                      WHERE rp.role_id = r.id AND rp.scope <> 'all'), '{}') AS scopes,
+            (SELECT COUNT(*)::int FROM user_roles ur WHERE ur.role_id = r.id) AS users
+     FROM roles r WHERE r.id=$1`,
+    [roleId]
+  );
+  return rows[0] || null;
+}
+
+// A user's roles, for before/after snapshots and the admin screens
+export async function userRoles(db, userId) {
+  const { rows } = await db.query(
+    `SELECT r.id, r.name FROM user_roles ur JOIN roles r ON r.id = ur.role_id
+     WHERE ur.user_id=$1 ORDER BY r.name`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Replace a role's permissions with the given codes, each granted over
+ * scopes[code] (default all). Returns { error, code } when a code isn't a
+ * known permission or a scope isn't valid, else the role as loadRole().
+ */
+export async function setRolePermissions(db, roleId, codes, scopes = {}) {
+  const wanted = [...new Set(codes.map(c => String(c).trim().toUpperCase()).filter(Boolean))];
+  const { rows: known } = await db.query(`SELECT id, code FROM permissions WHERE code = ANY($1)`, [wanted]);
+  const unknown = wanted.filter(c => !known.some(k => k.code === c));
+  if (unknown.length) return { error: `Unknown permission(s): ${unknown.join(', ')}`, code: 400 };
+  const scopeOf = (code) => String(scopes[code] || 'all').trim();
+  const bad = wanted.filter(c => !SCOPE_RE.test(scopeOf(c)));
+  if (bad.length) return { error: `Invalid scope for ${bad.join(', ')}: use all, self, reports, subtree, location or location:<id>`, code: 400 };
+
+  await db.query(`DELETE FROM role_permissions WHERE role_id=$1 AND permission_id <> ALL($2::uuid[])`, [roleId, known.map(k => k.id)]);
+  await db.query(
+    `INSERT INTO role_permissions (role_id, permission_id, scope)
+     SELECT $1, p.id, p.scope FROM unnest($2::uuid[], $3::text[]) AS p(id, scope)
+     ON CONFLICT (role_id, permission_id) DO UPDATE SET scope = EXCLUDED.scope`,
+    [roleId, known.map(k => k.id), known.map(k => scopeOf(k.code))]
+  );
+  return loadRole(db, roleId);
+}
+
+// Active users who can still manage roles; a change leaving none is refused
+export async function roleManagerCount(db) {
+  const { rows } = await db.query(
+    `SELECT COUNT(DISTINCT u.id)::int AS n
+     FROM users u
+     JOIN user_roles ur ON ur.user_id = u.id
+     JOIN role_permissions rp ON rp.role_id = ur.role_id
+     JOIN permissions p ON p.id = rp.permission_id
+     WHERE p.code=$1 AND u.status='active'`,
+    [ROLE_MANAGE]
+  );
+  return rows[0].n;
+}
+
+/* ---------- permission codes used by the code ---------- */
+
+const CODE_USE_RE = /(?:requirePermission|hasPermission)\(\s*(?:req\s*,\s*)?'([A-Z_]+)'\s*\)/g;
+
+// Codes passed to requirePermission()/hasPermission() in a source file
+export function permissionCodesIn(source) {
+  return [...new Set([...source.matchAll(CODE_USE_RE)].map(m => m[1]))].sort();
+}
+
+// Codes listed in a permissions.csv seed (code,description)
+export function seededPermissionCodes(csvPath) {
+  return fs.readFileSync(csvPath, 'utf8').split(/\r?\n/).slice(1)
+    .map(line => line.split(',')[0].trim()).filter(Boolean);
+}
+
+// Of the given codes, those with no permissions row
+export async function missingPermissions(db, codes) {
+  const { rows } = await db.query(`SELECT code FROM permissions WHERE code = ANY($1)`, [codes]);
+  return codes.filter(c => !rows.some(r => r.code === c));
+}
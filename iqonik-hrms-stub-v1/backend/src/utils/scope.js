@@ -0,0 +1,67 @@
+// src/utils/scope.js
+// Data scopes. A role grants each permission over a scope
+// (role_permissions.scope):
+//   all       everyone
+//   self      the holder's own employee record
+//   reports   direct reports (employees.manager_id = the holder)
+//   subtree   the whole reporting line below the holder
+//   location  employees at the holder's own location; location:<id> at <id>
+// A user's scopes for a code are the union over their roles and travel in the
+// token (claims.scopes; a code missing there is unscoped, i.e. all, while a
+// token with no scopes claim at all predates scopes and gets no data). Routes
+// turn them into a condition on an employees row.
+
+export const SCOPE_RE = /^(all|self|reports|subtree|location(:[\w.-]+)?)$/;
+
+// Scopes the token grants for a code; null when the code isn't granted at all
+export function permissionScopes(user, code) {
+  const perms = Array.isArray(user?.permissions) ? user.permissions : [];
+  if (!perms.includes(code)) return null;
+  if (!user.scopes) return [];
+  return user.scopes[code] || ['all'];
+}
+
+// Employees below a manager (a user id), at any depth
+const subtree = (me) =>
+  `WITH RECURSIVE sub AS (
+     SELECT id, user_id FROM employees WHERE manager_id = ${me}
+     UNION
+     SELECT c.id, c.user_id FROM employees c JOIN sub ON c.manager_id = sub.user_id
+   ) SELECT id FROM sub`;
+
+/**
+ * SQL condition putting an employees row (alias) within the given scopes,
+ * with its parameters numbered after offset. Returns { sql, params }: TRUE
+ * for an unscoped grant, FALSE for none.
+ */
+export function scopeCondition(scopes, userId, { alias = 'e', offset = 0 } = {}) {
+  if (!scopes?.length) return { sql: 'FALSE', params: [] };
+  if (scopes.includes('all')) return { sql: 'TRUE', params: [] };
+  // every parameter must be referenced, so each is only added when used
+  const params = [];
+  const param = (v) => `$${offset + params.push(v)}`;
+  let me = null;
+  const self = () => (me ??= param(userId));
+  const parts = scopes.map((s) => {
+    if (s === 'self') return `${alias}.user_id = ${self()}`;
+    if (s === 'reports') return `${alias}.manager_id = ${self()}`;
+    if (s === 'subtree') return `${alias}.id IN (${subtree(self())})`;
+    if (s === 'location') return `${alias}.location_id = (SELECT location_id FROM employees WHERE user_id = ${self()} LIMIT 1)`;
+    if (s.startsWith('location:')) return `${alias}.location_id = ${param(s.slice('location:'.length))}`;
+    return 'FALSE';
+  });
+  return { sql: `(${parts.join(' OR ')})`, params };
+}
+
+// The condition for the caller's grant of a permission code
+export function employeeScope(user, code, opts) {
+  return scopeCondition(permissionScopes(user, code), user?.id, opts);
+}
+
+// Whether one employee is within the caller's scope for a code
+export async function inScope(db, user, code, employeeId) {
+  if (!employeeId) return false;
+  const { sql, params } = employeeScope(user, code, { offset: 1 });
+  const { rows } = await db.query(`SELECT 1 FROM employees e WHERE e.id = $1 AND ${sql}`, [employeeId, ...params]);
+  return rows.length > 0;
+}
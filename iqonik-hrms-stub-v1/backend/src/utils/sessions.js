@@ -0,0 +1,139 @@
+// src/utils/sessions.js
+// Sign-in sessions (auth_sessions). Login opens a session and hands out a
+// short-lived access token (a JWT carrying the session id, permissions and
+// scopes) plus an opaque refresh token. Refreshing rotates the refresh token
+// and re-reads the user's roles, so role changes apply from the next refresh;
+// authRequired checks the session on every request, so revoking it (logout,
+// an admin, deactivation) cuts access at once.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { tokenClaims } from './rbac.js';
+
+export const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES ?? 15);
+export const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS ?? 30);
+
+const hashToken = (t) => crypto.createHash('sha256').update(String(t)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const SESSION_COLUMNS = `id, device, ip, user_agent, created_at, last_used_at, expires_at, revoked_at, revoked_reason`;
+
+// Open a session for a user; returns { session, refreshToken }
+export async function createSession(db, { userId, device = null, ip = null, userAgent = null }) {
+  const refreshToken = newRefreshToken();
+  const { rows } = await db.query(
+    `INSERT INTO auth_sessions (user_id, refresh_hash, device, ip, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+     RETURNING ${SESSION_COLUMNS}, user_id`,
+    [userId, hashToken(refreshToken), device, ip, userAgent, REFRESH_TOKEN_DAYS]
+  );
+  return { session: rows[0], refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new one in the same session. Returns
+ * { error, code } for an unknown, expired or revoked token or an inactive
+ * user; a token that was already rotated away revokes the whole session
+ * (reused: true). Otherwise { session, refreshToken }.
+ */
+export async function rotateSession(db, refreshToken, { ip = null } = {}) {
+  const hash = hashToken(refreshToken);
+  const { rows } = await db.query(
+    `SELECT s.id, s.user_id, s.refresh_hash, s.expires_at < NOW() AS expired, s.revoked_at, u.status AS user_status
+     FROM auth_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.refresh_hash=$1 OR s.previous_hash=$1
+     FOR UPDATE OF s`,
+    [hash]
+  );
+  if (!rows.length) return { error: 'Invalid refresh token', code: 401 };
+  const s = rows[0];
+  if (s.revoked_at) return { error: 'Session revoked', code: 401 };
+  if (s.refresh_hash !== hash) {
+    await revokeSessions(db, { sessionId: s.id, reason: 'refresh_reuse' });
+    return { error: 'Refresh token already used; the session has been revoked', code: 401, reused: true, session: s };
+  }
+  if (s.expired) return { error: 'Session expired', code: 401 };
+  if (s.user_status !== 'active') {
+    await revokeSessions(db, { sessionId: s.id, reason: 'user_inactive' });
+    return { error: 'Account is not active', code: 401 };
+  }
+
+  const next = newRefreshToken();
+  const { rows: updated } = await db.query(
+    `UPDATE auth_sessions
+     SET previous_hash=refresh_hash, refresh_hash=$2, last_used_at=NOW(), ip=COALESCE($3, ip)
+     WHERE id=$1
+     RETURNING ${SESSION_COLUMNS}, user_id`,
+    [s.id, hashToken(next), ip]
+  );
+  return { session: updated[0], refreshToken: next };
+}
+
+/**
+ * Access + refresh tokens for a session, with the user's current roles.
+ * Returns { token, refresh_token, expires_in, user }.
+ */
+export async function issueTokens(db, session, refreshToken) {
+  const { rows } = await db.query(
+    `SELECT u.id, u.name, u.email, u.must_change_password, e.id AS emp_id
+     FROM users u LEFT JOIN employees e ON e.user_id = u.id
+     WHERE u.id=$1`,
+    [session.user_id]
+  );
+  const user = rows[0];
+  const { permissions, scopes } = await tokenClaims(db, user.id);
+  const token = jwt.sign(
+    { id: user.id, empId: user.emp_id, sid: session.id, permissions, scopes },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_MINUTES * 60 }
+  );
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_MINUTES * 60,
+    user: {
+      id: user.id, empId: user.emp_id, name: user.name, email: user.email, permissions, scopes,
+      must_change_password: user.must_change_password,
+    },
+  };
+}
+
+/**
+ * Revoke one session (sessionId) or every open session of a user (userId,
+ * optionally all but keepSessionId). Returns the revoked sessions.
+ */
+export async function revokeSessions(db, { sessionId = null, userId = null, keepSessionId = null, reason = 'revoked' }) {
+  if (!sessionId && !userId) throw new Error('revokeSessions needs a sessionId or userId');
+  const { rows } = await db.query(
+    `UPDATE auth_sessions SET revoked_at=NOW(), revoked_reason=$4
+     WHERE revoked_at IS NULL
+       AND ($1::uuid IS NULL OR id = $1)
+       AND ($2::uuid IS NULL OR user_id = $2)
+       AND ($3::uuid IS NULL OR id <> $3)
+     RETURNING ${SESSION_COLUMNS}, user_id`,
+    [sessionId, userId, keepSessionId, reason]
+  );
+  return rows;
+}
+
+// An access token's session if it is still good (open, unexpired, its user
+// active), with whether the user still has to change their password; else null
+export async function activeSession(db, sessionId, userId) {
+  const { rows } = await db.query(
+    `SELECT s.id, u.must_change_password FROM auth_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id=$1 AND s.user_id=$2 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.status='active'`,
+    [sessionId, userId]
+  );
+  return rows[0] || null;
+}
+
+// A user's sessions, newest first (open ones only unless all)
+export async function listSessions(db, userId, { all = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM auth_sessions
+     WHERE user_id=$1 AND ($2 OR (revoked_at IS NULL AND expires_at > NOW()))
+     ORDER BY last_used_at DESC`,
+    [userId, all]
+  );
+  return rows;
+}
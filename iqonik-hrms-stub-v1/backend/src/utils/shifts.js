@@ -0,0 +1,185 @@
+// src/utils/shifts.js
+// Shifts and rosters. A roster assigns a shift to one employee or to a
+// manager's whole team for a date range; an employee-level roster beats the
+// team one, and without either the default shift applies. A shift whose end is
+// not after its start runs overnight and ends the next day.
+
+// Used when no shift is marked default
+export const DEFAULT_SHIFT = {
+  id: null,
+  code: 'GEN',
+  name: 'General',
+  start_time: process.env.OFFICE_START_TIME || '09:30',
+  end_time: process.env.OFFICE_END_TIME || '18:30',
+  grace_minutes: Number(process.env.LATE_GRACE_MINUTES ?? 15),
+  early_exit_grace_minutes: 0,
+  half_day_minutes: 240,
+  overtime_after_minutes: 30,
+};
+
+const MINUTE = 60_000;
+const at = (date, hhmm) => Date.parse(`${date}T${String(hhmm).slice(0, 5)}:00Z`);
+const hhmmToMinutes = (t) => {
+  const [h, m] = String(t).split(':').map(Number);
+  return h * 60 + m;
+};
+
+export const isNightShift = (shift) => hhmmToMinutes(shift.end_time) <= hhmmToMinutes(shift.start_time);
+
+/**
+ * Flags for one day. inAt/outAt are 'YYYY-MM-DDTHH:MM:SS' wall-clock strings
+ * (or null). Lateness/early exit only count once past their grace; overtime
+ * only once past overtime_after_minutes; half_day when worked time is short.
+ */
+export function evaluateShiftDay(shift, date, inAt, outAt) {
+  const start = at(date, shift.start_time);
+  let end = at(date, shift.end_time);
+  if (end <= start) end += 24 * 60 * MINUTE;
+  const tIn = inAt ? Date.parse(inAt + 'Z') : null;
+  const tOut = outAt ? Date.parse(outAt + 'Z') : null;
+
+  const late = tIn == null ? 0 : Math.max(0, Math.round((tIn - start) / MINUTE));
+  const early = tOut == null ? 0 : Math.max(0, Math.round((end - tOut) / MINUTE));
+  const extra = tOut == null ? 0 : Math.max(0, Math.round((tOut - end) / MINUTE));
+  const worked = tIn != null && tOut != null ? Math.max(0, Math.round((tOut - tIn) / MINUTE)) : null;
+
+  return {
+    late_minutes: late > Number(shift.grace_minutes) ? late : 0,
+    early_exit_minutes: early > Number(shift.early_exit_grace_minutes) ? early : 0,
+    overtime_minutes: extra >= Number(shift.overtime_after_minutes) ? extra : 0,
+    worked_minutes: worked,
+    half_day: worked != null && worked < Number(shift.half_day_minutes),
+  };
+}
+
+export async function defaultShift(db) {
+  const { rows } = await db.query(
+    `SELECT * FROM shifts WHERE is_default AND active ORDER BY created_at LIMIT 1`
+  );
+  return rows[0] || DEFAULT_SHIFT;
+}
+
+/**
+ * Shift per employee per date over [from, to]:
+ * { [employee_id]: { [YYYY-MM-DD]: shift } }
+ * `employees` rows need id and manager_id.
+ */
+export async function loadRoster(db, employees, dates) {
+  if (!employees.length || !dates.length) return {};
+  const from = dates[0], to = dates[dates.length - 1];
+  const { rows } = await db.query(
+    `SELECT r.employee_id, r.manager_id,
+            to_char(r.from_date, 'YYYY-MM-DD') AS from_date,
+            to_char(r.to_date, 'YYYY-MM-DD') AS to_date,
+            s.*
+     FROM shift_rosters r
+     JOIN shifts s ON s.id = r.shift_id
+     WHERE (r.employee_id = ANY($1::uuid[]) OR r.manager_id = ANY($2::uuid[]))
+       AND r.from_date <= $4::date AND (r.to_date IS NULL OR r.to_date >= $3::date)
+     ORDER BY r.from_date DESC, r.created_at DESC`,
+    [employees.map(e => e.id), employees.map(e => e.manager_id).filter(Boolean), from, to]
+  );
+  const fallback = await defaultShift(db);
+  const covers = (r, d) => r.from_date <= d && (!r.to_date || r.to_date >= d);
+
+  const out = {};
+  for (const emp of employees) {
+    const own = rows.filter(r => r.employee_id === emp.id);
+    const team = rows.filter(r => !r.employee_id && emp.manager_id && r.manager_id === emp.manager_id);
+    out[emp.id] = {};
+    for (const d of dates) {
+      const r = own.find(x => covers(x, d)) || team.find(x => covers(x, d));
+      if (!r) { out[emp.id][d] = fallback; continue; }
+      const { employee_id, manager_id, from_date, to_date, ...shift } = r;
+      out[emp.id][d] = shift;
+    }
+  }
+  return out;
+}
+
+/**
+ * Recompute shift flags on attendance_days rows with a punch for the given
+ * employees and dates (after a punch, a regularization or a roster change).
+ * Returns the flags written, one entry per row.
+ */
+export async function recomputeShiftFlags(db, employeeIds, from, to) {
+  const { rows } = await db.query(
+    `SELECT a.id, a.employee_id, to_char(a.date, 'YYYY-MM-DD') AS date,
+            to_char(a.in_time, 'YYYY-MM-DD"T"HH24:MI:SS') AS in_at,
+            to_char(a.out_time, 'YYYY-MM-DD"T"HH24:MI:SS') AS out_at,
+            e.manager_id
+     FROM attendance_days a
+     JOIN employees e ON e.id = a.employee_id
+     WHERE a.employee_id = ANY($1::uuid[]) AND a.date BETWEEN $2::date AND $3::date
+       AND a.in_time IS NOT NULL`,
+    [employeeIds, from, to]
+  );
+  if (!rows.length) return [];
+
+  const emps = [...new Map(rows.map(r => [r.employee_id, { id: r.employee_id, manager_id: r.manager_id }])).values()];
+  const dates = [...new Set(rows.map(r => r.date))].sort();
+  const roster = await loadRoster(db, emps, dates);
+
+  const out = [];
+  for (const r of rows) {
+    const shift = roster[r.employee_id][r.date];
+    const f = evaluateShiftDay(shift, r.date, r.in_at, r.out_at);
+    await db.query(
+      `UPDATE attendance_days
+       SET shift_id=$2, late_minutes=$3, early_exit_minutes=$4, overtime_minutes=$5,
+           worked_minutes=$6, half_day=$7
+       WHERE id=$1`,
+      [r.id, shift.id, f.late_minutes, f.early_exit_minutes, f.overtime_minutes, f.worked_minutes, f.half_day]
+    );
+    out.push({ employee_id: r.employee_id, date: r.date, shift: shift.code, ...f });
+  }
+  return out;
+}
+
+// Shift fields the flags are computed from
+export const SHIFT_TIMING_FIELDS = [
+  'start_time', 'end_time', 'grace_minutes', 'early_exit_grace_minutes', 'half_day_minutes', 'overtime_after_minutes',
+];
+
+/**
+ * Recompute flags on punched days that were evaluated against any of the
+ * given shifts (unassigned: also days on the built-in DEFAULT_SHIFT), outside
+ * posted payroll months. For when a shift's timing changes or the default
+ * moves. Returns how many days were redone.
+ */
+export async function recomputeShiftDays(db, shiftIds, { unassigned = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT employee_id, to_char(MIN(date), 'YYYY-MM-DD') AS from_date, to_char(MAX(date), 'YYYY-MM-DD') AS to_date
+     FROM attendance_days
+     WHERE in_time IS NOT NULL AND (shift_id = ANY($1::uuid[]) OR ($2 AND shift_id IS NULL))
+       AND to_char(date, 'YYYY-MM') NOT IN (SELECT period FROM payroll_runs WHERE status='posted')
+     GROUP BY employee_id`,
+    [shiftIds, unassigned]
+  );
+  let days = 0;
+  for (const r of rows) days += (await recomputeShiftFlags(db, [r.employee_id], r.from_date, r.to_date)).length;
+  return days;
+}
+
+/**
+ * Attendance date for a punch-in at `now` ('YYYY-MM-DDTHH:MM:SS'). Normally
+ * today; a late arrival after midnight for yesterday's night shift belongs to
+ * yesterday.
+ */
+export async function punchWorkDate(db, employee, now) {
+  const today = now.slice(0, 10);
+  const d = new Date(today + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() - 1);
+  const yesterday = d.toISOString().slice(0, 10);
+
+  const roster = await loadRoster(db, [employee], [yesterday]);
+  const shift = roster[employee.id][yesterday];
+  if (isNightShift(shift) && now.slice(11, 16) < String(shift.end_time).slice(0, 5)) {
+    const { rows } = await db.query(
+      `SELECT in_time FROM attendance_days WHERE employee_id=$1 AND date=$2::date`,
+      [employee.id, yesterday]
+    );
+    if (!rows[0]?.in_time) return yesterday;
+  }
+  return today;
+}
@@ -0,0 +1,161 @@
+// src/utils/statutory.js
+// Indian statutory deductions (PF, ESI, PT, TDS) for a payroll line.
+// Rates and slabs live in src/data/statutory/FY<yyyy>-<yy>.json, one file per
+// financial year, so a new FY only needs a new data file.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'statutory');
+const cache = new Map();
+
+const rupee = (n) => Math.round(Number(n) || 0);
+
+// '2025-07' -> '2025-26', '2026-02' -> '2025-26'
+export function financialYear(period) {
+  const [y, m] = period.split('-').map(Number);
+  const start = m >= 4 ? y : y - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+// First period of the FY and how many months (incl. this one) remain till March
+export function fyPosition(period) {
+  const [y, m] = period.split('-').map(Number);
+  const startYear = m >= 4 ? y : y - 1;
+  return {
+    fyStart: `${startYear}-04`,
+    monthsRemaining: m >= 4 ? 12 - (m - 4) : 4 - m,
+  };
+}
+
+const rulesFile = (fy) => path.join(RULES_DIR, `FY${fy}.json`);
+
+// { error, code } when the period's FY has no rule file, else null. Another
+// year's rates would compute every deduction wrong, so there is no fallback.
+export function missingRules(period) {
+  const fy = financialYear(period);
+  if (cache.has(fy) || fs.existsSync(rulesFile(fy))) return null;
+  return { error: `No statutory rules for FY ${fy}; add src/data/statutory/FY${fy}.json`, code: 422 };
+}
+
+// Rules for the period's FY; throws when there are none (see missingRules)
+export function loadRules(period) {
+  const fy = financialYear(period);
+  if (cache.has(fy)) return cache.get(fy);
+
+  const missing = missingRules(period);
+  if (missing) throw new Error(missing.error);
+  const rules = JSON.parse(fs.readFileSync(rulesFile(fy), 'utf8'));
+  cache.set(fy, rules);
+  return rules;
+}
+
+/* ---------- PF ---------- */
+// pf_base is the monthly PF wage; 0 means the employee is not PF-covered
+export function computePF(rules, pfBase, factor) {
+  const base = Number(pfBase) || 0;
+  if (base <= 0) return { employee: 0, employer_epf: 0, employer_eps: 0 };
+
+  const wage = Math.min(base * factor, rules.pf.wage_ceiling);
+  const employee = rupee(wage * rules.pf.employee_rate);
+  const employerTotal = rupee(wage * rules.pf.employer_rate);
+  const eps = Math.min(rupee(wage * rules.pf.eps_rate), employerTotal);
+  return { employee, employer_epf: employerTotal - eps, employer_eps: eps };
+}
+
+/* ---------- ESI ---------- */
+// Coverage is decided on the full monthly wage, contribution on what is paid
+export function computeESI(rules, applicable, fullGross, gross) {
+  if (!applicable || fullGross > rules.esi.wage_ceiling || gross <= 0) return { employee: 0, employer: 0 };
+  return {
+    employee: Math.ceil(gross * rules.esi.employee_rate),
+    employer: Math.ceil(gross * rules.esi.employer_rate),
+  };
+}
+
+/* ---------- Professional Tax ---------- */
+export function computePT(rules, ptState, gross, period) {
+  if (!ptState) return 0;
+  const key = String(ptState).trim().toUpperCase();
+  const state = rules.pt.aliases?.[key] || key;
+  const slabs = rules.pt.slabs[state];
+  if (!slabs) return 0;
+
+  const slab = slabs.find(s => s.upto === null || gross <= s.upto);
+  if (!slab) return 0;
+  const isFebruary = period.endsWith('-02');
+  return isFebruary && slab.february != null ? slab.february : slab.amount;
+}
+
+/* ---------- Income tax ---------- */
+export function annualTax(rules, regime, taxable) {
+  const r = rules.tds.regimes[regime];
+  let tax = 0;
+  let lower = 0;
+  for (const s of r.slabs) {
+    const upper = s.upto === null ? Infinity : s.upto;
+    if (taxable > lower) tax += (Math.min(taxable, upper) - lower) * s.rate;
+    lower = upper;
+  }
+
+  if (r.rebate && taxable <= r.rebate.income_limit) {
+    tax = Math.max(0, tax - r.rebate.max);
+  } else if (r.rebate?.marginal_relief) {
+    // tax payable can't exceed the income earned above the rebate limit
+    tax = Math.min(tax, taxable - r.rebate.income_limit);
+  }
+
+  const surcharge = [...(r.surcharge || [])].reverse().find(s => taxable > s.above);
+  if (surcharge) tax += tax * surcharge.rate;
+
+  return rupee(tax * (1 + rules.tds.cess_rate));
+}
+
+/**
+ * Monthly TDS: project the FY's income as YTD actuals + this month + the full
+ * monthly CTC for the months left, compute the annual tax and spread what is
+ * still unpaid across the remaining months.
+ */
+export function computeTDS(rules, { period, regime, gross, fullGross, pf, fullPf, pt, ytd }) {
+  const reg = rules.tds.regimes[regime] ? regime : rules.tds.default_regime;
+  const r = rules.tds.regimes[reg];
+  const { monthsRemaining } = fyPosition(period);
+  const future = monthsRemaining - 1;
+
+  const projectedGross = ytd.gross + gross + fullGross * future;
+  let exemptions = r.standard_deduction;
+  if (r.sec80c_cap) exemptions += Math.min(r.sec80c_cap, ytd.pf + pf + fullPf * future);
+  if (r.pt_deductible) exemptions += ytd.pt + pt * monthsRemaining;
+
+  const taxable = Math.max(0, projectedGross - exemptions);
+  const tax = annualTax(rules, reg, taxable);
+  const monthly = Math.max(0, rupee((tax - ytd.tds) / monthsRemaining));
+  return { regime: reg, projected_taxable: rupee(taxable), annual_tax: tax, monthly };
+}
+
+/**
+ * Fill deductions (and employer contributions) for one payroll line.
+ * `earnings` are this month's prorated amounts, `ctc` the ctc_structures row,
+ * `ytd` the employee's posted totals earlier in the FY.
+ */
+export function computeStatutory({ period, ctc, earnings, factor, ytd }) {
+  const rules = loadRules(period);
+  const gross = Object.values(earnings).reduce((a, v) => a + Number(v || 0), 0);
+  const fullGross = Number(ctc.basic) + Number(ctc.hra) + Number(ctc.special);
+
+  const pf = computePF(rules, ctc.pf_base, factor);
+  const fullPf = computePF(rules, ctc.pf_base, 1).employee;
+  const esi = computeESI(rules, ctc.esi_applicable, fullGross, gross);
+  const pt = computePT(rules, ctc.pt_state, gross, period);
+  const tds = computeTDS(rules, {
+    period, regime: ctc.tax_regime, gross, fullGross, pf: pf.employee, fullPf, pt,
+    ytd: { gross: 0, pf: 0, pt: 0, tds: 0, ...ytd },
+  });
+
+  return {
+    fy: rules.fy,
+    deductions: { pf: pf.employee, esi: esi.employee, pt, tds: tds.monthly },
+    employer: { pf_epf: pf.employer_epf, pf_eps: pf.employer_eps, esi: esi.employer },
+    tax: { regime: tds.regime, projected_taxable: tds.projected_taxable, annual_tax: tds.annual_tax },
+  };
+}
@@ -0,0 +1,112 @@
+// src/utils/yearEnd.js
+// Year-end leave close: for each active employee and leave type, the closing
+// balance is carried into next year (up to the policy cap), encashed if the
+// policy allows, and lapsed otherwise. Encashment is paid through the payroll
+// run for the payout period as the `leave_encashment` earning.
+import { leaveBalances, resolvePolicies } from './leavePolicy.js';
+
+// Encashment day rate = monthly basic / ENCASH_DAYS_PER_MONTH
+export const ENCASH_DAYS_PER_MONTH = 30;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Split a closing balance per policy:
+ *   carry_forward — keep up to carry_forward_cap (NULL = no cap, 0 = nothing)
+ *   encashable    — pay out what isn't carried
+ *   otherwise     — lapse
+ */
+export function splitClosing(policy, closing) {
+  const bal = Math.max(0, round2(closing));
+  const cap = policy.carry_forward_cap == null ? Infinity : Number(policy.carry_forward_cap);
+  const carried = policy.carry_forward ? Math.min(bal, cap) : 0;
+  const rest = round2(bal - carried);
+  return {
+    closing: bal,
+    carried_forward: carried,
+    encashed_days: policy.encashable ? rest : 0,
+    lapsed: policy.encashable ? 0 : rest,
+  };
+}
+
+/**
+ * Dry run for a year: one row per employee × leave type plus totals and
+ * warnings (pending leave in the year, missing CTC for encashment).
+ */
+export async function computeYearEnd(db, year, payoutPeriod = `${year + 1}-01`) {
+  const yearEnd = `${year}-12-31`;
+  const { rows: emps } = await db.query(
+    `SELECT e.id, e.code, u.name, c.basic
+     FROM employees e
+     JOIN users u ON u.id = e.user_id
+     LEFT JOIN LATERAL (
+       SELECT basic FROM ctc_structures
+       WHERE employee_id = e.id AND effective_from <= $1::date
+       ORDER BY effective_from DESC
+       LIMIT 1
+     ) c ON true
+     WHERE e.status = 'active' AND (e.doj IS NULL OR e.doj <= $1::date)
+     ORDER BY e.code`,
+    [yearEnd]
+  );
+
+  const rows = [];
+  const warnings = [];
+  for (const emp of emps) {
+    const { policies } = await resolvePolicies(db, emp.id);
+    const balances = await leaveBalances(db, emp.id, yearEnd);
+    const dayRate = emp.basic == null ? null : round2(Number(emp.basic) / ENCASH_DAYS_PER_MONTH);
+
+    for (const b of balances) {
+      const split = splitClosing(policies[b.type], b.remaining);
+      if (split.encashed_days > 0 && dayRate == null)
+        warnings.push(`${emp.code}: no CTC on file, ${b.type} encashment of ${split.encashed_days} day(s) paid as 0`);
+      rows.push({
+        employee_id: emp.id,
+        employee_code: emp.code,
+        employee_name: emp.name,
+        leave_type: b.type,
+        ...split,
+        day_rate: dayRate || 0,
+        encash_amount: round2(split.encashed_days * (dayRate || 0)),
+      });
+    }
+  }
+
+  const { rows: pending } = await db.query(
+    `SELECT COUNT(*)::int AS n FROM leaves
+     WHERE status = 'pending' AND start_date <= $2::date AND end_date >= $1::date`,
+    [`${year}-01-01`, yearEnd]
+  );
+  if (pending[0].n) warnings.unshift(`${pending[0].n} leave request(s) in ${year} are still pending`);
+
+  const totals = rows.reduce((t, r) => ({
+    carried_forward: round2(t.carried_forward + r.carried_forward),
+    encashed_days: round2(t.encashed_days + r.encashed_days),
+    encash_amount: round2(t.encash_amount + r.encash_amount),
+    lapsed: round2(t.lapsed + r.lapsed),
+  }), { carried_forward: 0, encashed_days: 0, encash_amount: 0, lapsed: 0 });
+
+  return { year, payout_period: payoutPeriod, rows, totals, warnings, pending_leaves: pending[0].n };
+}
+
+// Persist a computed close; run inside a transaction
+export async function applyYearEnd(db, report, userId) {
+  const { rows } = await db.query(
+    `INSERT INTO leave_year_closures (year, payout_period, closed_by, totals_json)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, year, payout_period, closed_at`,
+    [report.year, report.payout_period, userId, report.totals]
+  );
+  const closure = rows[0];
+  for (const r of report.rows) {
+    await db.query(
+      `INSERT INTO leave_year_balances (closure_id, employee_id, year, leave_type, closing,
+                                        carried_forward, encashed_days, encash_amount, lapsed, payout_period)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [closure.id, r.employee_id, report.year, r.leave_type, r.closing,
+       r.carried_forward, r.encashed_days, r.encash_amount, r.lapsed, report.payout_period]
+    );
+  }
+  return closure;
+}
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { auditCsvRows, auditFilters, recordAudit, redact } from '../src/utils/audit.js';
+
+// Captures the INSERT recordAudit runs
+const fakeDb = () => {
+  const calls = [];
+  return { calls, query: async (sql, params) => { calls.push({ sql, params }); return { rows: [] }; } };
+};
+
+test('credentials and personal identifiers are masked at any depth', () => {
+  assert.deepEqual(redact({
+    password: 'x', refresh_token: 'y',
+    after: { name: 'A', aadhaar: '1234 5678 9012', pan: 'ABCDE1234F', account_number: '001122', ifsc: 'HDFC0001' },
+    list: [{ aadhar_no: '1' }],
+  }), {
+    password: '***', refresh_token: '***',
+    after: { name: 'A', aadhaar: '***', pan: '***', account_number: '***', ifsc: 'HDFC0001' },
+    list: [{ aadhar_no: '***' }],
+  });
+  assert.deepEqual(redact({ company: 'Iqonik', expand: true }), { company: 'Iqonik', expand: true });
+});
+
+test('recordAudit keeps a non-UUID target as target_ref and marks the request audited', async () => {
+  const db = fakeDb();
+  const req = { user: { id: 'u1' }, ip: '10.0.0.1', method: 'POST', originalUrl: '/api/payroll/runs?x=1' };
+  await recordAudit(db, { req, action: 'payroll.run', targetType: 'payroll_run', targetId: '2025-04', meta: { otp: '123456' } });
+  const [actor, action, type, target, meta] = db.calls[0].params;
+  assert.deepEqual([actor, action, type, target], ['u1', 'payroll.run', 'payroll_run', null]);
+  assert.deepEqual(meta, { otp: '***', target_ref: '2025-04', ip: '10.0.0.1', route: 'POST /api/payroll/runs' });
+  assert.equal(req.audited, true);
+});
+
+test('CSV cells that a spreadsheet would run as formulas are neutralised', () => {
+  const csv = auditCsvRows([{
+    ts: '2025-04-01T00:00:00.000Z', actor_email: '=HYPERLINK("http://x")', actor_name: '+1', action: '@SUM(A1)',
+    target_type: '-2', target_id: null, meta_json: { a: 1 },
+  }]);
+  assert.equal(csv, `2025-04-01T00:00:00.000Z,"'=HYPERLINK(""http://x"")",'+1,'@SUM(A1),'-2,,"{""a"":1}"\r\n`);
+});
+
+test('audit filters become a parameterised WHERE clause', () => {
+  const { sql, params } = auditFilters({ actor: 'hr@example.com', action: 'leave', from: '2025-04-01', to: 'bad' });
+  assert.equal(sql, `WHERE lower(u.email) = lower($1) AND (a.action = $2 OR a.action LIKE $2 || '.%') AND a.ts >= $3::date`);
+  assert.deepEqual(params, ['hr@example.com', 'leave', '2025-04-01']);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { debitAccountError, prepareTransfers, renderBankFile, validateTransfer } from '../src/utils/bankfile.js';
+
+const line = (over = {}) => ({
+  employee_id: 'e1', employee_code: 'E001', email: 'a@x.in', employee_name: 'Asha Rao',
+  bank_doc_id: 'd1', bank_status: 'approved', net_pay: '45000.50',
+  bank: { account_holder: 'Asha Rao', account_number: '1234 5678 9012', ifsc: 'hdfc0001234' },
+  ...over,
+});
+const opts = { period: '2025-07', valueDate: '2025-07-31', debitAccount: '998877665544' };
+
+test('transfers are normalised and get a payment mode', () => {
+  const [t] = prepareTransfers([line()], opts);
+  assert.equal(t.account_number, '123456789012');
+  assert.equal(t.ifsc, 'HDFC0001234');
+  assert.equal(t.mode, 'NEFT');
+  assert.deepEqual(t.issues, []);
+  assert.equal(prepareTransfers([line({ net_pay: '250000' })], opts)[0].mode, 'RTGS');
+});
+
+test('unverified or malformed bank details are flagged', () => {
+  const [t] = prepareTransfers([line({ bank_status: 'pending', bank: { account_number: '12', ifsc: 'X' } })], opts);
+  assert.deepEqual(t.issues, ['bank details not verified', 'invalid account number', 'invalid IFSC']);
+  assert.deepEqual(validateTransfer({ ...t, bank_doc_id: null, bank_status: 'approved' }).slice(0, 1), ['no bank document on file']);
+});
+
+test('a missing or malformed debit account is an error', () => {
+  assert.match(debitAccountError(''), /not set/);
+  assert.match(debitAccountError('ABC'), /not a valid/);
+  assert.equal(debitAccountError('998877665544'), null);
+});
+
+test('CSV cells that start like a formula are neutralised', () => {
+  const [t] = prepareTransfers([line({ bank: { account_holder: '=HYPERLINK("http://x")', account_number: '123456789', ifsc: 'HDFC0001234' } })], opts);
+  const { body } = renderBankFile('csv', [t]);
+  const row = body.split('\r\n')[1];
+  assert.ok(row.startsWith(`NEFT,"'=HYPERLINK(""http://x"")",123456789,`));
+  assert.ok(!/,[=+\-@]/.test(row.replace(/"'[^"]*"/g, '')));
+});
+
+test('fixed-width records are 150 characters with the amount in paise', () => {
+  const [t] = prepareTransfers([line()], opts);
+  const { body } = renderBankFile('fixed_width', [t]);
+  const rec = body.split('\r\n')[0];
+  assert.equal(rec.length, 150);
+  assert.equal(rec.slice(86, 101), '000000004500050');
+  assert.equal(rec.slice(101, 109), '31072025');
+});
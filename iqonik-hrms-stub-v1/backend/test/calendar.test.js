@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  addDays, isIsoDate, isWeeklyOff, parseHolidayCsv, periodBounds, periodDates, workingDates,
+} from '../src/utils/calendar.js';
+
+test('only real dates are ISO dates', () => {
+  assert.ok(isIsoDate('2024-02-29'));
+  for (const d of ['2025-02-29', '2025-02-30', '2025-13-01', '2025-7-01', '', undefined]) assert.ok(!isIsoDate(d), String(d));
+});
+
+test('periods and date arithmetic stay in UTC', () => {
+  assert.equal(periodDates('2024-02').length, 29);
+  assert.deepEqual(periodBounds('2025-04'), { first: '2025-04-01', last: '2025-04-30' });
+  assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+  assert.equal(addDays('2025-03-01', -1), '2025-02-28');
+});
+
+test('weekly-off patterns pick the nth weekday of the month', () => {
+  const pattern = { 0: [1, 2, 3, 4, 5], 6: [2, 4] };
+  assert.ok(isWeeklyOff('2025-07-06', pattern)); // Sunday
+  assert.ok(!isWeeklyOff('2025-07-05', pattern)); // 1st Saturday
+  assert.ok(isWeeklyOff('2025-07-12', pattern)); // 2nd Saturday
+  const calendar = { pattern, holidays: new Set(['2025-07-14']) };
+  assert.deepEqual(workingDates(calendar, '2025-07-11', '2025-07-15'), ['2025-07-11', '2025-07-15']);
+});
+
+test('holiday CSV rows are checked for date, year and name', () => {
+  const csv = [
+    'date,name,location_id,optional',
+    '2025-01-26,Republic Day,,no',
+    '2025-03-14,"Holi, colours",HYD,yes',
+    '2025-02-30,Bad date,,',
+    '2024-12-25,Christmas,,',
+    '2025-08-15,,,',
+  ].join('\n');
+  const { rows, errors } = parseHolidayCsv(csv, 2025);
+  assert.deepEqual(rows, [
+    { date: '2025-01-26', name: 'Republic Day', location_id: null, optional: false },
+    { date: '2025-03-14', name: 'Holi, colours', location_id: 'HYD', optional: true },
+  ]);
+  assert.deepEqual(errors, ['line 4: invalid date', 'line 5: 2024-12-25 is not in 2025', 'line 6: name is required']);
+  assert.deepEqual(parseHolidayCsv('name\nX', 2025).errors, ['CSV header must include date,name']);
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  checkUpload, decryptFile, encryptFile, isEncrypted, readDocumentFile, saveDocumentFile, storedPath,
+} from '../src/utils/docStorage.js';
+
+process.env.DOCUMENT_KEY = 'test-document-key';
+
+const pdf = Buffer.from('%PDF-1.4\n% test document\n');
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(8)]);
+
+test('a saved document is encrypted on disk and reads back as written', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-'));
+  try {
+    const url = saveDocumentFile(root, 'emp1', 'pan_1', pdf);
+    assert.equal(url, '/uploads/emp1/pan_1.enc');
+    const raw = fs.readFileSync(path.join(root, 'emp1', 'pan_1.enc'));
+    assert.ok(isEncrypted(raw));
+    assert.equal(raw.includes(pdf), false);
+
+    const file = readDocumentFile(root, url);
+    assert.deepEqual(file.data, pdf);
+    assert.equal(file.format.mime, 'application/pdf');
+    assert.equal(readDocumentFile(root, '/uploads/emp1/missing.enc'), null);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a tampered file fails to decrypt; a plaintext one passes through', () => {
+  const enc = encryptFile(pdf);
+  enc[enc.length - 1] ^= 1;
+  assert.throws(() => decryptFile(enc));
+  assert.deepEqual(decryptFile(pdf), pdf);
+});
+
+test('uploads are accepted by their bytes, not their name', () => {
+  assert.equal(checkUpload('pan', pdf).format.ext, '.pdf');
+  assert.equal(checkUpload('photo', png).format.mime, 'image/png');
+  assert.match(checkUpload('photo', pdf).error, /^photo: unsupported file/);
+  assert.match(checkUpload('bank', Buffer.from('<html><script>x</script>')).error, /^bank: unsupported file/);
+});
+
+test('storedPath stays inside the upload root', () => {
+  const root = path.join(os.tmpdir(), 'uploads');
+  assert.equal(storedPath(root, '/uploads/emp1/pan_1.enc'), path.join(root, 'emp1', 'pan_1.enc'));
+  assert.equal(storedPath(root, '/uploads/../secrets.txt'), null);
+  assert.equal(storedPath(root, '/uploads/emp1/../../etc/passwd'), null);
+  assert.equal(storedPath(root, '/etc/passwd'), null);
+  assert.equal(storedPath(root, null), null);
+});
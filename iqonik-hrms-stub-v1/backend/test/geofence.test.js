@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  QR_WINDOW_SECONDS, checkGeofence, currentQrCode, ipInRanges, validCidr, verifyQrCode,
+} from '../src/utils/geofence.js';
+
+const office = { latitude: 17.4, longitude: 78.4, radius_m: 200 };
+
+test('geofence: inside and outside the radius', () => {
+  // ~0.001 deg latitude is ~111 m
+  assert.deepEqual(checkGeofence(office, 17.401, 78.4), { ok: true, distance_m: 111 });
+  assert.equal(checkGeofence(office, 17.402, 78.4).ok, false);
+  assert.deepEqual(checkGeofence({ radius_m: 200 }, 17.4, 78.4), { ok: false, distance_m: null });
+});
+
+test('CIDRs: prefixes over /32 and malformed addresses are rejected', () => {
+  for (const c of ['10.0.0.0/8', '192.168.1.10', '0.0.0.0/0', '10.1.2.3/32']) assert.ok(validCidr(c), c);
+  for (const c of ['10.0.0.0/33', '10.0.0.0/99', '256.1.1.1/24', '10.0.0/24', '10.0.0.0/8/1', '::1/128']) assert.ok(!validCidr(c), c);
+});
+
+test('IP ranges match IPv4 and IPv4-mapped addresses, ignoring invalid ranges', () => {
+  assert.ok(ipInRanges('10.20.30.40', ['10.0.0.0/8']));
+  assert.ok(ipInRanges('::ffff:192.168.1.7', ['192.168.1.0/24']));
+  assert.ok(!ipInRanges('192.168.2.7', ['192.168.1.0/24']));
+  assert.ok(!ipInRanges('192.168.2.7', ['192.168.1.0/99']));
+  assert.ok(!ipInRanges('not-an-ip', ['0.0.0.0/0']));
+});
+
+test('QR codes are valid for the current and previous window only', () => {
+  const now = 1_700_000_000_000;
+  const { code } = currentQrCode('HYD', 'secret', now);
+  const later = (windows) => now + windows * QR_WINDOW_SECONDS * 1000;
+  assert.ok(verifyQrCode(code, 'HYD', 'secret', now));
+  assert.ok(verifyQrCode(code, 'HYD', 'secret', later(1)));
+  assert.ok(!verifyQrCode(code, 'HYD', 'secret', later(2)));
+  assert.ok(!verifyQrCode(code, 'BLR', 'secret', now));
+  assert.ok(!verifyQrCode(code, 'HYD', 'other', now));
+  assert.ok(!verifyQrCode(code.slice(0, -1) + 'x', 'HYD', 'secret', now));
+});
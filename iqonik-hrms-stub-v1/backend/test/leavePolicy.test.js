@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  entitlement, findLeaveConflict, leaveDayCharges, remainingSegments, sessionFraction,
+} from '../src/utils/leavePolicy.js';
+import { DEFAULT_WEEKLY_OFFS } from '../src/utils/calendar.js';
+
+const calendar = { pattern: DEFAULT_WEEKLY_OFFS, holidays: new Set(['2025-07-07']) };
+const leave = (start_date, end_date, session = 'full', hours = null, status = 'approved') =>
+  ({ id: `${start_date}-${session}`, type: 'CL', start_date, end_date, session, hours, status });
+
+test('a half day is 0.5, hours are a share of the working day', () => {
+  assert.equal(sessionFraction('full'), 1);
+  assert.equal(sessionFraction('first_half'), 0.5);
+  assert.equal(sessionFraction('hours', 2), 0.25);
+  assert.equal(sessionFraction('hours', 20), 1);
+});
+
+test('leave is charged on working days only', () => {
+  // Fri 4th, Sat 5th; Sunday 6th is off and Monday 7th a holiday
+  assert.deepEqual(leaveDayCharges(leave('2025-07-04', '2025-07-07'), calendar),
+    [{ date: '2025-07-04', fraction: 1 }, { date: '2025-07-05', fraction: 1 }]);
+});
+
+test('overlapping leave conflicts unless the partial days still fit', () => {
+  const full = leave('2025-07-10', '2025-07-11');
+  assert.equal(findLeaveConflict([full], leave('2025-07-11', '2025-07-11', 'first_half')), full);
+  assert.equal(findLeaveConflict([full], leave('2025-07-12', '2025-07-12')), null);
+  const morning = leave('2025-07-14', '2025-07-14', 'first_half');
+  assert.equal(findLeaveConflict([morning], leave('2025-07-14', '2025-07-14', 'second_half')), null);
+  assert.equal(findLeaveConflict([morning], leave('2025-07-14', '2025-07-14', 'first_half')), morning);
+  assert.equal(findLeaveConflict([morning], leave('2025-07-14', '2025-07-14', 'hours', 6)), morning);
+  assert.equal(findLeaveConflict([morning], leave('2025-07-14', '2025-07-14', 'hours', 4)), null);
+});
+
+test('cancelling part of a leave leaves the days on either side', () => {
+  const l = leave('2025-07-01', '2025-07-10');
+  assert.deepEqual(remainingSegments(l, '2025-07-04', '2025-07-05'), [
+    { start_date: '2025-07-01', end_date: '2025-07-03' },
+    { start_date: '2025-07-06', end_date: '2025-07-10' },
+  ]);
+  assert.deepEqual(remainingSegments(l, '2025-07-01', '2025-07-10'), []);
+});
+
+test('entitlement is prorated by joining month and accrues monthly', () => {
+  const annual = { yearly_allocation: 12, accrual: 'annual', prorate_on_join: true };
+  assert.deepEqual(entitlement(annual, { doj: '2020-01-01', year: 2025, asOf: '2025-07-01' }), { allocated: 12, accrued: 12 });
+  // joining after the 15th starts from the next month: Aug..Dec
+  assert.deepEqual(entitlement(annual, { doj: '2025-07-20', year: 2025, asOf: '2025-07-20' }), { allocated: 5, accrued: 5 });
+  const monthly = { ...annual, accrual: 'monthly' };
+  assert.deepEqual(entitlement(monthly, { doj: '2020-01-01', year: 2025, asOf: '2025-03-01' }), { allocated: 12, accrued: 3 });
+  assert.deepEqual(entitlement(monthly, { doj: '2026-01-01', year: 2025, asOf: '2025-03-01' }), { allocated: 0, accrued: 0 });
+});
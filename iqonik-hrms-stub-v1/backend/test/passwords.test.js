@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { issuePasswordLink, mailPasswordLink, passwordProblems, validatePassword } from '../src/utils/passwords.js';
+
+const asha = { email: 'asha.rao@example.com', name: 'Asha Rao' };
+
+test('a long password mixing three character classes passes', () => {
+  assert.deepEqual(passwordProblems('Tiger-moth-42', asha), []);
+  assert.equal(validatePassword('Tiger-moth-42', asha), null);
+});
+
+test('short, single-class and over-long passwords are reported', () => {
+  assert.deepEqual(passwordProblems('Ab1!', asha), ['at least 10 characters']);
+  assert.deepEqual(passwordProblems('lowercaseonly', asha), ['three of: lowercase letters, uppercase letters, digits, symbols']);
+  assert.ok(passwordProblems('Aa1!' + 'x'.repeat(70), asha).includes('at most 72 bytes'));
+});
+
+test('common words, the name and the email are refused', () => {
+  const rule = 'no common words, your name or your email';
+  assert.deepEqual(passwordProblems('Welcome-2025', asha), [rule]);
+  assert.deepEqual(passwordProblems('Asha-is-1-fan', asha), [rule]);
+  assert.deepEqual(passwordProblems('x-ASHA.RAO-9y', asha), [rule]);
+});
+
+test('validatePassword wraps the problems as a 400', () => {
+  const bad = validatePassword('short', asha);
+  assert.equal(bad.code, 400);
+  assert.match(bad.error, /^Password needs at least 10 characters; /);
+  assert.equal(bad.problems.length, 2);
+});
+
+test('a link is only issued with APP_BASE_URL, and carries its message', async () => {
+  const queries = [];
+  const db = {
+    query: async (sql) => {
+      queries.push(sql);
+      if (sql.includes('FROM users')) return { rows: [{ id: 'u1', name: 'Asha Rao', email: asha.email }] };
+      if (sql.includes('INSERT INTO password_tokens')) return { rows: [{ id: 't1', expires_at: '2025-04-01T01:00:00Z' }] };
+      return { rows: [] };
+    },
+  };
+  delete process.env.APP_BASE_URL;
+  assert.equal((await issuePasswordLink(db, 'u1', 'reset')).code, 503);
+  assert.equal(queries.length, 0);
+
+  process.env.APP_BASE_URL = 'https://hr.example.com/';
+  const link = await issuePasswordLink(db, 'u1', 'reset');
+  assert.equal(link.token_id, 't1');
+  assert.equal(link.message.to, asha.email);
+  assert.match(link.message.text, /https:\/\/hr\.example\.com\/set-password\.html\?purpose=reset&token=[\w-]{43}\n/);
+});
+
+test('mailing a link that cannot be sent returns null instead of throwing', async () => {
+  const saved = process.env.MAIL_TRANSPORT;
+  process.env.MAIL_TRANSPORT = 'nowhere';
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(await mailPasswordLink({ token_id: 't1', message: { to: 'a@example.com', subject: 's', text: 't' } }), null);
+  } finally {
+    console.error = error;
+    if (saved === undefined) delete process.env.MAIL_TRANSPORT; else process.env.MAIL_TRANSPORT = saved;
+  }
+});
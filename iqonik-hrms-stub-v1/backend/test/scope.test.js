@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SCOPE_RE, employeeScope, permissionScopes, scopeCondition } from '../src/utils/scope.js';
+
+test('scopes come from the token; a granted code without one is unscoped', () => {
+  const user = { id: 'u1', permissions: ['HR_VIEW', 'LEAVE_APPROVE'], scopes: { LEAVE_APPROVE: ['reports'] } };
+  assert.deepEqual(permissionScopes(user, 'LEAVE_APPROVE'), ['reports']);
+  assert.deepEqual(permissionScopes(user, 'HR_VIEW'), ['all']);
+  assert.equal(permissionScopes(user, 'PAYROLL_RUN'), null);
+});
+
+test('a token from before scopes gets no data', () => {
+  const legacy = { id: 'u1', permissions: ['HR_VIEW'] };
+  assert.deepEqual(permissionScopes(legacy, 'HR_VIEW'), []);
+  assert.deepEqual(employeeScope(legacy, 'HR_VIEW'), { sql: 'FALSE', params: [] });
+});
+
+test('all short-circuits to TRUE and nothing to FALSE', () => {
+  assert.deepEqual(scopeCondition(['reports', 'all'], 'u1'), { sql: 'TRUE', params: [] });
+  assert.deepEqual(scopeCondition([], 'u1'), { sql: 'FALSE', params: [] });
+  assert.deepEqual(scopeCondition(null, 'u1'), { sql: 'FALSE', params: [] });
+});
+
+test('the user id is bound once and numbered after the offset', () => {
+  const { sql, params } = scopeCondition(['self', 'reports'], 'u1', { alias: 'x', offset: 2 });
+  assert.equal(sql, '(x.user_id = $3 OR x.manager_id = $3)');
+  assert.deepEqual(params, ['u1']);
+});
+
+test('a named location is its own parameter; the user id is only added when used', () => {
+  const { sql, params } = scopeCondition(['location:BLR-1'], 'u1');
+  assert.equal(sql, '(e.location_id = $1)');
+  assert.deepEqual(params, ['BLR-1']);
+
+  const both = scopeCondition(['location:BLR-1', 'subtree'], 'u1', { offset: 1 });
+  assert.match(both.sql, /^\(e\.location_id = \$2 OR e\.id IN \(WITH RECURSIVE sub AS/);
+  assert.match(both.sql, /WHERE manager_id = \$3/);
+  assert.deepEqual(both.params, ['BLR-1', 'u1']);
+});
+
+test('an unknown scope matches nothing', () => {
+  assert.deepEqual(scopeCondition(['team'], 'u1'), { sql: '(FALSE)', params: [] });
+  assert.equal(SCOPE_RE.test('team'), false);
+  assert.equal(SCOPE_RE.test('location:HYD_2'), true);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateShiftDay, isNightShift } from '../src/utils/shifts.js';
+
+const day = {
+  start_time: '09:30', end_time: '18:30', grace_minutes: 15, early_exit_grace_minutes: 0,
+  half_day_minutes: 240, overtime_after_minutes: 30,
+};
+const night = { ...day, start_time: '22:00', end_time: '06:00' };
+
+test('a shift ending at or before its start runs overnight', () => {
+  assert.equal(isNightShift(day), false);
+  assert.equal(isNightShift(night), true);
+});
+
+test('lateness only counts once past the grace', () => {
+  assert.equal(evaluateShiftDay(day, '2025-04-01', '2025-04-01T09:45:00', null).late_minutes, 0);
+  assert.equal(evaluateShiftDay(day, '2025-04-01', '2025-04-01T09:46:00', null).late_minutes, 16);
+});
+
+test('early exit, overtime and worked minutes come from the out punch', () => {
+  const early = evaluateShiftDay(day, '2025-04-01', '2025-04-01T09:30:00', '2025-04-01T18:00:00');
+  assert.equal(early.early_exit_minutes, 30);
+  assert.equal(early.overtime_minutes, 0);
+  assert.equal(early.worked_minutes, 510);
+  assert.equal(early.half_day, false);
+
+  assert.equal(evaluateShiftDay(day, '2025-04-01', '2025-04-01T09:30:00', '2025-04-01T18:59:00').overtime_minutes, 0);
+  assert.equal(evaluateShiftDay(day, '2025-04-01', '2025-04-01T09:30:00', '2025-04-01T19:00:00').overtime_minutes, 30);
+});
+
+test('short worked time is a half day', () => {
+  const r = evaluateShiftDay(day, '2025-04-01', '2025-04-01T09:30:00', '2025-04-01T13:00:00');
+  assert.equal(r.worked_minutes, 210);
+  assert.equal(r.half_day, true);
+});
+
+test('a night shift ends the next morning', () => {
+  const r = evaluateShiftDay(night, '2025-04-01', '2025-04-01T22:00:00', '2025-04-02T06:45:00');
+  assert.equal(r.late_minutes, 0);
+  assert.equal(r.early_exit_minutes, 0);
+  assert.equal(r.overtime_minutes, 45);
+  assert.equal(r.worked_minutes, 525);
+});
+
+test('without an out punch only lateness is known', () => {
+  assert.deepEqual(evaluateShiftDay(day, '2025-04-01', '2025-04-01T10:00:00', null), {
+    late_minutes: 30, early_exit_minutes: 0, overtime_minutes: 0, worked_minutes: null, half_day: false,
+  });
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  annualTax, computeESI, computePF, computePT, financialYear, fyPosition, loadRules, missingRules,
+} from '../src/utils/statutory.js';
+
+const rules = loadRules('2025-07');
+
+test('financial year and position of a period', () => {
+  assert.equal(financialYear('2025-04'), '2025-26');
+  assert.equal(financialYear('2026-03'), '2025-26');
+  assert.deepEqual(fyPosition('2025-04'), { fyStart: '2025-04', monthsRemaining: 12 });
+  assert.deepEqual(fyPosition('2026-03'), { fyStart: '2025-04', monthsRemaining: 1 });
+});
+
+test('a financial year without a rule file is an error, not another year', () => {
+  assert.equal(missingRules('2025-07'), null);
+  assert.equal(missingRules('2039-05').code, 422);
+  assert.throws(() => loadRules('2039-05'), /No statutory rules for FY 2039-40/);
+});
+
+test('PF is capped at the wage ceiling and splits the employer share', () => {
+  assert.deepEqual(computePF(rules, 20000, 1), { employee: 1800, employer_epf: 550, employer_eps: 1250 });
+  assert.deepEqual(computePF(rules, 10000, 0.5), { employee: 600, employer_epf: 183, employer_eps: 417 });
+  assert.deepEqual(computePF(rules, 0, 1), { employee: 0, employer_epf: 0, employer_eps: 0 });
+});
+
+test('ESI coverage follows the full wage, contribution the paid one', () => {
+  assert.deepEqual(computeESI(rules, true, 20000, 10000), { employee: 75, employer: 325 });
+  assert.deepEqual(computeESI(rules, true, 25000, 10000), { employee: 0, employer: 0 });
+  assert.deepEqual(computeESI(rules, false, 20000, 20000), { employee: 0, employer: 0 });
+});
+
+test('professional tax by state slab, with the February amount', () => {
+  assert.equal(computePT(rules, 'MH', 9000, '2025-07'), 175);
+  assert.equal(computePT(rules, 'Maharashtra', 30000, '2025-07'), 200);
+  assert.equal(computePT(rules, 'MH', 30000, '2026-02'), 300);
+  assert.equal(computePT(rules, 'XX', 30000, '2025-07'), 0);
+  assert.equal(computePT(rules, null, 30000, '2025-07'), 0);
+});
+
+test('annual tax applies the rebate and marginal relief', () => {
+  assert.equal(annualTax(rules, 'new', 1200000), 0);
+  // 61,500 before relief, capped at the 10,000 earned over the limit, plus cess
+  assert.equal(annualTax(rules, 'new', 1210000), 10400);
+  assert.equal(annualTax(rules, 'old', 500000), 0);
+  assert.equal(annualTax(rules, 'old', 600000), Math.round(32500 * 1.04));
+});
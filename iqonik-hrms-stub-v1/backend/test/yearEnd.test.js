@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { splitClosing } from '../src/utils/yearEnd.js';
+
+const policy = (over) => ({ carry_forward: false, carry_forward_cap: null, encashable: false, ...over });
+
+test('without carry forward or encashment the balance lapses', () => {
+  assert.deepEqual(splitClosing(policy(), 4.5), { closing: 4.5, carried_forward: 0, encashed_days: 0, lapsed: 4.5 });
+});
+
+test('carry forward keeps up to the cap; no cap keeps everything', () => {
+  assert.deepEqual(splitClosing(policy({ carry_forward: true, carry_forward_cap: 30 }), 42),
+    { closing: 42, carried_forward: 30, encashed_days: 0, lapsed: 12 });
+  assert.deepEqual(splitClosing(policy({ carry_forward: true }), 42),
+    { closing: 42, carried_forward: 42, encashed_days: 0, lapsed: 0 });
+});
+
+test('a cap of 0 carries nothing', () => {
+  assert.deepEqual(splitClosing(policy({ carry_forward: true, carry_forward_cap: 0 }), 10),
+    { closing: 10, carried_forward: 0, encashed_days: 0, lapsed: 10 });
+  assert.deepEqual(splitClosing(policy({ carry_forward: true, carry_forward_cap: '0.0' }), 10).carried_forward, 0);
+});
+
+test('what is not carried is encashed when the policy allows it', () => {
+  assert.deepEqual(splitClosing(policy({ carry_forward: true, carry_forward_cap: '5.0', encashable: true }), 8.25),
+    { closing: 8.25, carried_forward: 5, encashed_days: 3.25, lapsed: 0 });
+});
+
+test('a negative closing balance closes at zero', () => {
+  assert.deepEqual(splitClosing(policy({ encashable: true }), -2), { closing: 0, carried_forward: 0, encashed_days: 0, lapsed: 0 });
+});
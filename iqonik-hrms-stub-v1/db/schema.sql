@@ -8,10 +8,79 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT UNIQUE NOT NULL,
   phone TEXT,
   status TEXT NOT NULL DEFAULT 'active',
+  password_hash TEXT NULL, -- bcrypt; NULL = can't sign in with a password
+  password_changed_at TIMESTAMP NULL,
+  must_change_password BOOLEAN NOT NULL DEFAULT FALSE, -- set by whoever chose it for them; cleared when they change it
+  failed_logins INT NOT NULL DEFAULT 0, -- consecutive; the limit locks the account until locked_until
+  locked_until TIMESTAMP NULL,
   last_login_at TIMESTAMP NULL,
   created_at TIMESTAMP NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
+-- databases created before password sign-in moved to users
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS password_hash TEXT NULL,
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS failed_logins INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP NULL;
+-- bcrypt hashes kept by earlier versions (employees.password from the legacy
+-- server, users.password from reset.sql) carry over when those columns exist
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'employees' AND column_name = 'password') THEN
+    EXECUTE $q$
+      UPDATE users SET password_hash = e.password
+      FROM employees e
+      WHERE e.user_id = users.id AND users.password_hash IS NULL AND e.password ~ '^\$2[aby]\$'
+    $q$;
+  END IF;
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'password') THEN
+    EXECUTE $q$
+      UPDATE users SET password_hash = password
+      WHERE password_hash IS NULL AND password ~ '^\$2[aby]\$'
+    $q$;
+  END IF;
+END; $$;
+
+-- Sign-in sessions, one per login (device). The refresh token rotates on every
+-- use; only hashes are stored, and presenting the one it replaced again
+-- (a stolen, replayed token) revokes the session.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_hash TEXT NOT NULL,
+  previous_hash TEXT NULL,
+  device TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NULL,
+  revoked_reason TEXT NULL -- logout | revoked | user_inactive | refresh_reuse | password_change | password_reset
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_sessions_refresh ON auth_sessions(refresh_hash);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous ON auth_sessions(previous_hash) WHERE previous_hash IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- Emailed one-time links for setting a password: activation (a new account
+-- chooses its first one) or reset (forgot password). Only hashes are stored;
+-- issuing a link voids the user's earlier unused ones of the same purpose.
+CREATE TABLE IF NOT EXISTS password_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('activation','reset')),
+  token_hash TEXT NOT NULL,
+  created_by UUID NULL REFERENCES users(id), -- NULL = the user asked for it
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_password_tokens_hash ON password_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_password_tokens_user ON password_tokens(user_id, purpose) WHERE used_at IS NULL;
 
 CREATE TABLE IF NOT EXISTS roles (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -25,11 +94,39 @@ CREATE TABLE IF NOT EXISTS permissions (
   description TEXT NOT NULL
 );
 
+-- scope: which employees the grant covers (all | self | reports | subtree | location | location:<id>)
 CREATE TABLE IF NOT EXISTS role_permissions (
   role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
   permission_id UUID NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+  scope TEXT NOT NULL DEFAULT 'all' CHECK (scope ~ '^(all|self|reports|subtree|location(:[A-Za-z0-9_.-]+)?)$'),
   PRIMARY KEY (role_id, permission_id)
 );
+-- databases created before scopes: the seeded roles get their scopes from
+-- db/seed/role_permissions.csv (and seed_hrms.sql's Manager); any other grant
+-- keeps covering everyone, as it did before
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND table_name = 'role_permissions' AND column_name = 'scope') THEN
+    ALTER TABLE role_permissions ADD COLUMN
+      scope TEXT NOT NULL DEFAULT 'all' CHECK (scope ~ '^(all|self|reports|subtree|location(:[A-Za-z0-9_.-]+)?)$');
+    UPDATE role_permissions rp SET scope = v.scope
+    FROM (VALUES
+      ('People Manager', 'EMPLOYEE_VIEW', 'subtree'),
+      ('People Manager', 'ATTENDANCE_APPROVE', 'reports'),
+      ('People Manager', 'INCENTIVE_APPROVE', 'subtree'),
+      ('People Manager', 'DOCUMENT_VIEW', 'subtree'),
+      ('People Manager', 'LEAVE_APPROVE', 'reports'),
+      ('Manager', 'ATTENDANCE_APPROVE', 'reports'),
+      ('Manager', 'LEAVE_APPROVE', 'reports'),
+      ('Employee', 'ATTENDANCE_PUNCH', 'self'),
+      ('Employee', 'DOCUMENT_VIEW', 'self')
+    ) AS v(role_name, permission_code, scope)
+    JOIN roles r ON r.name = v.role_name
+    JOIN permissions p ON p.code = v.permission_code
+    WHERE rp.role_id = r.id AND rp.permission_id = p.id;
+  END IF;
+END; $$;
 
 CREATE TABLE IF NOT EXISTS user_roles (
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -50,6 +147,9 @@ CREATE TABLE IF NOT EXISTS employees (
   created_at TIMESTAMP NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
+-- data scopes walk the reporting line and filter by location
+CREATE INDEX IF NOT EXISTS idx_employees_manager ON employees(manager_id);
+CREATE INDEX IF NOT EXISTS idx_employees_location ON employees(location_id);
 
 -- CTC structure
 CREATE TABLE IF NOT EXISTS ctc_structures (
@@ -66,6 +166,41 @@ CREATE TABLE IF NOT EXISTS ctc_structures (
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+-- Shifts; end_time <= start_time means the shift ends the next day (night shift)
+CREATE TABLE IF NOT EXISTS shifts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  grace_minutes INT NOT NULL DEFAULT 15, -- late only after start + grace
+  early_exit_grace_minutes INT NOT NULL DEFAULT 0,
+  half_day_minutes INT NOT NULL DEFAULT 240, -- worked less than this = half day
+  overtime_after_minutes INT NOT NULL DEFAULT 30, -- overtime counts once past end + this
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shifts_one_default ON shifts(is_default) WHERE is_default;
+
+-- Roster: a shift for one employee, or for every direct report of manager_id (team).
+-- Employee rows win over team rows; open-ended when to_date is NULL.
+CREATE TABLE IF NOT EXISTS shift_rosters (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  employee_id UUID NULL REFERENCES employees(id) ON DELETE CASCADE,
+  manager_id UUID NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_date DATE NOT NULL,
+  to_date DATE NULL,
+  created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK ((employee_id IS NULL) <> (manager_id IS NULL)),
+  CHECK (to_date IS NULL OR to_date >= from_date)
+);
+CREATE INDEX IF NOT EXISTS idx_shift_rosters_employee ON shift_rosters(employee_id, from_date);
+CREATE INDEX IF NOT EXISTS idx_shift_rosters_manager ON shift_rosters(manager_id, from_date);
+
 -- Attendance
 CREATE TABLE IF NOT EXISTS attendance_days (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -75,11 +210,73 @@ CREATE TABLE IF NOT EXISTS attendance_days (
   out_time TIMESTAMP NULL,
   source TEXT, -- gps | qr | web | ip
   geofence_ok BOOLEAN,
-  status TEXT DEFAULT 'present', -- present | absent | leave | wfh
+  status TEXT DEFAULT 'present', -- present | absent | leave | partial_leave | wfh
+  leave_fraction NUMERIC(4,2) NOT NULL DEFAULT 0, -- share of the day on approved leave (0.5 = half day)
+  punch_meta JSONB NOT NULL DEFAULT '{}'::jsonb, -- { in: {source, lat, lng, ip, distance_m}, out: {...} }
+  -- shift flags (src/utils/shifts.js); NULL until the day has a punch
+  shift_id UUID NULL REFERENCES shifts(id) ON DELETE SET NULL,
+  late_minutes INT NULL,
+  early_exit_minutes INT NULL,
+  overtime_minutes INT NULL,
+  worked_minutes INT NULL,
+  half_day BOOLEAN NOT NULL DEFAULT false,
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
+-- databases created before leave fractions, punch details and shift flags
+ALTER TABLE attendance_days
+  ADD COLUMN IF NOT EXISTS leave_fraction NUMERIC(4,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS punch_meta JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS shift_id UUID NULL REFERENCES shifts(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS late_minutes INT NULL,
+  ADD COLUMN IF NOT EXISTS early_exit_minutes INT NULL,
+  ADD COLUMN IF NOT EXISTS overtime_minutes INT NULL,
+  ADD COLUMN IF NOT EXISTS worked_minutes INT NULL,
+  ADD COLUMN IF NOT EXISTS half_day BOOLEAN NOT NULL DEFAULT false;
 CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_unique ON attendance_days(employee_id, date);
 
+-- Holidays; NULL location_id = company-wide. Optional holidays don't reduce working days.
+CREATE TABLE IF NOT EXISTS holidays (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  location_id TEXT NULL,
+  date DATE NOT NULL,
+  name TEXT NOT NULL,
+  optional BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_holidays_unique ON holidays (COALESCE(location_id, ''), date);
+
+-- Attendance corrections; original_json keeps the attendance_days values replaced on approval
+CREATE TABLE IF NOT EXISTS attendance_regularizations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  requested_in TIMESTAMP NOT NULL,
+  requested_out TIMESTAMP NOT NULL,
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  approver_id UUID NULL REFERENCES users(id),
+  decision_note TEXT,
+  decided_at TIMESTAMP NULL,
+  original_json JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regularization_pending
+  ON attendance_regularizations(employee_id, date) WHERE status = 'pending';
+
+-- Office locations (employees.location_id) with punch geofence settings
+CREATE TABLE IF NOT EXISTS office_locations (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  latitude NUMERIC(9,6),
+  longitude NUMERIC(9,6),
+  radius_m INT NOT NULL DEFAULT 200,
+  ip_ranges TEXT[] NOT NULL DEFAULT '{}', -- IPv4 CIDRs allowed for 'ip' punches
+  qr_secret TEXT NOT NULL, -- HMAC key for the rotating office QR code
+  weekly_off_json JSONB NOT NULL DEFAULT '{"0":[1,2,3,4,5]}'::jsonb, -- day-of-week -> nth occurrences off
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
 -- Leaves
 CREATE TABLE IF NOT EXISTS leaves (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -87,11 +284,147 @@ CREATE TABLE IF NOT EXISTS leaves (
   type TEXT NOT NULL, -- CL | SL | PL etc
   start_date DATE NOT NULL,
   end_date DATE NOT NULL,
-  status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  session TEXT NOT NULL DEFAULT 'full', -- full | first_half | second_half | hours (partial sessions are single-day)
+  hours NUMERIC(4,2) NULL, -- only for session = 'hours'
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | rejected | withdrawn | cancelled
   approver_id UUID NULL REFERENCES users(id),
   reason TEXT,
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
+-- databases created before partial-day leave
+ALTER TABLE leaves
+  ADD COLUMN IF NOT EXISTS session TEXT NOT NULL DEFAULT 'full',
+  ADD COLUMN IF NOT EXISTS hours NUMERIC(4,2) NULL;
+
+-- Approval chains: which steps a leave goes through (see src/utils/leaveApproval.js)
+-- steps: 'manager' | 'skip_manager' | 'role:<role name>'; applies when leave days > over_days
+CREATE TABLE IF NOT EXISTS leave_approval_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  leave_type TEXT NULL, -- NULL = any type
+  over_days NUMERIC(6,2) NOT NULL DEFAULT 0,
+  steps TEXT[] NOT NULL,
+  sla_hours INT NOT NULL DEFAULT 48,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_approval_rules_scope
+  ON leave_approval_rules (COALESCE(leave_type, ''), over_days);
+
+-- One row per step of a leave's chain; an escalated step is kept and re-issued as a new row
+CREATE TABLE IF NOT EXISTS leave_approvals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  leave_id UUID NOT NULL REFERENCES leaves(id) ON DELETE CASCADE,
+  step INT NOT NULL,
+  kind TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting', -- waiting | pending | approved | rejected | escalated | skipped
+  approver_id UUID NULL REFERENCES users(id),
+  role_id UUID NULL REFERENCES roles(id),
+  sla_hours INT NOT NULL DEFAULT 48,
+  due_at TIMESTAMP NULL,
+  acted_by UUID NULL REFERENCES users(id),
+  on_behalf_of UUID NULL REFERENCES users(id), -- set when a delegate acted
+  note TEXT,
+  escalated_from UUID NULL REFERENCES leave_approvals(id),
+  decided_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_leave_approvals_leave ON leave_approvals(leave_id, step);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_approvals_open
+  ON leave_approvals(leave_id, step) WHERE status = 'pending';
+-- Leaves already pending before approval chains get a single manager step;
+-- with no manager on file it goes to the fallback role (LEAVE_FALLBACK_ROLE,
+-- 'HR Admin' by default), as resolveStep() does
+INSERT INTO leave_approvals (leave_id, step, kind, status, approver_id, role_id, due_at)
+SELECT l.id, 1, 'manager', 'pending', e.manager_id,
+       CASE WHEN e.manager_id IS NULL THEN (SELECT id FROM roles WHERE name = 'HR Admin') END,
+       NOW() + interval '48 hours'
+FROM leaves l
+JOIN employees e ON e.id = l.employee_id
+WHERE l.status = 'pending'
+  AND NOT EXISTS (SELECT 1 FROM leave_approvals a WHERE a.leave_id = l.id);
+-- and steps an earlier backfill left with nobody to act on them
+UPDATE leave_approvals SET role_id = (SELECT id FROM roles WHERE name = 'HR Admin')
+WHERE status = 'pending' AND approver_id IS NULL AND role_id IS NULL;
+
+-- Approver away: delegate_id acts for user_id between the dates (inclusive)
+CREATE TABLE IF NOT EXISTS approval_delegations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  delegate_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (user_id <> delegate_id),
+  CHECK (end_date >= start_date)
+);
+CREATE INDEX IF NOT EXISTS idx_approval_delegations_delegate ON approval_delegations(delegate_id, start_date, end_date);
+
+-- Cancellation of (part of) an approved leave; the leave is trimmed/split on approval
+CREATE TABLE IF NOT EXISTS leave_cancellations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  leave_id UUID NOT NULL REFERENCES leaves(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  approver_id UUID NULL REFERENCES users(id),
+  decision_note TEXT,
+  decided_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_cancellation_pending
+  ON leave_cancellations(leave_id) WHERE status = 'pending';
+
+-- Leave policies: role and/or location scoped; both NULL = company default
+CREATE TABLE IF NOT EXISTS leave_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  role_id UUID NULL REFERENCES roles(id) ON DELETE CASCADE,
+  location_id TEXT NULL,
+  leave_type TEXT NOT NULL, -- CL | SL | PL etc (matches leaves.type)
+  yearly_allocation NUMERIC(5,1) NOT NULL,
+  accrual TEXT NOT NULL DEFAULT 'annual' CHECK (accrual IN ('annual','monthly')),
+  prorate_on_join BOOLEAN NOT NULL DEFAULT true, -- prorate by doj in the joining year
+  carry_forward BOOLEAN NOT NULL DEFAULT false,
+  carry_forward_cap NUMERIC(5,1) NULL, -- days kept at year end; NULL = no cap
+  encashable BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+-- the cap was NOT NULL DEFAULT 0 before NULL meant no cap; 0 still carries nothing
+ALTER TABLE leave_policies ALTER COLUMN carry_forward_cap DROP NOT NULL, ALTER COLUMN carry_forward_cap DROP DEFAULT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_policies_scope
+  ON leave_policies (COALESCE(role_id::text, ''), COALESCE(location_id, ''), leave_type);
+
+-- Year-end leave close (one per year); leave_year_balances holds the outcome per
+-- employee and type. carried_forward opens next year's balance; encash_amount is
+-- paid as an earning in payout_period's payroll run.
+CREATE TABLE IF NOT EXISTS leave_year_closures (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  year INT NOT NULL UNIQUE,
+  payout_period TEXT NOT NULL, -- YYYY-MM
+  closed_by UUID NULL REFERENCES users(id),
+  totals_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+  closed_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS leave_year_balances (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  closure_id UUID NOT NULL REFERENCES leave_year_closures(id) ON DELETE CASCADE,
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  year INT NOT NULL,
+  leave_type TEXT NOT NULL,
+  closing NUMERIC(6,2) NOT NULL,
+  carried_forward NUMERIC(6,2) NOT NULL DEFAULT 0,
+  encashed_days NUMERIC(6,2) NOT NULL DEFAULT 0,
+  encash_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  lapsed NUMERIC(6,2) NOT NULL DEFAULT 0,
+  payout_period TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_year_balances_unique
+  ON leave_year_balances(employee_id, year, leave_type);
+CREATE INDEX IF NOT EXISTS idx_leave_year_balances_payout ON leave_year_balances(payout_period);
 
 -- Incentives
 CREATE TABLE IF NOT EXISTS incentives (
@@ -101,9 +434,16 @@ CREATE TABLE IF NOT EXISTS incentives (
   amount NUMERIC(12,2) NOT NULL,
   reason TEXT,
   status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  proposed_by UUID NULL REFERENCES users(id),
   approved_by UUID NULL REFERENCES users(id),
+  decided_at TIMESTAMP NULL,
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
+-- databases created before the propose/approve split
+ALTER TABLE incentives
+  ADD COLUMN IF NOT EXISTS proposed_by UUID NULL REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP NULL;
+CREATE INDEX IF NOT EXISTS idx_incentives_month ON incentives(month, status);
 
 -- Payroll
 CREATE TABLE IF NOT EXISTS payroll_runs (
@@ -120,9 +460,133 @@ CREATE TABLE IF NOT EXISTS payroll_lines (
   employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
   earnings_json JSONB NOT NULL DEFAULT '{}'::jsonb,
   deductions_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+  attendance_json JSONB NOT NULL DEFAULT '{}'::jsonb, -- working/paid/lop days used for proration
+  statutory_json JSONB NOT NULL DEFAULT '{}'::jsonb, -- FY rules used, employer PF/ESI, TDS projection
   net_pay NUMERIC(12,2) NOT NULL DEFAULT 0,
   PRIMARY KEY (run_id, employee_id)
 );
+-- databases created before attendance proration and statutory deductions
+ALTER TABLE payroll_lines
+  ADD COLUMN IF NOT EXISTS attendance_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS statutory_json JSONB NOT NULL DEFAULT '{}'::jsonb;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_period ON payroll_runs(period);
+
+-- Posted runs are immutable: block any change to the run or its lines
+CREATE OR REPLACE FUNCTION payroll_posted_guard()
+RETURNS TRIGGER AS $$
+DECLARE rid UUID;
+BEGIN
+  IF TG_TABLE_NAME = 'payroll_runs' THEN
+    IF OLD.status = 'posted' THEN
+      RAISE EXCEPTION 'payroll run % is posted and cannot be modified', OLD.id;
+    END IF;
+  ELSE
+    rid := CASE WHEN TG_OP = 'INSERT' THEN NEW.run_id ELSE OLD.run_id END;
+    IF EXISTS (SELECT 1 FROM payroll_runs WHERE id = rid AND status = 'posted') THEN
+      RAISE EXCEPTION 'payroll run % is posted and cannot be modified', rid;
+    END IF;
+  END IF;
+  RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_payroll_runs_posted ON payroll_runs;
+CREATE TRIGGER trg_payroll_runs_posted BEFORE UPDATE OR DELETE ON payroll_runs
+FOR EACH ROW EXECUTE PROCEDURE payroll_posted_guard();
+
+DROP TRIGGER IF EXISTS trg_payroll_lines_posted ON payroll_lines;
+CREATE TRIGGER trg_payroll_lines_posted BEFORE INSERT OR UPDATE OR DELETE ON payroll_lines
+FOR EACH ROW EXECUTE PROCEDURE payroll_posted_guard();
+
+-- Monthly attendance rollup per employee (built by src/utils/attendance.js).
+-- Changes to attendance_days, approved leaves, holidays, an office's weekly
+-- offs or an employee's location / joining / leaving dates mark the affected
+-- rows stale so a refresh only recomputes those employees.
+CREATE TABLE IF NOT EXISTS attendance_monthly (
+  employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+  month TEXT NOT NULL, -- YYYY-MM
+  working_days INT NOT NULL DEFAULT 0,
+  eligible_days INT NOT NULL DEFAULT 0, -- working days within doj..dol
+  present_days INT NOT NULL DEFAULT 0,
+  wfh_days INT NOT NULL DEFAULT 0,
+  absent_days INT NOT NULL DEFAULT 0,
+  leave_days NUMERIC(5,2) NOT NULL DEFAULT 0,
+  leaves_by_type JSONB NOT NULL DEFAULT '{}'::jsonb, -- { "CL": 1.5, ... }
+  late_marks INT NOT NULL DEFAULT 0,
+  early_exits INT NOT NULL DEFAULT 0,
+  half_days INT NOT NULL DEFAULT 0,
+  overtime_minutes INT NOT NULL DEFAULT 0,
+  paid_days NUMERIC(5,2) NOT NULL DEFAULT 0,
+  lop_days NUMERIC(5,2) NOT NULL DEFAULT 0,
+  stale BOOLEAN NOT NULL DEFAULT false,
+  computed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (employee_id, month)
+);
+CREATE INDEX IF NOT EXISTS idx_attendance_monthly_month ON attendance_monthly(month);
+
+CREATE OR REPLACE FUNCTION attendance_monthly_mark_stale()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'attendance_days' THEN
+    IF TG_OP <> 'INSERT' THEN
+      UPDATE attendance_monthly SET stale = true
+      WHERE employee_id = OLD.employee_id AND month = to_char(OLD.date, 'YYYY-MM');
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+      UPDATE attendance_monthly SET stale = true
+      WHERE employee_id = NEW.employee_id AND month = to_char(NEW.date, 'YYYY-MM');
+    END IF;
+  ELSIF TG_TABLE_NAME = 'leaves' THEN
+    IF TG_OP <> 'INSERT' THEN
+      UPDATE attendance_monthly SET stale = true
+      WHERE employee_id = OLD.employee_id
+        AND month BETWEEN to_char(OLD.start_date, 'YYYY-MM') AND to_char(OLD.end_date, 'YYYY-MM');
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+      UPDATE attendance_monthly SET stale = true
+      WHERE employee_id = NEW.employee_id
+        AND month BETWEEN to_char(NEW.start_date, 'YYYY-MM') AND to_char(NEW.end_date, 'YYYY-MM');
+    END IF;
+  ELSIF TG_TABLE_NAME = 'employees' THEN
+    -- location (calendar) or doj/dol (eligible days): every month of theirs
+    UPDATE attendance_monthly SET stale = true WHERE employee_id = NEW.id;
+  ELSIF TG_TABLE_NAME = 'office_locations' THEN
+    -- weekly offs change working days for everyone at the office
+    UPDATE attendance_monthly SET stale = true
+    WHERE employee_id IN (SELECT id FROM employees WHERE location_id = NEW.id);
+  ELSE -- holidays change working days for everyone in the month
+    IF TG_OP <> 'INSERT' THEN
+      UPDATE attendance_monthly SET stale = true WHERE month = to_char(OLD.date, 'YYYY-MM');
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+      UPDATE attendance_monthly SET stale = true WHERE month = to_char(NEW.date, 'YYYY-MM');
+    END IF;
+  END IF;
+  RETURN NULL;
+END; $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_attendance_days_rollup ON attendance_days;
+CREATE TRIGGER trg_attendance_days_rollup AFTER INSERT OR UPDATE OR DELETE ON attendance_days
+FOR EACH ROW EXECUTE PROCEDURE attendance_monthly_mark_stale();
+
+DROP TRIGGER IF EXISTS trg_leaves_rollup ON leaves;
+CREATE TRIGGER trg_leaves_rollup AFTER INSERT OR UPDATE OR DELETE ON leaves
+FOR EACH ROW EXECUTE PROCEDURE attendance_monthly_mark_stale();
+
+DROP TRIGGER IF EXISTS trg_holidays_rollup ON holidays;
+CREATE TRIGGER trg_holidays_rollup AFTER INSERT OR UPDATE OR DELETE ON holidays
+FOR EACH ROW EXECUTE PROCEDURE attendance_monthly_mark_stale();
+
+DROP TRIGGER IF EXISTS trg_employees_rollup ON employees;
+CREATE TRIGGER trg_employees_rollup AFTER UPDATE OF location_id, doj, dol ON employees
+FOR EACH ROW
+WHEN (OLD.location_id IS DISTINCT FROM NEW.location_id OR OLD.doj IS DISTINCT FROM NEW.doj OR OLD.dol IS DISTINCT FROM NEW.dol)
+EXECUTE PROCEDURE attendance_monthly_mark_stale();
+
+DROP TRIGGER IF EXISTS trg_office_locations_rollup ON office_locations;
+CREATE TRIGGER trg_office_locations_rollup AFTER UPDATE OF weekly_off_json ON office_locations
+FOR EACH ROW
+WHEN (OLD.weekly_off_json IS DISTINCT FROM NEW.weekly_off_json)
+EXECUTE PROCEDURE attendance_monthly_mark_stale();
 
 -- Documents
 CREATE TABLE IF NOT EXISTS documents (
@@ -130,24 +594,106 @@ CREATE TABLE IF NOT EXISTS documents (
   employee_id UUID NULL REFERENCES employees(id) ON DELETE SET NULL,
   type TEXT NOT NULL, -- offer | appointment | nda | policy | relieving
   file_url TEXT NOT NULL,
+  data_json JSONB NOT NULL DEFAULT '{}'::jsonb, -- details keyed in with the upload (e.g. bank account/IFSC)
   version INT NOT NULL DEFAULT 1,
+  is_current BOOLEAN NOT NULL DEFAULT TRUE, -- the version in use for its (employee, type) chain
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | approved | rejected
+  rejection_reason TEXT,
+  reviewed_by UUID NULL REFERENCES users(id),
+  reviewed_at TIMESTAMP NULL,
   esign_status TEXT,
   esign_txn_id TEXT,
+  purged_at TIMESTAMP NULL, -- file removed by the retention policy; the row stays as history
   created_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
+-- databases created before document review and versioning
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS data_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID NULL REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS purged_at TIMESTAMP NULL;
+-- every earlier upload was its own row at version 1: number each (employee, type)
+-- chain by upload time and keep only the newest current, once, when is_current arrives
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_schema = current_schema() AND table_name = 'documents' AND column_name = 'is_current') THEN
+    ALTER TABLE documents ADD COLUMN is_current BOOLEAN NOT NULL DEFAULT TRUE;
+    WITH ranked AS (
+      SELECT id,
+             ROW_NUMBER() OVER (PARTITION BY employee_id, type ORDER BY created_at, id) AS version,
+             COUNT(*) OVER (PARTITION BY employee_id, type) AS versions
+      FROM documents
+    )
+    UPDATE documents d SET version = r.version, is_current = (r.version = r.versions)
+    FROM ranked r WHERE d.id = r.id;
+  END IF;
+END; $$;
+CREATE INDEX IF NOT EXISTS idx_documents_chain ON documents(employee_id, type, version);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_current ON documents(employee_id, type) WHERE is_current;
+CREATE INDEX IF NOT EXISTS idx_documents_status ON documents(status, created_at);
 
+-- Offers; ctc_json is the monthly breakup seeded into ctc_structures on acceptance
 CREATE TABLE IF NOT EXISTS offers (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   candidate_email TEXT NOT NULL,
   candidate_name TEXT NOT NULL,
+  candidate_phone TEXT,
   position TEXT,
-  ctc_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+  location_id TEXT,
+  manager_id UUID NULL REFERENCES users(id),
+  joining_date DATE,
+  valid_until DATE,
+  ctc_json JSONB NOT NULL DEFAULT '{}'::jsonb, -- { basic, hra, special, pf_base, esi_applicable, pt_state, tax_regime }
   template_name TEXT NOT NULL DEFAULT 'default',
   pdf_url TEXT,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','sent','accepted','declined','withdrawn')),
   esign_status TEXT NOT NULL DEFAULT 'pending',
   esign_txn_id TEXT,
-  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  employee_id UUID NULL REFERENCES employees(id) ON DELETE SET NULL, -- set when accepted
+  created_by UUID NULL REFERENCES users(id),
+  sent_at TIMESTAMP NULL,
+  decided_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+-- databases created before the offer workflow
+ALTER TABLE offers
+  ADD COLUMN IF NOT EXISTS candidate_phone TEXT,
+  ADD COLUMN IF NOT EXISTS location_id TEXT,
+  ADD COLUMN IF NOT EXISTS manager_id UUID NULL REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS joining_date DATE,
+  ADD COLUMN IF NOT EXISTS valid_until DATE,
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft','sent','accepted','declined','withdrawn')),
+  ADD COLUMN IF NOT EXISTS employee_id UUID NULL REFERENCES employees(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS created_by UUID NULL REFERENCES users(id),
+  ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP NULL,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+CREATE INDEX IF NOT EXISTS idx_offers_status ON offers(status, created_at);
+
+-- E-sign requests (src/utils/esign.js); target is an offer or a document
+CREATE TABLE IF NOT EXISTS esign_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider TEXT NOT NULL,
+  txn_id TEXT NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('offer','document')),
+  target_id UUID NOT NULL,
+  signer_name TEXT,
+  signer_email TEXT,
+  sign_url TEXT,
+  status TEXT NOT NULL DEFAULT 'sent', -- sent | viewed | signed | declined | expired | failed
+  signed_document_id UUID NULL REFERENCES documents(id) ON DELETE SET NULL,
+  events_json JSONB NOT NULL DEFAULT '[]'::jsonb, -- provider callbacks as received
+  created_by UUID NULL REFERENCES users(id),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (provider, txn_id)
 );
+CREATE UNIQUE INDEX IF NOT EXISTS idx_esign_requests_open ON esign_requests(target_type, target_id)
+  WHERE status IN ('sent','viewed');
 
 -- Audit logs
 CREATE TABLE IF NOT EXISTS audit_logs (
@@ -159,6 +705,10 @@ CREATE TABLE IF NOT EXISTS audit_logs (
   meta_json JSONB NOT NULL DEFAULT '{}'::jsonb,
   ts TIMESTAMP NOT NULL DEFAULT NOW()
 );
+CREATE INDEX IF NOT EXISTS idx_audit_logs_ts ON audit_logs(ts DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_user_id, ts DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_target ON audit_logs(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action text_pattern_ops);
 
 -- updated_at trigger
 CREATE OR REPLACE FUNCTION set_updated_at()
@@ -175,3 +725,23 @@ FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
 DROP TRIGGER IF EXISTS trg_employees_updated ON employees;
 CREATE TRIGGER trg_employees_updated BEFORE UPDATE ON employees
 FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_leave_policies_updated ON leave_policies;
+CREATE TRIGGER trg_leave_policies_updated BEFORE UPDATE ON leave_policies
+FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_leave_approval_rules_updated ON leave_approval_rules;
+CREATE TRIGGER trg_leave_approval_rules_updated BEFORE UPDATE ON leave_approval_rules
+FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_shifts_updated ON shifts;
+CREATE TRIGGER trg_shifts_updated BEFORE UPDATE ON shifts
+FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_offers_updated ON offers;
+CREATE TRIGGER trg_offers_updated BEFORE UPDATE ON offers
+FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
+
+DROP TRIGGER IF EXISTS trg_office_locations_updated ON office_locations;
+CREATE TRIGGER trg_office_locations_updated BEFORE UPDATE ON office_locations
+FOR EACH ROW EXECUTE PROCEDURE set_updated_at();
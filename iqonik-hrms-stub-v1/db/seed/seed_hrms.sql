@@ -33,19 +33,22 @@ INSERT INTO permissions (id, code, description) VALUES
   (uuid_generate_v4(), 'DOCS_REVIEW', 'Review employee documents'),
   (uuid_generate_v4(), 'LEAVE_APPROVE', 'Approve employee leaves'),
   (uuid_generate_v4(), 'ATTENDANCE_APPROVE', 'Approve monthly attendance'),
+  (uuid_generate_v4(), 'ATTENDANCE_KIOSK', 'Show the office attendance QR code'),
   (uuid_generate_v4(), 'HR_MANAGE', 'Manage HR tasks'),
-  (uuid_generate_v4(), 'HR_VIEW', 'View HR reports');
+  (uuid_generate_v4(), 'HR_VIEW', 'View HR reports'),
+  (uuid_generate_v4(), 'AUDIT_VIEW', 'View and export the audit log'),
+  (uuid_generate_v4(), 'ROLE_MANAGE', 'Manage roles & user role assignments');
 
 -- ======================
 -- ROLE PERMISSIONS
--- (HR has all, Manager can approve, Employee minimal)
+-- (HR has all, Manager can approve for direct reports, Employee minimal)
 -- ======================
-INSERT INTO role_permissions (role_id, permission_id)
-SELECT r.id, p.id
+INSERT INTO role_permissions (role_id, permission_id, scope)
+SELECT r.id, p.id, 'all'
 FROM roles r, permissions p
 WHERE (r.name='HR')
 UNION ALL
-SELECT r.id, p.id
+SELECT r.id, p.id, 'reports'
 FROM roles r
 JOIN permissions p ON p.code IN ('LEAVE_APPROVE','ATTENDANCE_APPROVE')
 WHERE r.name='Manager';
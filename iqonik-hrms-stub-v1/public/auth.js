@@ -0,0 +1,63 @@
+// auth.js — shared by the dashboards. Tokens from /auth/login live in
+// localStorage ("jwt", mirrored to "token" for ess.html, and "refresh_token").
+// Every request carries the newest access token, and one answered 401 is
+// retried once after swapping the refresh token for a new pair.
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+  let refreshing = null;
+
+  function store(data) {
+    localStorage.setItem("jwt", data.token);
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refresh_token", data.refresh_token);
+  }
+
+  function clear() {
+    ["jwt", "token", "refresh_token"].forEach(k => localStorage.removeItem(k));
+  }
+
+  // one refresh at a time: the refresh token rotates, so parallel calls would
+  // replay it and get the session revoked
+  function refresh() {
+    const refreshToken = localStorage.getItem("refresh_token");
+    if (!refreshToken) return Promise.resolve(null);
+    refreshing = refreshing || nativeFetch("/auth/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refresh_token: refreshToken })
+    })
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (!data) { clear(); return null; }
+        store(data);
+        return data.token;
+      })
+      .finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const headers = new Headers(init.headers || {});
+    const authed = headers.has("Authorization");
+    if (authed && localStorage.getItem("jwt")) headers.set("Authorization", "Bearer " + localStorage.getItem("jwt"));
+    const res = await nativeFetch(input, { ...init, headers });
+    if (res.status !== 401 || !authed || String(input).startsWith("/auth/")) return res;
+    const token = await refresh();
+    if (!token) return res;
+    headers.set("Authorization", "Bearer " + token);
+    return nativeFetch(input, { ...init, headers });
+  };
+
+  window.iqAuth = {
+    store,
+    async logout(all) {
+      await window.fetch("/auth/logout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "Authorization": "Bearer " + (localStorage.getItem("jwt") || "") },
+        body: JSON.stringify({ all: !!all })
+      }).catch(() => {});
+      clear();
+      location.href = "/login.html";
+    }
+  };
+})();